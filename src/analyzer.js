@@ -1,8 +1,20 @@
-// The semantic analyzer exports a single function, analyze(match), that
-// accepts a grammar match object (the CST) from Ohm and produces the
-// internal representation of the program (pretty close to what is usually
-// called the AST). This representation also includes entities from the
-// standard library, as needed.
+// The semantic analyzer exports a function, analyze(match), that accepts a
+// grammar match object (the CST) from Ohm and produces the internal
+// representation of the program (pretty close to what is usually called the
+// AST). This representation also includes entities from the standard library,
+// as needed.
+//
+// Analysis does not stop at the first error. Every semantic error is collected
+// as a diagnostic, and analyze() throws a single error listing all of them.
+// Tools that want the diagnostics themselves, rather than an exception, can
+// call analyzeWithDiagnostics(match) instead, which also reports where each
+// identifier is declared and used, and the extent of each scope. Both accept
+// a match for the Exp rule as well as for whole programs. Every node built
+// during analysis carries a span locating the source it was made from.
+//
+// The analyzer knows nothing of files. A program that imports from other
+// modules can only be analyzed when given an importModule(path) function,
+// which finds the module and returns its exports, as the module loader does.
 
 import * as core from "./core.js"
 
@@ -13,16 +25,24 @@ const STRING = core.stringType
 const BOOLEAN = core.boolType
 const ANY = core.anyType
 const VOID = core.voidType
+const ERROR = core.errorType
 
-class Context {
+export class Context {
   // Like most statically-scoped languages, Carlos contexts will contain a
   // map for their locally declared identifiers and a reference to the parent
   // context. The parent of the global context is null. In addition, the
-  // context records whether analysis is current within a loop (so we can
-  // properly check break statements), and reference to the current function
-  // (so we can properly check return statements).
-  constructor({ parent = null, locals = new Map(), inLoop = false, function: f = null }) {
-    Object.assign(this, { parent, locals, inLoop, function: f })
+  // context records whether analysis is current within a loop, and the
+  // labels of the loops it is within (so we can properly check break and
+  // continue statements), and reference to the current function (so we can
+  // properly check return statements).
+  constructor({
+    parent = null,
+    locals = new Map(),
+    inLoop = false,
+    labels = [],
+    function: f = null,
+  }) {
+    Object.assign(this, { parent, locals, inLoop, labels, function: f })
   }
   add(name, entity) {
     this.locals.set(name, entity)
@@ -38,25 +58,442 @@ class Context {
   }
 }
 
-export default function analyze(match) {
+// Type equivalence, assignability, and descriptions do not depend on the
+// context, so they live outside of the analyzer proper and can be used by
+// other tools, such as the REPL.
+
+function equivalent(t1, t2) {
+  return (
+    t1 === t2 ||
+    // The error type is compatible with everything, to avoid cascading errors
+    t1 === ERROR ||
+    t2 === ERROR ||
+    (t1?.kind === "OptionalType" &&
+      t2?.kind === "OptionalType" &&
+      equivalent(t1.baseType, t2.baseType)) ||
+    (t1?.kind === "ArrayType" &&
+      t2?.kind === "ArrayType" &&
+      equivalent(t1.baseType, t2.baseType)) ||
+    (t1?.kind === "FunctionType" &&
+      t2?.kind === "FunctionType" &&
+      equivalent(t1.returnType, t2.returnType) &&
+      t1.paramTypes.length === t2.paramTypes.length &&
+      t1.paramTypes.every((t, i) => equivalent(t, t2.paramTypes[i]))) ||
+    // Two instances of a generic struct, made separately, are the same type
+    // when their type arguments are
+    (t1?.generic !== undefined &&
+      t1.generic === t2?.generic &&
+      t1.typeArguments.every((t, i) => equivalent(t, t2.typeArguments[i])))
+  )
+}
+
+function assignable(fromType, toType) {
+  return (
+    toType == ANY ||
+    // Instances of generic structs are only assignable when equivalent: since
+    // fields can be assigned to, type arguments can be neither covariant nor
+    // contravariant
+    equivalent(fromType, toType) ||
+    (fromType?.kind === "FunctionType" &&
+      toType?.kind === "FunctionType" &&
+      // covariant in return types
+      assignable(fromType.returnType, toType.returnType) &&
+      fromType.paramTypes.length === toType.paramTypes.length &&
+      // contravariant in parameter types
+      toType.paramTypes.every((t, i) => assignable(t, fromType.paramTypes[i]))) ||
+    (toType?.kind === "InterfaceType" && conforms(fromType, toType))
+  )
+}
+
+// Whether the error type is anywhere within a type, as it is in the type of
+// a parameter whose type argument could not be inferred
+function containsError(type) {
+  switch (type?.kind) {
+    case "ErrorType":
+      return true
+    case "ArrayType":
+    case "OptionalType":
+      return containsError(type.baseType)
+    case "FunctionType":
+      return [...type.paramTypes, type.returnType].some(containsError)
+    case "StructType":
+      return type.generic !== undefined && type.typeArguments.some(containsError)
+  }
+  return false
+}
+
+// A struct or interface conforms to an interface when it has every field of
+// the interface, of the very same type, since fields can be assigned to, and
+// every method, of a type assignable to the method's. Generic methods never
+// conform, having no one type. An interface can mention itself, as in a
+// method returning an object like the one it is called on, so conformance
+// can depend on itself, and is taken for granted while it is being checked.
+const conformancesInCheck = []
+
+function conforms(type, interfaceType) {
+  if (!["StructType", "InterfaceType"].includes(type?.kind)) return false
+  const inCheck = ([t, i]) => equivalent(t, type) && i === interfaceType
+  if (conformancesInCheck.some(inCheck)) return true
+  conformancesInCheck.push([type, interfaceType])
+  const ownMember = (members, name) => members.find(member => member.name === name)
+  const result =
+    interfaceType.fields.every(field => {
+      const own = ownMember(type.fields, field.name)
+      return own && equivalent(memberType(type, own), field.type)
+    }) &&
+    interfaceType.methods.every(method => {
+      const own = ownMember(type.methods, method.name)
+      return (
+        own?.typeParameters.length === 0 && assignable(memberType(type, own), method.type)
+      )
+    })
+  conformancesInCheck.pop()
+  return result
+}
+
+// The type arguments of an instance of a generic struct, by type parameter
+function typeArgumentsOf(instance) {
+  const { typeParameters } = instance.generic
+  return new Map(typeParameters.map((t, i) => [t, instance.typeArguments[i]]))
+}
+
+// The type of a member of a struct or interface, which for an instance of a
+// generic struct has the type arguments in place of the type parameters
+export function memberType(type, member) {
+  return type?.generic ? substituted(member.type, typeArgumentsOf(type)) : member.type
+}
+
+// Substitute type arguments for type parameters throughout a type, passing
+// each type made along the way through the function given, if any
+function substituted(type, bindings, made = t => t) {
+  switch (type?.kind) {
+    case "TypeParameter":
+      return bindings.get(type) ?? type
+    case "ArrayType":
+      return made(core.arrayType(substituted(type.baseType, bindings, made)))
+    case "OptionalType":
+      return made(core.optionalType(substituted(type.baseType, bindings, made)))
+    case "FunctionType":
+      const paramTypes = type.paramTypes.map(t => substituted(t, bindings, made))
+      const returnType = substituted(type.returnType, bindings, made)
+      return made(core.functionType(paramTypes, returnType))
+    case "StructType":
+      if (!type.generic) return type
+      const typeArguments = type.typeArguments.map(t => substituted(t, bindings, made))
+      return made(core.structInstance(type.generic, typeArguments))
+  }
+  return type
+}
+
+export function typeDescription(type) {
+  // A type written with an alias is described by the alias, being shorter
+  if (type.alias) return type.alias.name
+  switch (type.kind) {
+    case "IntType":
+      return "int"
+    case "FloatType":
+      return "float"
+    case "StringType":
+      return "string"
+    case "BoolType":
+      return "boolean"
+    case "VoidType":
+      return "void"
+    case "AnyType":
+      return "any"
+    case "StructType":
+      if (!type.generic) return type.name
+      return `${type.name}<${type.typeArguments.map(typeDescription).join(", ")}>`
+    case "EnumType":
+    case "InterfaceType":
+    case "TypeParameter":
+      return type.name
+    case "FunctionType":
+      const paramTypes = type.paramTypes.map(typeDescription).join(", ")
+      const returnType = typeDescription(type.returnType)
+      return `(${paramTypes})->${returnType}`
+    case "ArrayType":
+      return `[${typeDescription(type.baseType)}]`
+    case "OptionalType":
+      return `${typeDescription(type.baseType)}?`
+  }
+  // Only the error type is left, standing in for a type that could not be found
+  return "error"
+}
+
+// A function with a return type must not be able to reach the end of its
+// body, so every path through the body is followed. Following the paths
+// through a list of statements gives undefined when none of them get to the
+// end, since they return, break, or loop forever; otherwise it gives the
+// conditions under which one of them does, such as "the condition at line 3
+// is false", so that the error can say which path falls through. Conditions
+// are only kept for statements with a return in them, since the others make
+// no difference. A break adds the conditions reaching it to the list of
+// breaks, with its label, for the loop it breaks out of, since that loop
+// finishes when they hold. A continue goes nowhere new.
+function pathThrough(statements, conditions, breaks) {
+  for (const statement of statements) {
+    conditions = pathPast(statement, conditions, breaks)
+    if (conditions === undefined) return undefined
+  }
+  return conditions
+}
+
+function pathPast(statement, conditions, breaks) {
+  const at = `at line ${statement.span.line}`
+  const when = condition => [...conditions, condition]
+  // The tests of if let and while let statements are on optionals
+  const [passes, fails] = statement.optional
+    ? [`the optional ${at} has a value`, `the optional ${at} has no value`]
+    : [`the condition ${at} is true`, `the condition ${at} is false`]
+  let path
+  switch (statement.kind) {
+    case "ReturnStatement":
+    case "ShortReturnStatement":
+    case "ContinueStatement":
+      return undefined
+    case "BreakStatement":
+      breaks.push({ label: statement.label, conditions })
+      return undefined
+    case "IfStatement":
+    case "IfLetStatement": {
+      const { consequent, alternate } = statement
+      path =
+        pathThrough(consequent, when(passes), breaks) ??
+        pathThrough([alternate].flat(), when(fails), breaks)
+      break
+    }
+    case "ShortIfStatement":
+    case "ShortIfLetStatement":
+      pathThrough(statement.consequent, when(passes), breaks)
+      path = when(fails)
+      break
+    case "WhileStatement":
+    case "WhileLetStatement":
+      if (statement.test === true) {
+        // Only a break ends a loop like this one
+        return breaksOutOf(statement, conditions, breaks)[0]
+      }
+      breaksOutOf(statement, conditions, breaks)
+      path = when(fails)
+      break
+    case "RepeatStatement":
+    case "ForRangeStatement":
+    case "ForStatement":
+      breaksOutOf(statement, conditions, breaks)
+      path = when(`the loop ${at} finishes`)
+      break
+    case "MatchStatement":
+      path = statement.arms
+        .map(({ variant, body }) => {
+          const arm = `the match ${at} takes the ${variant?.name ?? "_"} arm`
+          return pathThrough(body, when(arm), breaks)
+        })
+        .find(armPath => armPath !== undefined)
+      break
+    default:
+      return conditions
+  }
+  return path === undefined || hasReturn(statement) ? path : conditions
+}
+
+// The conditions of each break out of a loop, from following the paths
+// through its body, passing on the breaks out of loops around it
+function breaksOutOf(loop, conditions, breaks) {
+  const bodyBreaks = []
+  pathThrough(loop.body, conditions, bodyBreaks)
+  const own = bodyBreaks.filter(({ label }) => !label || label === loop.label)
+  breaks.push(...bodyBreaks.filter(b => !own.includes(b)))
+  return own.map(b => b.conditions)
+}
+
+function hasReturn(statement) {
+  if (Array.isArray(statement)) return statement.some(hasReturn)
+  switch (statement.kind) {
+    case "ReturnStatement":
+    case "ShortReturnStatement":
+      return true
+    case "IfStatement":
+    case "IfLetStatement":
+      return hasReturn(statement.consequent) || hasReturn(statement.alternate)
+    case "ShortIfStatement":
+    case "ShortIfLetStatement":
+      return hasReturn(statement.consequent)
+    case "WhileStatement":
+    case "WhileLetStatement":
+    case "RepeatStatement":
+    case "ForRangeStatement":
+    case "ForStatement":
+      return hasReturn(statement.body)
+    case "MatchStatement":
+      return statement.arms.some(arm => hasReturn(arm.body))
+    default:
+      return false
+  }
+}
+
+// The fields and methods of a struct or interface type, no two of which have
+// the same name
+function membersOf(type) {
+  return [...type.fields, ...type.methods]
+}
+
+export default function analyze(match, options) {
+  const { program, diagnostics } = analyzeWithDiagnostics(match, options)
+  const errors = diagnostics.filter(d => d.severity === "error")
+  if (errors.length > 0) {
+    const message = errors.map(d => d.text).join("\n")
+    throw Object.assign(new Error(message), { diagnostics })
+  }
+  return program
+}
+
+export function analyzeWithDiagnostics(
+  match,
+  { context: initialContext, importModule } = {}
+) {
+  // Every problem found during analysis is recorded here. A diagnostic has a
+  // severity, a message, the line and column where the problem starts, the
+  // start and end offsets of the offending source, and a text property which
+  // is the message prefixed with Ohm's nicely formatted source excerpt.
+  const diagnostics = []
+
+  // For the benefit of tools such as editors, every declaration and use of an
+  // identifier is recorded with its source offsets and the entity it denotes,
+  // and the context of each scope is recorded with the offsets it spans.
+  const references = []
+  const scopes = []
+
+  function refer(entity, id, { declaration = false } = {}) {
+    const [start, end] = [id.source.startIdx, id.source.endIdx]
+    references.push({ entity, start, end, declaration })
+  }
+
+  // The consequent of an if let is in a context of its own, with the
+  // variable holding the value of the optional
+  function unwrapped(variable, block) {
+    context = context.newChildContext()
+    context.add(variable.name, variable)
+    const consequent = block.rep()
+    context = context.parent
+    return consequent
+  }
+
+  // There may be no object, array, or function behind a ?., ?[, or ?(, and
+  // so no value, though an optional value can't be any more optional than it
+  // is, and there is never a value of type void
+  function optionalOf(type, source) {
+    if ([ERROR, VOID].includes(type) || type.kind === "OptionalType") return type
+    return located(core.optionalType(type), source)
+  }
+
+  // When an id appears in an expression, it had better have been declared
+  // If it wasn't, treat it as a variable of the error type.
+  function identified(id) {
+    const found = context.lookup(id.sourceString)
+    if (!mustHaveBeenFound(found, id.sourceString, { at: id })) {
+      return located(core.variable(id.sourceString, false, ERROR), id.source)
+    }
+    // In an expression, the types string and any are the functions of the
+    // same names
+    const entity = core.typeFunctions.get(found) ?? found
+    refer(entity, id)
+    return entity
+  }
+
+  // What is called, or has a member taken, may be named by a type, as in
+  // Point(1, 2) or Shape.Dot, when it is just an id
+  function typeOrValue(exp) {
+    const [child] = exp.children
+    return child.ctorName === "Exp9_id" ? identified(child.children[0]) : exp.rep()
+  }
+
+  // The body of a loop is in a context of its own, with the loop's label,
+  // if it has one
+  function loopContext(label) {
+    const labels = label ? [...context.labels, label] : context.labels
+    return context.newChildContext({ inLoop: true, labels })
+  }
+
+  // The label named by a break or continue, or undefined when none is named,
+  // in which case the innermost loop is the target
+  function jumpTarget(optionalId) {
+    const id = optionalId.children[0]
+    if (!id) return undefined
+    const label = context.labels.findLast(label => label.name === id.sourceString)
+    if (mustBeAnEnclosingLabel(label, id.sourceString, { at: id })) refer(label, id)
+    return label
+  }
+
+  function enterScope(node) {
+    const [start, end] = [node.source.startIdx, node.source.endIdx]
+    scopes.push({ context, start, end })
+  }
+
+  // Nodes are given their spans here. The line and column come from a table
+  // of where each line starts, since asking Ohm for them would scan the
+  // source from the top for every node.
+  const lineStarts = [0]
+  for (let i = 0; i < match.input.length; i++) {
+    if (match.input[i] === "\n") lineStarts.push(i + 1)
+  }
+
+  function located(node, { startIdx: start, endIdx: end }) {
+    let [low, high] = [0, lineStarts.length - 1]
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2)
+      if (lineStarts[middle] <= start) low = middle
+      else high = middle - 1
+    }
+    return core.locate(node, core.span(start, end, low + 1, start - lineStarts[low] + 1))
+  }
+
   // Track the context manually via a simple variable. The initial context
-  // contains the mappings from the standard library. Add to this context
-  // as necessary. When needing to descent into a new scope, create a new
-  // context with the current context as its parent. When leaving a scope,
-  // reset this variable to the parent context.
-  let context = Context.root()
+  // contains the mappings from the standard library, unless the caller
+  // supplied its own (which is how the REPL keeps its declarations from one
+  // input to the next). Add to this context as necessary. When needing to
+  // descent into a new scope, create a new context with the current context
+  // as its parent. When leaving a scope, reset this variable to the parent
+  // context.
+  let context = initialContext ?? Context.root()
+
+  // Entities imported from other modules, which belong to those modules, so
+  // they can be used here but not assigned to
+  const imported = new Set()
+
+  // Type aliases, by where their names are, declared ahead of the other
+  // statements of their program or block. Until what an alias names is
+  // needed, its type and the context it was declared in wait here, and while
+  // that type is being analyzed, the alias is resolving.
+  const aliases = new Map()
+  const unresolved = new Map()
+  const resolving = new Set()
 
   // The single gate for error checking. Pass in a condition that must be true.
   // Use errorLocation to give contextual information about the error that will
   // appear: this should be an object whose "at" property is a parse tree node.
   // Ohm's getLineAndColumnMessage will be used to prefix the error message. This
   // allows any semantic analysis errors to be presented to an end user in the
-  // same format as Ohm's reporting of syntax errors.
+  // same format as Ohm's reporting of syntax errors. A failed check does not
+  // stop analysis: the error is recorded and the check returns false, so that
+  // checks which only make sense after an earlier one passed can be chained
+  // with &&, and so that the caller can give its node the error type.
   function must(condition, message, errorLocation) {
     if (!condition) {
-      const prefix = errorLocation.at.source.getLineAndColumnMessage()
-      throw new Error(`${prefix}${message}`)
+      const source = errorLocation.at.source
+      const { lineNum: line, colNum: column } = source.getLineAndColumn()
+      const text = `${source.getLineAndColumnMessage()}${message}`
+      const [start, end] = [source.startIdx, source.endIdx]
+      diagnostics.push({ severity: "error", message, line, column, start, end, text })
     }
+    return Boolean(condition)
+  }
+
+  // An expression whose analysis already failed has the error type. Checks on
+  // such an expression fail without reporting anything, since the real cause
+  // has already been reported and we don't want a cascade of errors.
+  function wellTyped(e) {
+    return e?.type !== ERROR
   }
 
   // Next come a number of carefully named utility functions that keep the
@@ -67,193 +504,444 @@ export default function analyze(match) {
   // information in the error message.
 
   function mustNotAlreadyBeDeclared(name, at) {
-    must(!context.lookup(name), `Identifier ${name} already declared`, at)
+    return must(!context.lookup(name), `Identifier ${name} already declared`, at)
   }
 
   function mustHaveBeenFound(entity, name, at) {
-    must(entity, `Identifier ${name} not declared`, at)
+    return must(entity, `Identifier ${name} not declared`, at)
   }
 
   function mustHaveNumericType(e, at) {
-    must([INT, FLOAT].includes(e.type), "Expected a number", at)
+    return wellTyped(e) && must([INT, FLOAT].includes(e.type), "Expected a number", at)
   }
 
   function mustHaveNumericOrStringType(e, at) {
-    must([INT, FLOAT, STRING].includes(e.type), "Expected a number or string", at)
+    return (
+      wellTyped(e) &&
+      must([INT, FLOAT, STRING].includes(e.type), "Expected a number or string", at)
+    )
   }
 
   function mustHaveBooleanType(e, at) {
-    must(e.type === BOOLEAN, "Expected a boolean", at)
+    return wellTyped(e) && must(e.type === BOOLEAN, "Expected a boolean", at)
   }
 
   function mustHaveIntegerType(e, at) {
-    must(e.type === INT, "Expected an integer", at)
+    return wellTyped(e) && must(e.type === INT, "Expected an integer", at)
   }
 
   function mustHaveAnArrayType(e, at) {
-    must(e.type?.kind === "ArrayType", "Expected an array", at)
+    return wellTyped(e) && must(e.type?.kind === "ArrayType", "Expected an array", at)
   }
 
   function mustHaveAnOptionalType(e, at) {
-    must(e.type?.kind === "OptionalType", "Expected an optional", at)
+    return (
+      wellTyped(e) && must(e.type?.kind === "OptionalType", "Expected an optional", at)
+    )
+  }
+
+  function mustHaveAnOptionalArrayType(e, at) {
+    // Used to check e?[i] expressions, e must be an optional array
+    return (
+      wellTyped(e) &&
+      must(
+        e.type?.kind === "OptionalType" && e.type.baseType?.kind === "ArrayType",
+        "Expected an optional array",
+        at
+      )
+    )
+  }
+
+  function mustHaveAnOptionalFunctionType(e, at) {
+    // Used to check e?(...) calls, e must be an optional function
+    return (
+      wellTyped(e) &&
+      must(
+        e.type?.kind === "OptionalType" && e.type.baseType?.kind === "FunctionType",
+        "Expected an optional function",
+        at
+      )
+    )
   }
 
+  // The values of interface types are structs too
+  const structKinds = ["StructType", "InterfaceType"]
+
   function mustHaveAStructType(e, at) {
-    must(e.type?.kind === "StructType", "Expected a struct", at)
+    return (
+      wellTyped(e) && must(structKinds.includes(e.type?.kind), "Expected a struct", at)
+    )
+  }
+
+  function mustHaveAnEnumType(e, at) {
+    return wellTyped(e) && must(e.type?.kind === "EnumType", "Expected an enum", at)
   }
 
   function mustHaveAnOptionalStructType(e, at) {
     // Used to check e?.x expressions, e must be an optional struct
-    must(
-      e.type?.kind === "OptionalType" && e.type.baseType?.kind === "StructType",
-      "Expected an optional struct",
-      at
+    return (
+      wellTyped(e) &&
+      must(
+        e.type?.kind === "OptionalType" && structKinds.includes(e.type.baseType?.kind),
+        "Expected an optional struct",
+        at
+      )
     )
   }
 
   function mustBothHaveTheSameType(e1, e2, at) {
-    must(equivalent(e1.type, e2.type), "Operands do not have the same type", at)
+    return must(equivalent(e1.type, e2.type), "Operands do not have the same type", at)
   }
 
   function mustAllHaveSameType(expressions, at) {
     // Used to check the elements of an array expression, and the two
     // arms of a conditional expression, among other scenarios.
-    must(
+    return must(
       expressions.slice(1).every(e => equivalent(e.type, expressions[0].type)),
       "Not all elements have the same type",
       at
     )
   }
 
+  // This is a rather ugly hack
+  const isType = e =>
+    e?.kind.endsWith("Type") || ["TypeParameter", "TypeAlias"].includes(e?.kind)
+
   function mustBeAType(e, at) {
-    // This is a rather ugly hack
-    must(e?.kind.endsWith("Type"), "Type expected", at)
+    return must(isType(e), "Type expected", at)
   }
 
-  function mustBeAnArrayType(t, at) {
-    must(t?.kind === "ArrayType", "Must be an array type", at)
+  function mustNotBeAType(e, at) {
+    return must(!isType(e), "Expected a value, found a type", at)
   }
 
-  function includesAsField(structType, type) {
-    // Whether the struct type has a field of type type, directly or indirectly
-    return structType.fields.some(
-      field =>
-        field.type === type ||
-        (field.type?.kind === "StructType" && includesAsField(field.type, type))
-    )
+  function mustNotBeCyclic(alias, at) {
+    // An alias is only needed while it is resolving when it refers to itself,
+    // directly or through other aliases
+    return must(!resolving.has(alias), `Type alias ${alias.name} refers to itself`, at)
   }
 
-  function mustNotBeSelfContaining(structType, at) {
-    const containsSelf = includesAsField(structType, structType)
-    must(!containsSelf, "Struct type must not be self-containing", at)
+  function mustHaveCorrectTypeArgumentCount(type, argCount, at) {
+    const paramCount = type.typeParameters?.length ?? 0
+    const message = `${paramCount} type argument(s) required but ${argCount} passed`
+    return must(argCount === paramCount, message, at)
   }
 
-  function equivalent(t1, t2) {
-    return (
-      t1 === t2 ||
-      (t1?.kind === "OptionalType" &&
-        t2?.kind === "OptionalType" &&
-        equivalent(t1.baseType, t2.baseType)) ||
-      (t1?.kind === "ArrayType" &&
-        t2?.kind === "ArrayType" &&
-        equivalent(t1.baseType, t2.baseType)) ||
-      (t1?.kind === "FunctionType" &&
-        t2?.kind === "FunctionType" &&
-        equivalent(t1.returnType, t2.returnType) &&
-        t1.paramTypes.length === t2.paramTypes.length &&
-        t1.paramTypes.every((t, i) => equivalent(t, t2.paramTypes[i])))
-    )
+  function mustBeInferred(typeParameter, bindings, at) {
+    const message = `Cannot infer the type argument ${typeParameter.name}`
+    return must(bindings.get(typeParameter) !== undefined, message, at)
   }
 
-  function assignable(fromType, toType) {
-    return (
-      toType == ANY ||
-      equivalent(fromType, toType) ||
-      (fromType?.kind === "FunctionType" &&
-        toType?.kind === "FunctionType" &&
-        // covariant in return types
-        assignable(fromType.returnType, toType.returnType) &&
-        fromType.paramTypes.length === toType.paramTypes.length &&
-        // contravariant in parameter types
-        toType.paramTypes.every((t, i) => assignable(t, fromType.paramTypes[i])))
-    )
+  function mustBeOneOfItsTypes(typeParameter, type, at) {
+    const { types } = typeParameter
+    if (!types) return true
+    const names = types.map(typeDescription).join(", ")
+    const message = `Type argument ${typeDescription(type)} must be one of ${names}`
+    const allowed = types.some(t => equivalent(t, type))
+    return must(allowed, message, at)
   }
 
-  function typeDescription(type) {
-    switch (type.kind) {
-      case "IntType":
-        return "int"
-      case "FloatType":
-        return "float"
-      case "StringType":
-        return "string"
-      case "BoolType":
-        return "boolean"
-      case "VoidType":
-        return "void"
-      case "AnyType":
-        return "any"
-      case "StructType":
-        return type.name
-      case "FunctionType":
-        const paramTypes = type.paramTypes.map(typeDescription).join(", ")
-        const returnType = typeDescription(type.returnType)
-        return `(${paramTypes})->${returnType}`
-      case "ArrayType":
-        return `[${typeDescription(type.baseType)}]`
-      case "OptionalType":
-        return `${typeDescription(type.baseType)}?`
-    }
+  function mustBeAnArrayType(t, at) {
+    return must(t?.kind === "ArrayType", "Must be an array type", at)
+  }
+
+  function includesAsField(structType, type, seen = new Set()) {
+    // Whether the struct type has a field of type type, directly or
+    // indirectly, where an instance of a generic struct counts as the generic
+    // struct itself. Structs already looked into are not looked into again,
+    // since one of them may contain itself (which has already been reported).
+    seen.add(structType.generic ?? structType)
+    return structType.fields.some(field => {
+      const fieldType = field.type?.generic ?? field.type
+      return (
+        fieldType === type ||
+        (fieldType?.kind === "StructType" &&
+          !seen.has(fieldType) &&
+          includesAsField(fieldType, type, seen))
+      )
+    })
+  }
+
+  function mustNotBeSelfContaining(structType, at) {
+    const containsSelf = includesAsField(structType, structType)
+    return must(!containsSelf, "Struct type must not be self-containing", at)
   }
 
   function mustBeAssignable(e, { toType: type }, at) {
+    // An error within either type has been reported already
+    if (containsError(e.type) || containsError(type)) return true
     const message = `Cannot assign a ${typeDescription(e.type)} to a ${typeDescription(
       type
     )}`
-    must(assignable(e.type, type), message, at)
+    return must(assignable(e.type, type), message, at)
   }
 
   function mustNotBeReadOnly(e, at) {
-    must(!e.readOnly, `Cannot assign to constant ${e.name}`, at)
+    return must(!e.readOnly, `Cannot assign to constant ${e.name}`, at)
+  }
+
+  function mustNotBeAnOptionalChain(e, at) {
+    const chained = e.op === "?." || e.optional === true
+    return must(!chained, "Cannot assign through ?. or ?[", at)
+  }
+
+  function mustNotBeAMethod(e, at) {
+    return must(
+      e.kind !== "MethodExpression",
+      `Cannot assign to method ${e.method?.name}`,
+      at
+    )
+  }
+
+  function mustNotBeImported(e, at) {
+    return must(!imported.has(e), `Cannot assign to imported variable ${e.name}`, at)
+  }
+
+  function mustBeImportable(module, at) {
+    return must(!module.error, module.error, at)
+  }
+
+  function mustBeExported(entity, name, path, at) {
+    return must(entity, `Module ${path} does not export ${name}`, at)
   }
 
   function mustHaveDistinctFields(type, at) {
     const fieldNames = new Set(type.fields.map(f => f.name))
-    must(fieldNames.size === type.fields.length, "Fields must be distinct", at)
+    return must(fieldNames.size === type.fields.length, "Fields must be distinct", at)
+  }
+
+  function mustHaveMember(structType, name, at) {
+    const found = membersOf(structType).some(member => member.name === name)
+    return must(found, "No such field or method", at)
   }
 
-  function mustHaveMember(structType, field, at) {
-    must(structType.fields.map(f => f.name).includes(field), "No such field", at)
+  function mustNotHaveMember(type, name, at) {
+    const found = membersOf(type).some(member => member.name === name)
+    const kind = type.kind === "StructType" ? "Struct" : "Interface"
+    const message = `${kind} ${type.name} already has a field or method named ${name}`
+    return must(!found, message, at)
   }
 
-  function mustBeInLoop(at) {
-    must(context.inLoop, "Break can only appear in a loop", at)
+  function mustHaveDistinctVariants(type, at) {
+    const variantNames = new Set(type.variants.map(v => v.name))
+    return must(
+      variantNames.size === type.variants.length,
+      "Variants must be distinct",
+      at
+    )
+  }
+
+  function mustHaveVariant(enumType, name, at) {
+    return must(
+      enumType.variants.some(v => v.name === name),
+      "No such variant",
+      at
+    )
+  }
+
+  function mustBindEveryField(variant, bindingCount, at) {
+    const message = `${variant.fields.length} field(s) to bind but ${bindingCount} given`
+    return must(bindingCount === variant.fields.length, message, at)
+  }
+
+  function mustBeReachable(variant, matched, enumType, at) {
+    // An arm can't be reached if the arms before it match everything it does
+    const reachable = variant
+      ? !matched.has(variant)
+      : enumType.variants.some(v => !matched.has(v))
+    return must(reachable, "Unreachable match arm", at)
+  }
+
+  function mustBeExhaustive(enumType, matched, at) {
+    const missing = enumType.variants.filter(v => !matched.has(v)).map(v => v.name)
+    return must(missing.length === 0, `Match does not cover ${missing.join(", ")}`, at)
+  }
+
+  function mustBeInLoop(statement, at) {
+    return must(context.inLoop, `${statement} can only appear in a loop`, at)
+  }
+
+  function mustNotLabelTwoLoops(name, at) {
+    const message = `Label ${name} is already on an enclosing loop`
+    return must(!context.labels.some(label => label.name === name), message, at)
+  }
+
+  function mustBeAnEnclosingLabel(label, name, at) {
+    return must(label, `No enclosing loop is labeled ${name}`, at)
   }
 
   function mustBeInAFunction(at) {
-    must(context.function, "Return can only appear in a function", at)
+    return must(context.function, "Return can only appear in a function", at)
   }
 
   function mustBeCallable(e, at) {
-    const callable = e?.kind === "StructType" || e.type?.kind === "FunctionType"
-    must(callable, "Call of non-function or non-constructor", at)
+    const callable =
+      ["StructType", "Variant"].includes(e?.kind) || e.type?.kind === "FunctionType"
+    return wellTyped(e) && must(callable, "Call of non-function or non-constructor", at)
+  }
+
+  function mustBeACall(e, at) {
+    const isCall = ["FunctionCall", "ConstructorCall"].includes(e?.kind)
+    return wellTyped(e) && must(isCall, "Expected a call", at)
+  }
+
+  function mustNotBeVoid(e, at) {
+    return must(e.type !== VOID, "Cannot interpolate a void value", at)
   }
 
   function mustNotReturnAnything(f, at) {
-    must(f.type.returnType === VOID, "Something should be returned", at)
+    return must(f.type.returnType === VOID, "Something should be returned", at)
   }
 
   function mustReturnSomething(f, at) {
-    must(f.type.returnType !== VOID, "Cannot return a value from this function", at)
+    return must(
+      f.type.returnType !== VOID,
+      "Cannot return a value from this function",
+      at
+    )
+  }
+
+  function mustNotFallOffTheEnd(f, body, at) {
+    if ([VOID, ERROR].includes(f.type.returnType)) return true
+    const conditions = pathThrough(body, [], [])
+    const name = f.kind === "Lambda" ? "Lambda" : `${f.kind} ${f.name}`
+    const when = conditions?.length > 0 ? `, when ${conditions.join(" and ")}` : ""
+    const message = `${name} can end without returning a value${when}`
+    return must(conditions === undefined, message, at)
   }
 
   function mustBeReturnable(e, { from: f }, at) {
-    mustBeAssignable(e, { toType: f.type.returnType }, at)
+    return mustBeAssignable(e, { toType: f.type.returnType }, at)
   }
 
   function mustHaveCorrectArgumentCount(argCount, paramCount, at) {
     const message = `${paramCount} argument(s) required but ${argCount} passed`
-    must(argCount === paramCount, message, at)
+    return must(argCount === paramCount, message, at)
+  }
+
+  // The arms of match statements and expressions are analyzed with their own
+  // semantic operation, which is given the enum type of the match subject
+  // (or undefined when the subject is in error). Each arm then has to be
+  // reachable, and together the arms must cover every variant of the enum.
+  function analyzeArms(subject, arms, { at: exp }, { at: keyword }) {
+    const enumType = mustHaveAnEnumType(subject, { at: exp }) ? subject.type : undefined
+    const matched = new Set()
+    const analyzedArms = arms.map(arm => {
+      const analyzedArm = arm.arm(enumType)
+      if (enumType) {
+        const { variant } = analyzedArm
+        mustBeReachable(variant, matched, enumType, { at: arm })
+        for (const v of variant ? [variant] : enumType.variants) matched.add(v)
+      }
+      return analyzedArm
+    })
+    if (enumType) mustBeExhaustive(enumType, matched, { at: keyword })
+    return analyzedArms
+  }
+
+  // Type arguments are never written at calls of generic functions and
+  // constructors: they are inferred, by matching the type of each argument
+  // against the type of its parameter. The first type found for each type
+  // parameter wins; whether the other arguments agree with it is left to
+  // the usual assignability checks, once the parameter types are instantiated.
+  function inferTypeArguments(typeParameters, paramTypes, args, at) {
+    const bindings = new Map(typeParameters.map(t => [t, undefined]))
+    function infer(paramType, argType) {
+      if (bindings.has(paramType)) {
+        bindings.set(paramType, bindings.get(paramType) ?? argType)
+      } else if (argType?.kind !== paramType?.kind) {
+        return
+      } else if (["ArrayType", "OptionalType"].includes(paramType.kind)) {
+        infer(paramType.baseType, argType.baseType)
+      } else if (paramType.kind === "FunctionType") {
+        paramType.paramTypes.forEach((t, i) => infer(t, argType.paramTypes[i]))
+        infer(paramType.returnType, argType.returnType)
+      } else if (paramType.generic && paramType.generic === argType.generic) {
+        paramType.typeArguments.forEach((t, i) => infer(t, argType.typeArguments[i]))
+      }
+    }
+    args.forEach((arg, i) => i < paramTypes.length && infer(paramTypes[i], arg.type))
+    // A type argument may not be found because an argument is in error, but
+    // that has been reported already
+    const argumentsOk = args.every(wellTyped)
+    for (const typeParameter of typeParameters) {
+      if (argumentsOk) mustBeInferred(typeParameter, bindings, at)
+      if (bindings.get(typeParameter) === undefined) bindings.set(typeParameter, ERROR)
+      // A type parameter of a standard function may stand for only some types
+      mustBeOneOfItsTypes(typeParameter, bindings.get(typeParameter), at)
+    }
+    return bindings
+  }
+
+  // Functions and methods are analyzed alike, in a context of their own for
+  // their type parameters, parameters, and body, into which the locals given
+  // (such as the self of a method) go first. The function must already be
+  // wherever it will be found, so that it can call itself.
+  function analyzeFunction(
+    fun,
+    { typeParameters, parameters, type, block },
+    locals = []
+  ) {
+    context = context.newChildContext({ inLoop: false, labels: [], function: fun })
+    for (const local of locals) context.add(local.name, local)
+    fun.typeParameters = typeParameters.children[0]?.rep() ?? []
+    const params = parameters.rep()
+
+    // Now that the parameters are known, we compute the function's type.
+    // This is fine; we did not need the type to analyze the parameters,
+    // but we do need to set it before analyzing the body.
+    const paramTypes = params.map(param => param.type)
+    const returnType = type.children?.[0]?.rep() ?? VOID
+    const signature = parameters.source.coverageWith(type.source)
+    fun.type = located(core.functionType(paramTypes, returnType), signature)
+
+    // Analyze body while still in child context, then make sure it can't
+    // get to its closing brace without returning, unless it needn't return
+    const body = block.rep()
+    mustNotFallOffTheEnd(fun, body, { at: block.children.at(-1) })
+
+    // Go back up to the outer context before returning
+    context = context.parent
+    return { params, body }
+  }
+
+  // The type an alias names, which is the same type, and so equivalent to
+  // any other use of it. When it is made of other types, it is a copy that
+  // knows the alias, so that it can be described by the alias's name; other
+  // types have names of their own, and are compared by identity.
+  function aliased(alias, source) {
+    const type = resolved(alias)
+    const madeOfTypes =
+      ["ArrayType", "OptionalType", "FunctionType"].includes(type.kind) || type.generic
+    return madeOfTypes ? located({ ...type, alias }, source) : type
+  }
+
+  // What an alias names is worked out the first time it is needed, which may
+  // be before its declaration, in the context it was declared in
+  function resolved(alias) {
+    const waiting = unresolved.get(alias)
+    if (waiting) {
+      unresolved.delete(alias)
+      resolving.add(alias)
+      const saved = context
+      context = waiting.context
+      alias.aliasedType = waiting.type.rep()
+      context = saved
+      resolving.delete(alias)
+    }
+    return alias.aliasedType
+  }
+
+  // Aliases in a program or a block can be used, and refer to one another, in
+  // any order, so they are all declared before any statement is analyzed
+  function declareAliases(statements) {
+    for (const statement of statements.children) statement.alias()
+  }
+
+  // Substitute type arguments for type parameters throughout a type. The new
+  // types are made from the source where the substitution was needed.
+  function instantiate(type, bindings, source) {
+    return substituted(type, bindings, t => located(t, source))
   }
 
   // Building the program representation will be done together with semantic
@@ -265,60 +953,170 @@ export default function analyze(match) {
   // since types and functions need to be dealt with in two steps to allow
   // recursion.
   const builder = match.matcher.grammar.createSemantics().addOperation("rep", {
-    Program(statements) {
-      return core.program(statements.children.map(s => s.rep()))
+    Program(imports, statements) {
+      enterScope(this)
+      const importDeclarations = imports.children.map(i => i.rep())
+      declareAliases(statements)
+      const children = [...importDeclarations, ...statements.children.map(s => s.rep())]
+      return located(core.program(children), this.source)
+    },
+
+    Import(_import, _open, ids, _close, _from, path, _semicolon) {
+      // Where the module is and how it gets analyzed is up to importModule,
+      // which gives back the module's exports, unless the module can't be
+      // imported at all. When the module itself could not be analyzed, there
+      // are no exports, and the names are imported without complaint, as
+      // stand-ins, since the module's own errors have been reported.
+      const specifier = path.sourceString.slice(1, -1)
+      const module = importModule?.(specifier) ?? {
+        error: "Modules can only be imported by programs in files",
+      }
+      const ok = mustBeImportable(module, { at: path })
+      const entities = ids.asIteration().children.map(id => {
+        let entity = ok ? module.exports?.get(id.sourceString) : undefined
+        if (ok && module.exports) {
+          mustBeExported(entity, id.sourceString, specifier, { at: id })
+        }
+        entity ??= located(core.variable(id.sourceString, true, ERROR), id.source)
+        mustNotAlreadyBeDeclared(id.sourceString, { at: id })
+        context.add(id.sourceString, entity)
+        imported.add(entity)
+        refer(entity, id, { declaration: true })
+        return entity
+      })
+      return located(core.importDeclaration(specifier, entities), this.source)
+    },
+
+    TopLevel_export(_export, declaration) {
+      return located(core.exportDeclaration(declaration.rep()), this.source)
     },
 
     VarDecl(modifier, id, _eq, exp, _semicolon) {
       const initializer = exp.rep()
       const readOnly = modifier.sourceString === "const"
-      const variable = core.variable(id.sourceString, readOnly, initializer.type)
+      const variable = located(
+        core.variable(id.sourceString, readOnly, initializer.type),
+        id.source
+      )
       mustNotAlreadyBeDeclared(id.sourceString, { at: id })
       context.add(id.sourceString, variable)
-      return core.variableDeclaration(variable, initializer)
+      refer(variable, id, { declaration: true })
+      return located(core.variableDeclaration(variable, initializer), this.source)
     },
 
-    TypeDecl(_struct, id, _left, fields, _right) {
+    TypeDecl_struct(_struct, id, typeParameters, _left, fields, methods, _right) {
       // To allow recursion, enter into context without any fields yet
-      const type = core.structType(id.sourceString, [])
+      const type = located(core.structType(id.sourceString, []), id.source)
       mustNotAlreadyBeDeclared(id.sourceString, { at: id })
       context.add(id.sourceString, type)
+      refer(type, id, { declaration: true })
+      // The type parameters are only in scope in the fields
+      context = context.newChildContext()
+      type.typeParameters = typeParameters.children[0]?.rep() ?? []
       // Now add the types as you parse and analyze. Since we already added
       // the struct type itself into the context, we can use it in fields.
-      type.fields = fields.children.map(field => field.rep())
+      // The fields go into the existing array, which instances of a generic
+      // struct made while analyzing its fields are sharing.
+      type.fields.push(...fields.children.map(field => field.rep()))
+      // The methods, which can use the type parameters too, go into the
+      // existing array for the same reason
+      const methodDeclarations = methods.children.map(method => method.method(type))
+      context = context.parent
       mustHaveDistinctFields(type, { at: id })
       mustNotBeSelfContaining(type, { at: id })
-      return core.typeDeclaration(type)
+      return located(core.typeDeclaration(type, methodDeclarations), this.source)
+    },
+
+    TypeDecl_enum(_enum, id, _left, variants, _right) {
+      // As with structs, the enum is in the context before its variants are
+      // analyzed, so that their payloads can contain the enum itself
+      const type = located(core.enumType(id.sourceString, []), id.source)
+      mustNotAlreadyBeDeclared(id.sourceString, { at: id })
+      context.add(id.sourceString, type)
+      refer(type, id, { declaration: true })
+      type.variants = variants.asIteration().children.map(variant => variant.rep())
+      for (const variant of type.variants) variant.enumType = type
+      mustHaveDistinctVariants(type, { at: id })
+      return located(core.typeDeclaration(type), this.source)
+    },
+
+    TypeDecl_alias(_type, id, _eq, _aliasedType, _semicolon) {
+      // The alias has been declared already, and may have been resolved too,
+      // where it was used ahead of here
+      const alias = aliases.get(id.source.startIdx)
+      resolved(alias)
+      return located(core.typeDeclaration(alias), this.source)
+    },
+
+    TypeDecl_interface(_interface, id, _left, fields, signatures, _right) {
+      // As with structs, the interface is in the context before its members
+      // are analyzed, so that they can mention it
+      const type = located(core.interfaceType(id.sourceString, []), id.source)
+      mustNotAlreadyBeDeclared(id.sourceString, { at: id })
+      context.add(id.sourceString, type)
+      refer(type, id, { declaration: true })
+      type.fields.push(...fields.children.map(field => field.rep()))
+      mustHaveDistinctFields(type, { at: id })
+      for (const signature of signatures.children) {
+        const method = signature.rep()
+        mustNotHaveMember(type, method.name, { at: signature.children[1] })
+        type.methods.push(method)
+      }
+      return located(core.typeDeclaration(type), this.source)
+    },
+
+    MethodSig(_fun, id, parameters, _colon, type, _semicolon) {
+      // The parameters of a method of an interface are named only for the
+      // reader, and only need a context of their own
+      const method = located(core.method(id.sourceString), id.source)
+      refer(method, id, { declaration: true })
+      context = context.newChildContext()
+      const paramTypes = parameters.rep().map(param => param.type)
+      const returnType = type.children[0]?.rep() ?? VOID
+      context = context.parent
+      const signature = parameters.source.coverageWith(type.source)
+      method.type = located(core.functionType(paramTypes, returnType), signature)
+      return method
+    },
+
+    Variant(id, _open, fields, _close) {
+      const payload = fields.children[0]?.asIteration().children.map(f => f.rep()) ?? []
+      const variant = located(core.variant(id.sourceString, payload), id.source)
+      refer(variant, id, { declaration: true })
+      mustHaveDistinctFields(variant, { at: id })
+      return variant
     },
 
     Field(id, _colon, type) {
-      return core.field(id.sourceString, type.rep())
+      const field = located(core.field(id.sourceString, type.rep()), id.source)
+      refer(field, id, { declaration: true })
+      return field
     },
 
-    FunDecl(_fun, id, parameters, _colons, type, block) {
+    FunDecl(_fun, id, typeParameters, parameters, _colons, type, block) {
       // Start by making the function, but we don't yet know its type.
       // Also add it to the context so that we can have recursion.
-      const fun = core.fun(id.sourceString)
+      const fun = located(core.fun(id.sourceString), id.source)
       mustNotAlreadyBeDeclared(id.sourceString, { at: id })
       context.add(id.sourceString, fun)
+      refer(fun, id, { declaration: true })
+      const { params, body } = analyzeFunction(fun, {
+        typeParameters,
+        parameters,
+        type,
+        block,
+      })
+      return located(core.functionDeclaration(fun, params, body), this.source)
+    },
 
-      // Parameters are part of the child context
-      context = context.newChildContext({ inLoop: false, function: fun })
-      const params = parameters.rep()
-
-      // Now that the parameters are known, we compute the function's type.
-      // This is fine; we did not need the type to analyze the parameters,
-      // but we do need to set it before analyzing the body.
-      const paramTypes = params.map(param => param.type)
-      const returnType = type.children?.[0]?.rep() ?? VOID
-      fun.type = core.functionType(paramTypes, returnType)
-
-      // Analyze body while still in child context
-      const body = block.rep()
-
-      // Go back up to the outer context before returning
-      context = context.parent
-      return core.functionDeclaration(fun, params, body)
+    TypeParams(_open, idList, _close) {
+      return idList.asIteration().children.map(id => {
+        const typeParameter = located(core.typeParameter(id.sourceString), id.source)
+        mustNotAlreadyBeDeclared(id.sourceString, { at: id })
+        context.add(id.sourceString, typeParameter)
+        refer(typeParameter, id, { declaration: true })
+        return typeParameter
+      })
     },
 
     Params(_open, paramList, _close) {
@@ -327,70 +1125,99 @@ export default function analyze(match) {
     },
 
     Param(id, _colon, type) {
-      const param = core.variable(id.sourceString, false, type.rep())
+      const param = located(core.variable(id.sourceString, false, type.rep()), id.source)
       mustNotAlreadyBeDeclared(param.name, { at: id })
       context.add(param.name, param)
+      refer(param, id, { declaration: true })
       return param
     },
 
     Type_optional(baseType, _questionMark) {
-      return core.optionalType(baseType.rep())
+      return located(core.optionalType(baseType.rep()), this.source)
     },
 
     Type_array(_left, baseType, _right) {
-      return core.arrayType(baseType.rep())
+      return located(core.arrayType(baseType.rep()), this.source)
     },
 
     Type_function(_left, types, _right, _arrow, type) {
       const paramTypes = types.asIteration().children.map(t => t.rep())
       const returnType = type.rep()
-      return core.functionType(paramTypes, returnType)
+      return located(core.functionType(paramTypes, returnType), this.source)
+    },
+
+    Type_generic(id, _open, types, _close) {
+      const entity = context.lookup(id.sourceString)
+      const typeArguments = types.asIteration().children.map(t => t.rep())
+      const ok =
+        mustHaveBeenFound(entity, id.sourceString, { at: id }) &&
+        mustBeAType(entity, { at: id }) &&
+        mustHaveCorrectTypeArgumentCount(entity, typeArguments.length, { at: id })
+      if (ok) refer(entity, id)
+      return ok ? located(core.structInstance(entity, typeArguments), this.source) : ERROR
     },
 
     Type_id(id) {
       const entity = context.lookup(id.sourceString)
-      mustHaveBeenFound(entity, id.sourceString, { at: id })
-      mustBeAType(entity, { at: id })
-      return entity
+      const ok =
+        mustHaveBeenFound(entity, id.sourceString, { at: id }) &&
+        mustBeAType(entity, { at: id }) &&
+        mustHaveCorrectTypeArgumentCount(entity, 0, { at: id }) &&
+        (entity.kind !== "TypeAlias" || mustNotBeCyclic(entity, { at: id }))
+      if (ok) refer(entity, id)
+      if (!ok) return ERROR
+      return entity.kind === "TypeAlias" ? aliased(entity, this.source) : entity
     },
 
     Statement_bump(exp, operator, _semicolon) {
       const variable = exp.rep()
       mustHaveIntegerType(variable, { at: exp })
-      return operator.sourceString === "++"
-        ? core.increment(variable)
-        : core.decrement(variable)
+      mustNotBeImported(variable, { at: exp })
+      const bump = operator.sourceString === "++" ? core.increment : core.decrement
+      return located(bump(variable), this.source)
     },
 
     Statement_assign(variable, _eq, expression, _semicolon) {
       const source = expression.rep()
       const target = variable.rep()
       mustBeAssignable(source, { toType: target.type }, { at: variable })
-      mustNotBeReadOnly(target, { at: variable })
-      return core.assignment(target, source)
+      mustNotBeAMethod(target, { at: variable }) &&
+        mustNotBeAnOptionalChain(target, { at: variable }) &&
+        mustNotBeReadOnly(target, { at: variable }) &&
+        mustNotBeImported(target, { at: variable })
+      return located(core.assignment(target, source), this.source)
+    },
+
+    Statement_call(exp, _semicolon) {
+      // The grammar can't insist on a call here, since a call whose callee
+      // is a member or element, such as p.move(1), starts out as one
+      const call = exp.rep()
+      mustBeACall(call, { at: exp })
+      return call
     },
 
-    Statement_call(call, _semicolon) {
-      return call.rep()
+    Statement_break(breakKeyword, id, _semicolon) {
+      const label = mustBeInLoop("Break", { at: breakKeyword }) && jumpTarget(id)
+      return located(core.labeled(core.breakStatement(), label), this.source)
     },
 
-    Statement_break(breakKeyword, _semicolon) {
-      mustBeInLoop({ at: breakKeyword })
-      return core.breakStatement
+    Statement_continue(continueKeyword, id, _semicolon) {
+      const label = mustBeInLoop("Continue", { at: continueKeyword }) && jumpTarget(id)
+      return located(core.labeled(core.continueStatement(), label), this.source)
     },
 
     Statement_return(returnKeyword, exp, _semicolon) {
-      mustBeInAFunction({ at: returnKeyword })
-      mustReturnSomething(context.function, { at: returnKeyword })
       const returnExpression = exp.rep()
-      mustBeReturnable(returnExpression, { from: context.function }, { at: exp })
-      return core.returnStatement(returnExpression)
+      mustBeInAFunction({ at: returnKeyword }) &&
+        mustReturnSomething(context.function, { at: returnKeyword }) &&
+        mustBeReturnable(returnExpression, { from: context.function }, { at: exp })
+      return located(core.returnStatement(returnExpression), this.source)
     },
 
     Statement_shortreturn(returnKeyword, _semicolon) {
-      mustBeInAFunction({ at: returnKeyword })
-      mustNotReturnAnything(context.function, { at: returnKeyword })
-      return core.shortReturnStatement()
+      mustBeInAFunction({ at: returnKeyword }) &&
+        mustNotReturnAnything(context.function, { at: returnKeyword })
+      return located(core.shortReturnStatement(), this.source)
     },
 
     IfStmt_long(_if, exp, block1, _else, block2) {
@@ -402,7 +1229,7 @@ export default function analyze(match) {
       context = context.newChildContext()
       const alternate = block2.rep()
       context = context.parent
-      return core.ifStatement(test, consequent, alternate)
+      return located(core.ifStatement(test, consequent, alternate), this.source)
     },
 
     IfStmt_elsif(_if, exp, block, _else, trailingIfStatement) {
@@ -412,7 +1239,7 @@ export default function analyze(match) {
       const consequent = block.rep()
       context = context.parent
       const alternate = trailingIfStatement.rep()
-      return core.ifStatement(test, consequent, alternate)
+      return located(core.ifStatement(test, consequent, alternate), this.source)
     },
 
     IfStmt_short(_if, exp, block) {
@@ -421,51 +1248,132 @@ export default function analyze(match) {
       context = context.newChildContext()
       const consequent = block.rep()
       context = context.parent
-      return core.shortIfStatement(test, consequent)
+      return located(core.shortIfStatement(test, consequent), this.source)
     },
 
-    LoopStmt_while(_while, exp, block) {
+    IfStmt_letlong(_if, unwrap, block1, _else, block2) {
+      const { variable, optional } = unwrap.rep()
+      const consequent = unwrapped(variable, block1)
+      context = context.newChildContext()
+      const alternate = block2.rep()
+      context = context.parent
+      const statement = core.ifLetStatement(variable, optional, consequent, alternate)
+      return located(statement, this.source)
+    },
+
+    IfStmt_letelsif(_if, unwrap, block, _else, trailingIfStatement) {
+      const { variable, optional } = unwrap.rep()
+      const consequent = unwrapped(variable, block)
+      const alternate = trailingIfStatement.rep()
+      const statement = core.ifLetStatement(variable, optional, consequent, alternate)
+      return located(statement, this.source)
+    },
+
+    IfStmt_letshort(_if, unwrap, block) {
+      const { variable, optional } = unwrap.rep()
+      const consequent = unwrapped(variable, block)
+      const statement = core.shortIfLetStatement(variable, optional, consequent)
+      return located(statement, this.source)
+    },
+
+    Unwrap(_let, id, _eq, exp) {
+      const optional = exp.rep()
+      const ok = mustHaveAnOptionalType(optional, { at: exp })
+      const type = ok ? optional.type.baseType : ERROR
+      const variable = located(core.variable(id.sourceString, true, type), id.source)
+      refer(variable, id, { declaration: true })
+      return { variable, optional }
+    },
+
+    LoopStmt_while(labelNode, _while, exp, block) {
       const test = exp.rep()
       mustHaveBooleanType(test, { at: exp })
-      context = context.newChildContext({ inLoop: true })
+      const label = labelNode.children[0]?.rep()
+      context = loopContext(label)
+      const body = block.rep()
+      context = context.parent
+      return located(core.labeled(core.whileStatement(test, body), label), this.source)
+    },
+
+    LoopStmt_whilelet(labelNode, _while, unwrap, block) {
+      const { variable, optional } = unwrap.rep()
+      const label = labelNode.children[0]?.rep()
+      context = loopContext(label)
+      context.add(variable.name, variable)
       const body = block.rep()
       context = context.parent
-      return core.whileStatement(test, body)
+      const loop = core.whileLetStatement(variable, optional, body)
+      return located(core.labeled(loop, label), this.source)
     },
 
-    LoopStmt_repeat(_repeat, exp, block) {
+    LoopStmt_repeat(labelNode, _repeat, exp, block) {
       const count = exp.rep()
       mustHaveIntegerType(count, { at: exp })
-      context = context.newChildContext({ inLoop: true })
+      const label = labelNode.children[0]?.rep()
+      context = loopContext(label)
       const body = block.rep()
       context = context.parent
-      return core.repeatStatement(count, body)
+      return located(core.labeled(core.repeatStatement(count, body), label), this.source)
     },
 
-    LoopStmt_range(_for, id, _in, exp1, op, exp2, block) {
+    LoopStmt_range(labelNode, _for, id, _in, exp1, op, exp2, block) {
       const [low, high] = [exp1.rep(), exp2.rep()]
       mustHaveIntegerType(low, { at: exp1 })
       mustHaveIntegerType(high, { at: exp2 })
-      const iterator = core.variable(id.sourceString, true, INT)
-      context = context.newChildContext({ inLoop: true })
+      const iterator = located(core.variable(id.sourceString, true, INT), id.source)
+      const label = labelNode.children[0]?.rep()
+      context = loopContext(label)
       context.add(id.sourceString, iterator)
+      refer(iterator, id, { declaration: true })
       const body = block.rep()
       context = context.parent
-      return core.forRangeStatement(iterator, low, op.sourceString, high, body)
+      const loop = core.forRangeStatement(iterator, low, op.sourceString, high, body)
+      return located(core.labeled(loop, label), this.source)
     },
 
-    LoopStmt_collection(_for, id, _in, exp, block) {
+    LoopStmt_collection(labelNode, _for, id, _in, exp, block) {
       const collection = exp.rep()
-      mustHaveAnArrayType(collection, { at: exp })
-      const iterator = core.variable(id.sourceString, true, collection.type.baseType)
-      context = context.newChildContext({ inLoop: true })
+      const ok = mustHaveAnArrayType(collection, { at: exp })
+      const iteratorType = ok ? collection.type.baseType : ERROR
+      const iterator = located(
+        core.variable(id.sourceString, true, iteratorType),
+        id.source
+      )
+      const label = labelNode.children[0]?.rep()
+      context = loopContext(label)
       context.add(iterator.name, iterator)
+      refer(iterator, id, { declaration: true })
       const body = block.rep()
       context = context.parent
-      return core.forStatement(iterator, collection, body)
+      const loop = core.forStatement(iterator, collection, body)
+      return located(core.labeled(loop, label), this.source)
+    },
+
+    Label(id, _colon) {
+      // Labels are not in the same namespace as other identifiers: they are
+      // only ever looked up by break and continue statements
+      const label = located(core.label(id.sourceString), id.source)
+      mustNotLabelTwoLoops(label.name, { at: id })
+      refer(label, id, { declaration: true })
+      return label
+    },
+
+    MatchStmt(matchKeyword, exp, _open, arms, _close) {
+      const subject = exp.rep()
+      const analyzedArms = analyzeArms(
+        subject,
+        arms.children,
+        { at: exp },
+        { at: matchKeyword }
+      )
+      return located(core.matchStatement(subject, analyzedArms), this.source)
     },
 
     Block(_open, statements, _close) {
+      // The context for the block has already been made by the statement
+      // that owns the block (e.g., a function, if, or loop)
+      enterScope(this)
+      declareAliases(statements)
       // No need for a block node, just return the list of statements
       return statements.children.map(s => s.rep())
     },
@@ -474,15 +1382,18 @@ export default function analyze(match) {
       const test = exp.rep()
       mustHaveBooleanType(test, { at: exp })
       const [consequent, alternate] = [exp1.rep(), exp2.rep()]
-      mustBothHaveTheSameType(consequent, alternate, { at: colon })
-      return core.conditional(test, consequent, alternate, consequent.type)
+      const ok = mustBothHaveTheSameType(consequent, alternate, { at: colon })
+      const type = ok ? consequent.type : ERROR
+      return located(core.conditional(test, consequent, alternate, type), this.source)
     },
 
     Exp1_unwrapelse(exp1, elseOp, exp2) {
       const [optional, op, alternate] = [exp1.rep(), elseOp.sourceString, exp2.rep()]
-      mustHaveAnOptionalType(optional, { at: exp1 })
-      mustBeAssignable(alternate, { toType: optional.type.baseType }, { at: exp2 })
-      return core.binary(op, optional, alternate, optional.type)
+      const ok =
+        mustHaveAnOptionalType(optional, { at: exp1 }) &&
+        mustBeAssignable(alternate, { toType: optional.type.baseType }, { at: exp2 })
+      const type = ok ? optional.type : ERROR
+      return located(core.binary(op, optional, alternate, type), this.source)
     },
 
     Exp2_or(exp, _ops, exps) {
@@ -491,7 +1402,8 @@ export default function analyze(match) {
       for (let e of exps.children) {
         let right = e.rep()
         mustHaveBooleanType(right, { at: e })
-        left = core.binary("||", left, right, BOOLEAN)
+        const source = exp.source.coverageWith(e.source)
+        left = located(core.binary("||", left, right, BOOLEAN), source)
       }
       return left
     },
@@ -502,7 +1414,8 @@ export default function analyze(match) {
       for (let e of exps.children) {
         let right = e.rep()
         mustHaveBooleanType(right, { at: e })
-        left = core.binary("&&", left, right, BOOLEAN)
+        const source = exp.source.coverageWith(e.source)
+        left = located(core.binary("&&", left, right, BOOLEAN), source)
       }
       return left
     },
@@ -513,7 +1426,8 @@ export default function analyze(match) {
       for (let e of exps.children) {
         let right = e.rep()
         mustHaveIntegerType(right, { at: e })
-        left = core.binary("|", left, right, INT)
+        const source = exp.source.coverageWith(e.source)
+        left = located(core.binary("|", left, right, INT), source)
       }
       return left
     },
@@ -524,7 +1438,8 @@ export default function analyze(match) {
       for (let e of exps.children) {
         let right = e.rep()
         mustHaveIntegerType(right, { at: e })
-        left = core.binary("^", left, right, INT)
+        const source = exp.source.coverageWith(e.source)
+        left = located(core.binary("^", left, right, INT), source)
       }
       return left
     },
@@ -535,52 +1450,55 @@ export default function analyze(match) {
       for (let e of exps.children) {
         let right = e.rep()
         mustHaveIntegerType(right, { at: e })
-        left = core.binary("&", left, right, INT)
+        const source = exp.source.coverageWith(e.source)
+        left = located(core.binary("&", left, right, INT), source)
       }
       return left
     },
 
     Exp4_compare(exp1, relop, exp2) {
       const [left, op, right] = [exp1.rep(), relop.sourceString, exp2.rep()]
-      // == and != can have any operand types as long as they are the same
-      // But inequality operators can only be applied to numbers and strings
-      if (["<", "<=", ">", ">="].includes(op)) {
-        mustHaveNumericOrStringType(left, { at: exp1 })
+      // == and != (equality), and === and !== (identity), can have any
+      // operand types as long as they are the same. But inequality operators
+      // can only be applied to numbers and strings
+      const ordered = ["<", "<=", ">", ">="].includes(op)
+      if (!ordered || mustHaveNumericOrStringType(left, { at: exp1 })) {
+        mustBothHaveTheSameType(left, right, { at: relop })
       }
-      mustBothHaveTheSameType(left, right, { at: relop })
-      return core.binary(op, left, right, BOOLEAN)
+      return located(core.binary(op, left, right, BOOLEAN), this.source)
     },
 
     Exp5_shift(exp1, shiftOp, exp2) {
       const [left, op, right] = [exp1.rep(), shiftOp.sourceString, exp2.rep()]
       mustHaveIntegerType(left, { at: exp1 })
       mustHaveIntegerType(right, { at: exp2 })
-      return core.binary(op, left, right, INT)
+      return located(core.binary(op, left, right, INT), this.source)
     },
 
     Exp6_add(exp1, addOp, exp2) {
       const [left, op, right] = [exp1.rep(), addOp.sourceString, exp2.rep()]
-      if (op === "+") {
-        mustHaveNumericOrStringType(left, { at: exp1 })
-      } else {
-        mustHaveNumericType(left, { at: exp1 })
-      }
-      mustBothHaveTheSameType(left, right, { at: addOp })
-      return core.binary(op, left, right, left.type)
+      const ok =
+        (op === "+"
+          ? mustHaveNumericOrStringType(left, { at: exp1 })
+          : mustHaveNumericType(left, { at: exp1 })) &&
+        mustBothHaveTheSameType(left, right, { at: addOp })
+      return located(core.binary(op, left, right, ok ? left.type : ERROR), this.source)
     },
 
     Exp7_multiply(exp1, mulOp, exp2) {
       const [left, op, right] = [exp1.rep(), mulOp.sourceString, exp2.rep()]
-      mustHaveNumericType(left, { at: exp1 })
-      mustBothHaveTheSameType(left, right, { at: mulOp })
-      return core.binary(op, left, right, left.type)
+      const ok =
+        mustHaveNumericType(left, { at: exp1 }) &&
+        mustBothHaveTheSameType(left, right, { at: mulOp })
+      return located(core.binary(op, left, right, ok ? left.type : ERROR), this.source)
     },
 
     Exp8_power(exp1, powerOp, exp2) {
       const [left, op, right] = [exp1.rep(), powerOp.sourceString, exp2.rep()]
-      mustHaveNumericType(left, { at: exp1 })
-      mustBothHaveTheSameType(left, right, { at: powerOp })
-      return core.binary(op, left, right, left.type)
+      const ok =
+        mustHaveNumericType(left, { at: exp1 }) &&
+        mustBothHaveTheSameType(left, right, { at: powerOp })
+      return located(core.binary(op, left, right, ok ? left.type : ERROR), this.source)
     },
 
     Exp8_unary(unaryOp, exp) {
@@ -590,85 +1508,214 @@ export default function analyze(match) {
         mustHaveAnArrayType(operand, { at: exp })
         type = INT
       } else if (op === "-") {
-        mustHaveNumericType(operand, { at: exp })
-        type = operand.type
+        type = mustHaveNumericType(operand, { at: exp }) ? operand.type : ERROR
       } else if (op === "!") {
         mustHaveBooleanType(operand, { at: exp })
         type = BOOLEAN
       } else if (op === "some") {
-        type = core.optionalType(operand.type)
+        type = located(core.optionalType(operand.type), this.source)
       } else if (op === "random") {
-        mustHaveAnArrayType(operand, { at: exp })
-        type = operand.type.baseType
+        type = mustHaveAnArrayType(operand, { at: exp }) ? operand.type.baseType : ERROR
       }
-      return core.unary(op, operand, type)
+      return located(core.unary(op, operand, type), this.source)
     },
 
     Exp9_emptyarray(ty, _open, _close) {
       const type = ty.rep()
       mustBeAnArrayType(type, { at: ty })
-      return core.emptyArray(type)
+      return located(core.emptyArray(type), this.source)
     },
 
     Exp9_arrayexp(_open, args, _close) {
       const elements = args.asIteration().children.map(e => e.rep())
       mustAllHaveSameType(elements, { at: args })
-      return core.arrayExpression(elements)
+      const array = located(core.arrayExpression(elements), this.source)
+      located(array.type, this.source)
+      return array
     },
 
     Exp9_emptyopt(_no, type) {
-      return core.emptyOptional(type.rep())
+      const empty = located(core.emptyOptional(type.rep()), this.source)
+      located(empty.type, this.source)
+      return empty
     },
 
     Exp9_parens(_open, expression, _close) {
       return expression.rep()
     },
 
-    Exp9_subscript(exp1, _open, exp2, _close) {
+    Exp9_match(matchKeyword, exp, _open, arms, _close) {
+      const subject = exp.rep()
+      const analyzedArms = analyzeArms(
+        subject,
+        arms.asIteration().children,
+        { at: exp },
+        { at: matchKeyword }
+      )
+      const values = analyzedArms.map(arm => arm.body)
+      const ok = mustAllHaveSameType(values, { at: arms })
+      const type = ok ? values[0].type : ERROR
+      return located(core.matchExpression(subject, analyzedArms, type), this.source)
+    },
+
+    Exp9_lambda(parameters, _colon, returnType, _arrow, body) {
+      // Much like a function declaration, but without a name. When the body
+      // is an expression rather than a block, the return type may be left
+      // off, in which case it is the type of the expression.
+      const lambda = located(core.lambda(), this.source)
+      context = context.newChildContext({ inLoop: false, labels: [], function: lambda })
+      enterScope(this)
+      lambda.params = parameters.rep()
+      const paramTypes = lambda.params.map(param => param.type)
+      const declaredType = returnType.children[0]?.rep()
+      const signature = parameters.source.coverageWith(returnType.source)
+      if (body.ctorName === "Block") {
+        // The type is needed to check the return statements in the body
+        const type = core.functionType(paramTypes, declaredType ?? VOID)
+        lambda.type = located(type, signature)
+        lambda.body = body.rep()
+        mustNotFallOffTheEnd(lambda, lambda.body, { at: body.children.at(-1) })
+      } else {
+        lambda.body = body.rep()
+        if (declaredType) {
+          mustBeAssignable(lambda.body, { toType: declaredType }, { at: body })
+        }
+        const type = core.functionType(paramTypes, declaredType ?? lambda.body.type)
+        lambda.type = located(type, signature)
+      }
+      context = context.parent
+      return lambda
+    },
+
+    Exp9_subscript(exp1, open, exp2, _close) {
       const [array, subscript] = [exp1.rep(), exp2.rep()]
-      mustHaveAnArrayType(array, { at: exp1 })
+      if (open.sourceString === "?[") {
+        const ok = mustHaveAnOptionalArrayType(array, { at: exp1 })
+        mustHaveIntegerType(subscript, { at: exp2 })
+        const type = ok ? optionalOf(array.type.baseType.baseType, this.source) : ERROR
+        const expression = core.optionalChain(core.subscript(array, subscript, type))
+        return located(expression, this.source)
+      }
+      const ok = mustHaveAnArrayType(array, { at: exp1 })
       mustHaveIntegerType(subscript, { at: exp2 })
-      return core.subscript(array, subscript)
+      const type = ok ? array.type.baseType : ERROR
+      return located(core.subscript(array, subscript, type), this.source)
     },
 
     Exp9_member(exp, dot, id) {
-      const object = exp.rep()
+      const object = typeOrValue(exp)
+      if (object?.kind === "EnumType" && dot.sourceString === ".") {
+        // A variant with a payload is called with the payload to make a
+        // value, while a variant without a payload is a value already
+        if (!mustHaveVariant(object, id.sourceString, { at: id })) {
+          return located(core.variable(id.sourceString, false, ERROR), id.source)
+        }
+        const variant = object.variants.find(v => v.name === id.sourceString)
+        refer(variant, id)
+        if (variant.fields.length > 0) return variant
+        return located(core.constructorCall(variant, [], object), this.source)
+      }
       let structType
       if (dot.sourceString === "?.") {
-        mustHaveAnOptionalStructType(object, { at: exp })
-        structType = object.type.baseType
-      } else {
-        mustHaveAStructType(object, { at: exp })
+        if (mustHaveAnOptionalStructType(object, { at: exp })) {
+          structType = object.type.baseType
+        }
+      } else if (mustHaveAStructType(object, { at: exp })) {
         structType = object.type
       }
-      mustHaveMember(structType, id.sourceString, { at: id })
-      const field = structType.fields.find(f => f.name === id.sourceString)
-      return core.memberExpression(object, dot.sourceString, field)
+      // When the member can't be found, use a stand-in field so analysis can
+      // go on
+      let member = located(core.field(id.sourceString, ERROR), id.source)
+      if (structType && mustHaveMember(structType, id.sourceString, { at: id })) {
+        member = membersOf(structType).find(m => m.name === id.sourceString)
+        refer(member, id)
+      }
+      // A member of an instance of a generic struct has an instantiated type
+      let type = structType?.generic
+        ? instantiate(member.type, typeArgumentsOf(structType), this.source)
+        : member.type
+      if (dot.sourceString === "?.") type = optionalOf(type, this.source)
+      const expression =
+        member.kind === "Method"
+          ? core.methodExpression(object, dot.sourceString, member, type)
+          : core.memberExpression(object, dot.sourceString, member, type)
+      return located(expression, this.source)
     },
 
     Exp9_call(exp, open, expList, _close) {
-      const callee = exp.rep()
-      mustBeCallable(callee, { at: exp })
+      const callee = typeOrValue(exp)
       const exps = expList.asIteration().children
-      const targetTypes =
-        callee?.kind === "StructType"
-          ? callee.fields.map(f => f.type)
-          : callee.type.paramTypes
-      mustHaveCorrectArgumentCount(exps.length, targetTypes.length, { at: open })
-      const args = exps.map((exp, i) => {
-        const arg = exp.rep()
-        mustBeAssignable(arg, { toType: targetTypes[i] }, { at: exp })
-        return arg
+      if (open.sourceString === "?(") {
+        // Functions in optionals are never generic, so there is nothing to
+        // infer, and the arguments go right to the parameters
+        const args = exps.map(exp => exp.rep())
+        let type = ERROR
+        if (mustHaveAnOptionalFunctionType(callee, { at: exp })) {
+          const { paramTypes, returnType } = callee.type.baseType
+          mustHaveCorrectArgumentCount(args.length, paramTypes.length, { at: open }) &&
+            args.forEach((arg, i) => {
+              mustBeAssignable(arg, { toType: paramTypes[i] }, { at: exps[i] })
+            })
+          type = optionalOf(returnType, this.source)
+        }
+        const call = core.optionalChain(core.functionCall(callee, args, type))
+        return located(call, this.source)
+      }
+      // A method of an object that may not be there, called with ?., is
+      // called like any other method, but then there may be no result
+      const chained = callee?.kind === "MethodExpression" && callee.op === "?."
+      if (!chained && !mustBeCallable(callee, { at: exp })) {
+        // Still analyze the arguments, they may have errors of their own
+        const args = exps.map(exp => exp.rep())
+        return located(core.functionCall(callee, args, ERROR), this.source)
+      }
+      const functionType = chained ? callee.type.baseType : callee.type
+      let targetTypes = ["StructType", "Variant"].includes(callee?.kind)
+        ? callee.fields.map(f => f.type)
+        : functionType.paramTypes
+      const countOk = mustHaveCorrectArgumentCount(exps.length, targetTypes.length, {
+        at: open,
       })
-      return callee?.kind === "StructType"
-        ? core.constructorCall(callee, args)
-        : core.functionCall(callee, args)
+      const args = exps.map(exp => exp.rep())
+      // Calls of generic functions and constructors are checked against the
+      // parameter types instantiated with the inferred type arguments
+      const { typeParameters = [] } = callee.method ?? callee
+      const bindings =
+        typeParameters.length > 0
+          ? inferTypeArguments(typeParameters, targetTypes, args, { at: exp })
+          : new Map()
+      if (bindings.size > 0) {
+        targetTypes = targetTypes.map(t => instantiate(t, bindings, this.source))
+      }
+      args.forEach((arg, i) => {
+        countOk && mustBeAssignable(arg, { toType: targetTypes[i] }, { at: exps[i] })
+      })
+      let call
+      if (callee?.kind === "StructType") {
+        const type =
+          bindings.size > 0
+            ? located(core.structInstance(callee, [...bindings.values()]), this.source)
+            : callee
+        call = core.constructorCall(callee, args, type)
+      } else if (callee?.kind === "Variant") {
+        call = core.constructorCall(callee, args, callee.enumType)
+      } else {
+        const { returnType } = functionType
+        let type =
+          bindings.size > 0 ? instantiate(returnType, bindings, this.source) : returnType
+        if (chained) type = optionalOf(type, this.source)
+        call = core.functionCall(callee, args, type)
+      }
+      return located(call, this.source)
     },
 
     Exp9_id(id) {
-      // When an id appears in an expression, it had better have been declared
-      const entity = context.lookup(id.sourceString)
-      mustHaveBeenFound(entity, id.sourceString, { at: id })
+      // Anywhere but before a call or a member, an id must name a value. If
+      // it names a type, treat it as a variable of the error type.
+      const entity = identified(id)
+      if (!mustNotBeAType(entity, { at: id })) {
+        return located(core.variable(id.sourceString, false, ERROR), id.source)
+      }
       return entity
     },
 
@@ -690,6 +1737,20 @@ export default function analyze(match) {
       return Number(this.sourceString)
     },
 
+    Interpolation(head, exp, middles, exps, tail) {
+      const strings = [
+        head.sourceString.slice(1, -2),
+        ...middles.children.map(middle => middle.sourceString.slice(1, -2)),
+        tail.sourceString.slice(1, -1),
+      ]
+      const expressions = [exp, ...exps.children].map(exp => {
+        const e = exp.rep()
+        mustNotBeVoid(e, { at: exp })
+        return e
+      })
+      return located(core.interpolation(strings, expressions), this.source)
+    },
+
     stringlit(_openQuote, _chars, _closeQuote) {
       // Carlos strings will be represented as plain JS strings, including
       // the quotation marks
@@ -697,5 +1758,99 @@ export default function analyze(match) {
     },
   })
 
-  return builder(match).rep()
+  builder.addOperation("method(structType)", {
+    FunDecl(_fun, id, typeParameters, parameters, _colons, type, block) {
+      // Much like a function declaration, but the method is not put in the
+      // context: it is found through its struct type, whose methods it joins
+      // before its body is analyzed, so that it can call itself. In the body,
+      // the object it is called on is the constant self.
+      const { structType } = this.args
+      const method = located(core.method(id.sourceString), id.source)
+      mustNotHaveMember(structType, id.sourceString, { at: id })
+      structType.methods.push(method)
+      refer(method, id, { declaration: true })
+      // In a generic struct, self is an instance with the type parameters
+      // for type arguments, just as the struct would be written in a field
+      const { typeParameters: ownTypeParameters } = structType
+      const selfType =
+        ownTypeParameters.length > 0
+          ? located(core.structInstance(structType, ownTypeParameters), id.source)
+          : structType
+      const self = located(core.variable("self", true, selfType), id.source)
+      const { params, body } = analyzeFunction(
+        method,
+        { typeParameters, parameters, type, block },
+        [self]
+      )
+      return located(core.methodDeclaration(method, self, params, body), this.source)
+    },
+  })
+
+  builder.addOperation("alias", {
+    TopLevel_export(_export, declaration) {
+      declaration.alias()
+    },
+
+    TypeDecl_alias(_type, id, _eq, type, _semicolon) {
+      const alias = located(core.typeAlias(id.sourceString), id.source)
+      mustNotAlreadyBeDeclared(id.sourceString, { at: id })
+      context.add(id.sourceString, alias)
+      refer(alias, id, { declaration: true })
+      aliases.set(id.source.startIdx, alias)
+      unresolved.set(alias, { type, context })
+    },
+
+    // Declarations are found within statements, but nowhere deeper
+    _nonterminal(...children) {
+      if (children.length === 1) children[0].alias()
+    },
+  })
+
+  builder.addOperation("arm(enumType)", {
+    Arm(pattern, _arrow, body) {
+      // Each arm has its own context, for the variables it binds
+      context = context.newChildContext()
+      const { variant, bindings } = pattern.arm(this.args.enumType)
+      const analyzedBody = body.rep()
+      context = context.parent
+      return located(core.matchArm(variant, bindings, analyzedBody), this.source)
+    },
+
+    Pattern_wildcard(_underscore) {
+      return { variant: null, bindings: [] }
+    },
+
+    Pattern_variant(id, _open, bindingList, _close) {
+      const enumType = this.args.enumType
+      // When the variant can't be found, use a stand-in so analysis can go on
+      let variant = located(core.variant(id.sourceString, []), id.source)
+      const found = enumType && mustHaveVariant(enumType, id.sourceString, { at: id })
+      if (found) {
+        variant = enumType.variants.find(v => v.name === id.sourceString)
+        refer(variant, id)
+      }
+      // Leaving off the parentheses matches the variant without binding its
+      // payload; otherwise every field is bound (or skipped with _) in order
+      const ids = bindingList.children[0]?.asIteration().children ?? []
+      const countOk =
+        found && (ids.length === 0 || mustBindEveryField(variant, ids.length, { at: id }))
+      const bindings = ids.map((binding, i) => {
+        if (binding.sourceString === "_") return null
+        const type = countOk ? variant.fields[i].type : ERROR
+        const variable = located(
+          core.variable(binding.sourceString, true, type),
+          binding.source
+        )
+        mustNotAlreadyBeDeclared(variable.name, { at: binding })
+        context.add(variable.name, variable)
+        refer(variable, binding, { declaration: true })
+        return variable
+      })
+      return { variant, bindings }
+    },
+  })
+
+  const program = builder(match).rep()
+  diagnostics.sort((d1, d2) => d1.start - d2.start)
+  return { program, diagnostics, references, scopes }
 }
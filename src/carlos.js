@@ -3,10 +3,15 @@
 import * as fs from "node:fs/promises"
 import stringify from "graph-stringify"
 import compile from "./compiler.js"
+import { showSpans } from "./core.js"
+import repl from "./repl.js"
+import serve from "./server.js"
 
 const help = `Carlos compiler
 
-Syntax: carlos <filename> <outputType>
+Syntax: carlos <filename> <outputType> [--spans] [--unchecked]
+        carlos repl
+        carlos lsp
 
 Prints to stdout according to <outputType>, which must be one of:
 
@@ -14,21 +19,75 @@ Prints to stdout according to <outputType>, which must be one of:
   analyzed   the statically analyzed representation
   optimized  the optimized semantically analyzed representation
   js         the translation to JavaScript
+  js+map     the translation to JavaScript, with an inline source map
+  esm        (prints the files written) writes a JavaScript module for each
+             Carlos module, next to it, with the extension .mjs
+  run        (not a translation) runs the program directly with the interpreter
+
+The modules the program imports, and the modules they import, and so on, are
+compiled along with it. Every output type but esm puts them all together.
+
+With --spans, the analyzed and optimized representations show the span of
+source code each node was made from.
+
+Warnings about code that is legal but probably a mistake, such as unused
+variables and unreachable code, are printed to stderr. A comment such as
+// lint-ignore unused-variable suppresses those on its line, or on the next
+line when the comment is alone on its own.
+
+The JavaScript checks, as it runs, for subscripts out of bounds, random
+elements of empty arrays, and int division by zero, unless given --unchecked.
+The interpreter always checks.
+
+The second form starts an interactive session in which you can enter
+declarations, statements, and expressions one at a time. The third form
+starts a language server, speaking the Language Server Protocol over stdin
+and stdout, for use by editors.
 `
 
-async function compileFromFile(filename, outputType) {
+async function compileFromFile(filename, outputType, flags) {
   try {
     const buffer = await fs.readFile(filename)
-    const compiled = compile(buffer.toString(), outputType)
-    console.log(stringify(compiled, "kind") || compiled)
+    const unchecked = flags.includes("--unchecked")
+    const compiled = compile(buffer.toString(), outputType, {
+      filename,
+      unchecked,
+      warn: report,
+    })
+    // When running, the program itself does all of the printing, and the
+    // modules made for esm go into files, whose names are printed instead
+    if (outputType === "esm") {
+      for (const [name, code] of compiled) {
+        await fs.writeFile(name, `${code}\n`)
+        console.log(name)
+      }
+    } else if (outputType !== "run") {
+      if (flags.includes("--spans")) showSpans(compiled)
+      console.log(stringify(compiled, "kind") || compiled)
+    }
   } catch (e) {
-    console.error(`\u001b[31m${e}\u001b[39m`)
+    // The analyzer reports every semantic error it finds at once; other
+    // errors (such as syntax errors) come one at a time
+    for (const diagnostic of e.diagnostics ?? [{ severity: "error", text: e.message }]) {
+      report(diagnostic)
+    }
     process.exitCode = 1
   }
 }
 
-if (process.argv.length !== 4) {
+function report({ severity, text, filename }) {
+  const [label, color] = severity === "error" ? ["Error", 31] : ["Warning", 33]
+  // Problems in imported modules say which module they are in
+  const where = filename ? ` in ${filename}` : ""
+  console.error(`\u001b[${color}m${label}${where}: ${text}\u001b[39m`)
+}
+
+if (process.argv.length === 3 && process.argv[2] === "repl") {
+  repl()
+} else if (process.argv.length === 3 && process.argv[2] === "lsp") {
+  serve()
+} else if (process.argv.length < 4) {
   console.log(help)
 } else {
-  compileFromFile(process.argv[2], process.argv[3])
+  compileFromFile(...process.argv.slice(2, 4), process.argv.slice(4))
 }
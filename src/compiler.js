@@ -1,17 +1,36 @@
 import parse from "./parser.js"
-import analyze from "./analyzer.js"
+import loadModules from "./modules.js"
 import optimize from "./optimizer.js"
-import generate from "./generator.js"
+import { generateBundle, generateModules } from "./generator.js"
+import { createInterpreter } from "./interpreter.js"
 
-export default function compile(source, outputType) {
-  if (!["parsed", "analyzed", "optimized", "js"].includes(outputType)) {
+const outputTypes = ["parsed", "analyzed", "optimized", "js", "js+map", "esm", "run"]
+
+export default function compile(source, outputType, { filename, unchecked, warn } = {}) {
+  if (!outputTypes.includes(outputType)) {
     throw new Error("Unknown output type")
   }
+  if (outputType === "esm" && filename === undefined) {
+    throw new Error("The esm output type needs a filename")
+  }
   const match = parse(source)
   if (outputType === "parsed") return "Syntax is ok"
-  const analyzed = analyze(match)
-  if (outputType === "analyzed") return analyzed
-  const optimized = optimize(analyzed)
-  if (outputType === "optimized") return optimized
-  return generate(optimized)
+  // Along with the program come all the modules it imports, which are
+  // translated or run with it. The program itself is the last module.
+  const modules = loadModules(match, { filename, warn })
+  if (outputType === "analyzed") return modules.at(-1).program
+  for (const module of modules) module.program = optimize(module.program)
+  if (outputType === "optimized") return modules.at(-1).program
+  if (outputType === "run") {
+    const interpreter = createInterpreter()
+    for (const { program, filename } of modules) interpreter.run(program, { filename })
+    return
+  }
+  // One JavaScript module for each Carlos module, by file name
+  if (outputType === "esm") return generateModules(modules, { unchecked })
+  const { code, map } = generateBundle(modules, { unchecked })
+  if (outputType === "js") return code
+  // The source map goes right in the generated code, as a data URL
+  const encodedMap = Buffer.from(JSON.stringify(map)).toString("base64")
+  return `${code}\n//# sourceMappingURL=data:application/json;base64,${encodedMap}`
 }
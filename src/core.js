@@ -2,6 +2,16 @@ export function program(statements) {
   return { kind: "Program", statements }
 }
 
+// The entities are those named in the import, as exported by the module at
+// the path, which is the path as written in the source
+export function importDeclaration(path, entities) {
+  return { kind: "ImportDeclaration", path, entities }
+}
+
+export function exportDeclaration(declaration) {
+  return { kind: "ExportDeclaration", declaration }
+}
+
 export function variableDeclaration(variable, initializer) {
   return { kind: "VariableDeclaration", variable, initializer }
 }
@@ -10,8 +20,9 @@ export function variable(name, readOnly, type) {
   return { kind: "Variable", name, readOnly, type }
 }
 
-export function typeDeclaration(type) {
-  return { kind: "TypeDeclaration", type }
+// Only a struct type has methods, which are declared along with it
+export function typeDeclaration(type, methods = []) {
+  return { kind: "TypeDeclaration", type, methods }
 }
 
 export const boolType = { kind: "BoolType" }
@@ -21,20 +32,81 @@ export const stringType = { kind: "StringType" }
 export const voidType = { kind: "VoidType" }
 export const anyType = { kind: "AnyType" }
 
-export function structType(name, fields) {
-  return { kind: "StructType", name, fields }
+// The type given to expressions that could not be analyzed because of an
+// error. It is never written by the programmer.
+export const errorType = { kind: "ErrorType" }
+
+export function structType(name, fields, typeParameters = [], methods = []) {
+  return { kind: "StructType", name, fields, typeParameters, methods }
+}
+
+// A generic struct type applied to type arguments, such as Pair<int, string>.
+// It shares the fields of the generic struct, whose types mention the type
+// parameters; the type of a field of an instance is found by substituting
+// the type arguments for those parameters. Methods are shared the same way.
+export function structInstance(generic, typeArguments) {
+  return {
+    kind: "StructType",
+    name: generic.name,
+    fields: generic.fields,
+    methods: generic.methods,
+    generic,
+    typeArguments,
+  }
+}
+
+// Another name for a type, such as Handler for (string)->void. The alias is
+// not a type itself: wherever it is used, the type it names is used instead.
+// That type is not its type, which an alias, not being a value, lacks.
+export function typeAlias(name, aliasedType) {
+  return { kind: "TypeAlias", name, aliasedType }
+}
+
+// An interface is the type of every struct, and every other interface, with
+// the members it names: fields of the same types, and methods of types
+// assignable to those of its methods, which are signatures without bodies
+export function interfaceType(name, fields, methods = []) {
+  return { kind: "InterfaceType", name, fields, methods }
+}
+
+export function typeParameter(name) {
+  return { kind: "TypeParameter", name }
 }
 
 export function field(name, type) {
   return { kind: "Field", name, type }
 }
 
+export function enumType(name, variants) {
+  return { kind: "EnumType", name, variants }
+}
+
+export function variant(name, fields, enumType) {
+  return { kind: "Variant", name, fields, enumType }
+}
+
 export function functionDeclaration(fun, params, body) {
   return { kind: "FunctionDeclaration", fun, params, body }
 }
 
-export function fun(name, type) {
-  return { kind: "Function", name, type }
+export function fun(name, type, typeParameters = []) {
+  return { kind: "Function", name, type, typeParameters }
+}
+
+// A method is a function of a struct type, called on an object of the type,
+// which its body knows as self, a variable that comes before its parameters
+export function methodDeclaration(method, self, params, body) {
+  return { kind: "MethodDeclaration", method, self, params, body }
+}
+
+export function method(name, type, typeParameters = []) {
+  return { kind: "Method", name, type, typeParameters }
+}
+
+// A function expression, whose body is either a block of statements or a
+// single expression whose value is returned
+export function lambda(params, body, type) {
+  return { kind: "Lambda", params, body, type }
 }
 
 export function arrayType(baseType) {
@@ -61,7 +133,24 @@ export function assignment(target, source) {
   return { kind: "Assignment", target, source }
 }
 
-export const breakStatement = { kind: "BreakStatement" }
+export function breakStatement() {
+  return { kind: "BreakStatement" }
+}
+
+export function continueStatement() {
+  return { kind: "ContinueStatement" }
+}
+
+export function label(name) {
+  return { kind: "Label", name }
+}
+
+// A loop can be given a label, so that a break or continue inside a loop
+// within it can refer to it, by having the same label
+export function labeled(node, label) {
+  if (label) node.label = label
+  return node
+}
 
 export function returnStatement(expression) {
   return { kind: "ReturnStatement", expression }
@@ -79,10 +168,24 @@ export function shortIfStatement(test, consequent) {
   return { kind: "ShortIfStatement", test, consequent }
 }
 
+// In if let and while let statements, the variable is bound to the value of
+// the optional, when it has one, for the consequent or body only
+export function ifLetStatement(variable, optional, consequent, alternate) {
+  return { kind: "IfLetStatement", variable, optional, consequent, alternate }
+}
+
+export function shortIfLetStatement(variable, optional, consequent) {
+  return { kind: "ShortIfLetStatement", variable, optional, consequent }
+}
+
 export function whileStatement(test, body) {
   return { kind: "WhileStatement", test, body }
 }
 
+export function whileLetStatement(variable, optional, body) {
+  return { kind: "WhileLetStatement", variable, optional, body }
+}
+
 export function repeatStatement(count, body) {
   return { kind: "RepeatStatement", count, body }
 }
@@ -95,6 +198,21 @@ export function forStatement(iterator, collection, body) {
   return { kind: "ForStatement", iterator, collection, body }
 }
 
+export function matchStatement(subject, arms) {
+  return { kind: "MatchStatement", subject, arms }
+}
+
+export function matchExpression(subject, arms, type) {
+  return { kind: "MatchExpression", subject, arms, type }
+}
+
+// An arm with no variant is the wildcard arm, matching anything. A binding
+// is a variable for the field in the same position of the variant's payload,
+// or null for a field that is not bound.
+export function matchArm(variant, bindings, body) {
+  return { kind: "MatchArm", variant, bindings, body }
+}
+
 export function conditional(test, consequent, alternate, type) {
   return { kind: "Conditional", test, consequent, alternate, type }
 }
@@ -111,28 +229,71 @@ export function emptyOptional(baseType) {
   return { kind: "EmptyOptional", baseType, type: optionalType(baseType) }
 }
 
-export function subscript(array, index) {
-  return { kind: "SubscriptExpression", array, index, type: array.type.baseType }
+export function subscript(array, index, type = array.type.baseType) {
+  return { kind: "SubscriptExpression", array, index, type }
 }
 
 export function arrayExpression(elements) {
   return { kind: "ArrayExpression", elements, type: arrayType(elements[0].type) }
 }
 
+// A string with expressions interpolated into it, between the strings, which
+// are in their source form, escapes and all, but without quotation marks.
+// There is one more string than there are expressions.
+export function interpolation(strings, expressions) {
+  return { kind: "Interpolation", strings, expressions, type: stringType }
+}
+
 export function emptyArray(type) {
   return { kind: "EmptyArray", type }
 }
 
-export function memberExpression(object, op, field) {
-  return { kind: "MemberExpression", object, op, field, type: field.type }
+export function memberExpression(object, op, field, type = field.type) {
+  return { kind: "MemberExpression", object, op, field, type }
+}
+
+// A method of an object, which is called with the object as its self, and
+// which, when not called right away, is a function remembering the object
+export function methodExpression(object, op, method, type = method.type) {
+  return { kind: "MethodExpression", object, op, method, type }
+}
+
+export function functionCall(callee, args, type = callee.type.returnType) {
+  return { kind: "FunctionCall", callee, args, type }
+}
+
+// A call made with ?( or a subscript made with ?[ has no value when there is
+// no function or array, just as a member expression made with ?. does
+export function optionalChain(node) {
+  return Object.assign(node, { optional: true })
+}
+
+export function constructorCall(callee, args, type = callee) {
+  return { kind: "ConstructorCall", callee, args, type }
 }
 
-export function functionCall(callee, args) {
-  return { kind: "FunctionCall", callee, args, type: callee.type.returnType }
+// Nodes made from source code carry a span: the start and end offsets of the
+// source they were made from, and the line and column where that source
+// starts. The span is not an enumerable property, so that it stays out of the
+// way when comparing nodes and when printing them, unless shown on purpose.
+export function span(start, end, line, column) {
+  return { kind: "Span", start, end, line, column }
 }
 
-export function constructorCall(callee, args) {
-  return { kind: "ConstructorCall", callee, args, type: callee }
+export function locate(node, span) {
+  const descriptor = { value: span, writable: true, configurable: true }
+  return Object.defineProperty(node, "span", descriptor)
+}
+
+// Show (or hide again) the spans of a node and everything reachable from it
+export function showSpans(node, show = true, seen = new Set()) {
+  if (typeof node !== "object" || node === null || seen.has(node)) return node
+  seen.add(node)
+  if (Object.hasOwn(node, "span")) {
+    Object.defineProperty(node, "span", { enumerable: show })
+  }
+  for (const child of Object.values(node)) showSpans(child, show, seen)
+  return node
 }
 
 // These local constants are used to simplify the standard library definitions.
@@ -140,7 +301,35 @@ const floatToFloatType = functionType([floatType], floatType)
 const floatFloatToFloatType = functionType([floatType, floatType], floatType)
 const stringToIntsType = functionType([stringType], arrayType(intType))
 const anyToVoidType = functionType([anyType], voidType)
+const anyToStringType = functionType([anyType], stringType)
+const intToFloatType = functionType([intType], floatType)
+const floatToIntType = functionType([floatType], intType)
+const stringToIntType = functionType([stringType], intType)
+const stringToStringType = functionType([stringType], stringType)
+
+// Generic functions in the standard library are declared with a function
+// making their type from their type parameters, named T, U, and so on, one
+// for each parameter of the function. Their type arguments are inferred at
+// each call, just as for generic functions in programs.
+function genericFunction(name, makeType) {
+  const typeParameters = ["T", "U", "V"].slice(0, makeType.length).map(typeParameter)
+  return fun(name, makeType(...typeParameters), typeParameters)
+}
+
+const predicateType = T => functionType([T], boolType)
+
+// Sorting compares elements with <, which orders only numbers and strings, so
+// the type parameter of sort is limited to those types
+const sortable = Object.assign(typeParameter("T"), {
+  types: [intType, floatType, stringType],
+})
 
+// The math functions, abs, min, and max included, take and give floats only,
+// so that each has one type and can be passed around like any function; an
+// int is given to them through toFloat, and got back with truncate or round.
+// Strings are measured, cut, and searched by code point, and indexOf gives
+// -1 for a string not found. Of the array functions, push and pop change the
+// array given, while the others make a new array, if they make one at all.
 export const standardLibrary = Object.freeze({
   int: intType,
   float: floatType,
@@ -155,10 +344,63 @@ export const standardLibrary = Object.freeze({
   exp: fun("exp", floatToFloatType),
   ln: fun("ln", floatToFloatType),
   hypot: fun("hypot", floatFloatToFloatType),
+  sqrt: fun("sqrt", floatToFloatType),
+  abs: fun("abs", floatToFloatType),
+  floor: fun("floor", floatToFloatType),
+  min: fun("min", floatFloatToFloatType),
+  max: fun("max", floatFloatToFloatType),
+  atan2: fun("atan2", floatFloatToFloatType),
+  toFloat: fun("toFloat", intToFloatType),
+  truncate: fun("truncate", floatToIntType),
+  round: fun("round", floatToIntType),
   bytes: fun("bytes", stringToIntsType),
   codepoints: fun("codepoints", stringToIntsType),
+  length: fun("length", stringToIntType),
+  substring: fun("substring", functionType([stringType, intType, intType], stringType)),
+  indexOf: fun("indexOf", functionType([stringType, stringType], intType)),
+  split: fun("split", functionType([stringType, stringType], arrayType(stringType))),
+  join: fun("join", functionType([arrayType(stringType), stringType], stringType)),
+  trim: fun("trim", stringToStringType),
+  toUpper: fun("toUpper", stringToStringType),
+  parseInt: fun("parseInt", functionType([stringType], optionalType(intType))),
+  push: genericFunction("push", T => functionType([arrayType(T), T], voidType)),
+  pop: genericFunction("pop", T => functionType([arrayType(T)], optionalType(T))),
+  slice: genericFunction("slice", T =>
+    functionType([arrayType(T), intType, intType], arrayType(T))
+  ),
+  reverse: genericFunction("reverse", T => functionType([arrayType(T)], arrayType(T))),
+  sort: fun("sort", functionType([arrayType(sortable)], arrayType(sortable)), [sortable]),
+  map: genericFunction("map", (T, U) =>
+    functionType([arrayType(T), functionType([T], U)], arrayType(U))
+  ),
+  filter: genericFunction("filter", T =>
+    functionType([arrayType(T), predicateType(T)], arrayType(T))
+  ),
+  reduce: genericFunction("reduce", (T, U) =>
+    functionType([arrayType(T), functionType([U, T], U), U], U)
+  ),
+  all: genericFunction("all", T =>
+    functionType([arrayType(T), predicateType(T)], boolType)
+  ),
+  find: genericFunction("find", T =>
+    functionType([arrayType(T), predicateType(T)], optionalType(T))
+  ),
 })
 
+// Two of the types can also be called as functions, which have the names of
+// the types, so they can't be in the standard library too: string converts
+// any value to a string the way print shows it, and any says whether any
+// element of an array satisfies a predicate. The analyzer takes each of these
+// types, when it appears in an expression, to be its function.
+export const stringFunction = fun("string", anyToStringType)
+export const anyFunction = genericFunction("any", T =>
+  functionType([arrayType(T), predicateType(T)], boolType)
+)
+export const typeFunctions = new Map([
+  [stringType, stringFunction],
+  [anyType, anyFunction],
+])
+
 // We want every expression to have a type property. But we aren't creating
 // special entities for numbers, strings, and booleans; instead, we are
 // just using JavaScript values for those. Fortunately we can monkey patch
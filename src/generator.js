@@ -1,24 +1,184 @@
-// The code generator exports a single function, generate(program), which
-// accepts a program representation and returns the JavaScript translation
-// as a string.
+// The code generator exports a function, generate(program), which accepts a
+// program representation and returns the JavaScript translation as a string.
+// Its sibling, generateWithSourceMap(program), also produces a version 3
+// source map relating the generated statements and expressions back to the
+// lines and columns of the Carlos source they came from.
+//
+// A program made of several modules, as loaded by the module loader, can be
+// translated two ways. generateBundle(modules) makes a single JavaScript
+// program of all of them, with a source map whose sources are the modules.
+// generateModules(modules) makes a JavaScript module for each of them
+// instead, to be written next to its Carlos file.
+//
+// The generated code checks, as it runs, for the errors that the analyzer
+// can't rule out: subscripts out of bounds, a random element of an empty
+// array, int division by zero, an int raised to a negative power, and a
+// float that is infinite or NaN truncated or rounded to an int. Each check
+// that fails throws an error named CarlosError, saying where in the Carlos
+// source it happened. Every function here takes an option, unchecked, to
+// leave the checks out.
 
-import { voidType, standardLibrary } from "./core.js"
+import * as path from "node:path"
+import {
+  voidType,
+  boolType,
+  intType,
+  floatType,
+  stringType,
+  standardLibrary,
+  stringFunction,
+  anyFunction,
+} from "./core.js"
+import { memberType, typeDescription } from "./analyzer.js"
 
-export default function generate(program) {
+export default function generate(program, { unchecked } = {}) {
+  return generateWithSourceMap(program, { unchecked }).code
+}
+
+export function generateWithSourceMap(program, { filename, source, unchecked } = {}) {
+  return generateBundle([{ program, filename, source }], { unchecked })
+}
+
+// The modules must be in the order they are to be run. All of them share a
+// single scope, in which every entity has its own name, so an imported
+// entity is used under the very same name it was declared with.
+export function generateBundle(modules, { unchecked } = {}) {
+  return translate(modules, { unchecked })
+}
+
+// Each JavaScript module imports the entities it uses from the modules they
+// were declared in, which might not be the ones the Carlos module imported
+// them from: a module can, say, match on an enum it never named. So each
+// module is generated before the modules it imports, by then knowing every
+// entity the modules already generated need from it, which it exports. Since
+// names in one JavaScript module mean nothing in another, entities are
+// imported and exported by their Carlos names. Returns the code of each
+// module, by file name, in the order given.
+export function generateModules(modules, { unchecked } = {}) {
+  const homes = new Map()
+  for (const module of modules) {
+    for (const entity of declaredEntities(module.program)) homes.set(entity, module)
+  }
+  const wanted = new Map(modules.map(module => [module, new Set()]))
+  const code = new Map()
+  for (const module of [...modules].reverse()) {
+    const importFrom = entity => {
+      const home = homes.get(entity)
+      if (!home || home === module) return undefined
+      wanted.get(home).add(entity)
+      const specifier = path.relative(path.dirname(module.filename), outputName(home))
+      return specifier.startsWith(".") ? specifier : `./${specifier}`
+    }
+    const exports = wanted.get(module)
+    code.set(module, translate([module], { importFrom, exports, unchecked }).code)
+  }
+  return new Map(modules.map(module => [outputName(module), code.get(module)]))
+}
+
+function outputName({ filename }) {
+  return filename.replace(/(\.carlos)?$/, ".mjs")
+}
+
+// The entities declared at the top level of a program, which are the only
+// ones that other modules can use
+function declaredEntities(program) {
+  return program.statements.flatMap(statement => {
+    const declaration =
+      statement.kind === "ExportDeclaration" ? statement.declaration : statement
+    switch (declaration.kind) {
+      case "VariableDeclaration":
+        return [declaration.variable]
+      case "FunctionDeclaration":
+        return [declaration.fun]
+      case "TypeDeclaration":
+        const { type } = declaration
+        if (["TypeAlias", "InterfaceType"].includes(type.kind)) return []
+        return type.kind === "EnumType" ? type.variants : [type]
+    }
+    return []
+  })
+}
+
+// The name an entity is exported under. Variants are exported along with
+// the name of their enum, joined with an underscore, which can't appear in
+// Carlos identifiers, so these names can't clash with any others.
+function exportName(entity) {
+  if (entity.kind === "Variant") return `${entity.enumType.name}_${entity.name}`
+  return entity.name
+}
+
+// Translating a single JavaScript module is where importFrom comes in: given
+// an entity declared in another module, it returns the path of the module to
+// import it from. Fields are then properties named the same as in Carlos,
+// so that objects work in every module, whichever one made them.
+function translate(modules, { importFrom, exports = new Set(), unchecked = false } = {}) {
   // When generating code for statements, we'll accumulate the lines of
   // the target code here. When we finish generating, we'll join the lines
   // with newlines and return the result.
   const output = []
 
+  // For the source map, a line of output that begins a statement is mapped
+  // to the span of that statement. An expression marks the start of its code
+  // with the index of its span, between two control characters. Once all the
+  // lines are done, the markers are removed, noting the columns where they
+  // were. Control characters can't appear in Carlos string literals, so they
+  // can never be confused with anything else in the generated code. Along
+  // with each span goes the index of the module it is a span of.
+  const statementSpans = new Map()
+  const expressionSpans = []
+  let sourceIndex = 0
+
+  // The innermost statement or expression being generated, which a standard
+  // function says it failed in, whether it is called there or taken as a value
+  let site
+
+  // The entities imported from each module, by path
+  const imports = new Map()
+
   const standardFunctions = new Map([
-    [standardLibrary.print, x => `console.log(${x})`],
+    [standardLibrary.print, (x, [arg]) => `console.log(${printable(x, arg)})`],
+    [stringFunction, (x, [arg]) => formatted(x, typeOf(arg))],
     [standardLibrary.sin, x => `Math.sin(${x})`],
     [standardLibrary.cos, x => `Math.cos(${x})`],
     [standardLibrary.exp, x => `Math.exp(${x})`],
     [standardLibrary.ln, x => `Math.log(${x})`],
     [standardLibrary.hypot, ([x, y]) => `Math.hypot(${x},${y})`],
-    [standardLibrary.bytes, s => `[...Buffer.from(${s}, "utf8")]`],
-    [standardLibrary.codepoints, s => `[...(${s})].map(s=>s.codePointAt(0))`],
+    [standardLibrary.sqrt, x => `Math.sqrt(${x})`],
+    [standardLibrary.abs, x => `Math.abs(${x})`],
+    [standardLibrary.floor, x => `Math.floor(${x})`],
+    [standardLibrary.min, ([x, y]) => `Math.min(${x},${y})`],
+    [standardLibrary.max, ([x, y]) => `Math.max(${x},${y})`],
+    [standardLibrary.atan2, ([y, x]) => `Math.atan2(${y},${x})`],
+    [standardLibrary.toFloat, x => `Number(${x})`],
+    [standardLibrary.truncate, x => integral(`Math.trunc(${x})`)],
+    [standardLibrary.round, x => integral(`Math.round(${x})`)],
+    [standardLibrary.bytes, s => `[...Buffer.from(${s}, "utf8")].map(BigInt)`],
+    [standardLibrary.codepoints, s => `[...(${s})].map(s=>BigInt(s.codePointAt(0)))`],
+    [standardLibrary.length, s => `BigInt([...(${s})].length)`],
+    [
+      standardLibrary.substring,
+      ([s, start, end]) => `[...(${s})].slice(Number(${start}),Number(${end})).join("")`,
+    ],
+    [standardLibrary.indexOf, ([s, part]) => use("$indexOf", s, part)],
+    [standardLibrary.split, ([s, separator]) => `(${s}).split(${separator})`],
+    [standardLibrary.join, ([a, separator]) => `(${a}).join(${separator})`],
+    [standardLibrary.trim, s => `(${s}).trim()`],
+    [standardLibrary.toUpper, s => `(${s}).toUpperCase()`],
+    [standardLibrary.parseInt, s => use("$parseInt", s)],
+    [standardLibrary.push, ([a, x]) => `(${a}).push(${x})`],
+    [standardLibrary.pop, a => `(${a}).pop()`],
+    [
+      standardLibrary.slice,
+      ([a, start, end]) => `(${a}).slice(Number(${start}),Number(${end}))`,
+    ],
+    [standardLibrary.reverse, a => `[...(${a})].reverse()`],
+    [standardLibrary.sort, a => `[...(${a})].sort((x,y)=>(x<y?-1:x>y?1:0))`],
+    [standardLibrary.map, ([a, f]) => `(${a}).map(${f})`],
+    [standardLibrary.filter, ([a, f]) => `(${a}).filter(${f})`],
+    [standardLibrary.reduce, ([a, f, initial]) => `(${a}).reduce(${f}, ${initial})`],
+    [anyFunction, ([a, f]) => `(${a}).some(${f})`],
+    [standardLibrary.all, ([a, f]) => `(${a}).every(${f})`],
+    [standardLibrary.find, ([a, f]) => `(${a}).find(${f})`],
   ])
 
   // Variable and function names in JS will be suffixed with _1, _2, _3,
@@ -34,13 +194,218 @@ export default function generate(program) {
     }
   })(new Map())
 
-  const gen = node => generators?.[node?.kind]?.(node) ?? node
+  // Fields and methods are properties, and those with the same name, in any
+  // struct or interface, are the same property, so that an object can be
+  // used through any interface it conforms to
+  const members = new Map()
+  function memberOf({ name }) {
+    if (!members.has(name)) members.set(name, { name })
+    return members.get(name)
+  }
+
+  // Labels are named like variables, since a Carlos label need not be a
+  // legal JS label
+  const labelOf = loop => (loop.label ? `${targetName(loop.label)}: ` : "")
+
+  // An else if follows right on from the else, unless it is an if let, which
+  // starts by declaring its variable, so needs a block
+  function genElse(alternate) {
+    if (alternate.kind === "IfStatement" || alternate.kind === "ShortIfStatement") {
+      output.push("} else")
+      gen(alternate)
+    } else {
+      output.push("} else {")
+      for (const statement of [alternate].flat()) genStatement(statement)
+      output.push("}")
+    }
+  }
+
+  // An entity from another module is imported, under its name in this one
+  const entityName = entity => {
+    const from = importFrom?.(entity)
+    if (from) {
+      if (!imports.has(from)) imports.set(from, new Set())
+      imports.get(from).add(entity)
+    }
+    return targetName(entity)
+  }
+
+  // The runtime helpers the generated code calls, which are written out
+  // ahead of it, once each, along with the helpers they call
+  const helpers = new Set()
+  const use = (helper, ...args) => {
+    const add = name => {
+      helpers.add(name)
+      runtime[name].uses?.forEach(add)
+    }
+    add(helper)
+    return `${helper}(${args.join(", ")})`
+  }
+
+  // Where a check that fails says it happened, as a JS string literal
+  const where = node => {
+    const { filename } = modules[sourceIndex]
+    const { line, column } = node.span
+    return JSON.stringify(
+      filename ? `${filename}:${line}:${column}` : `line ${line}, column ${column}`
+    )
+  }
+
+  // What console.log is given to print a value as Carlos does, which for
+  // strings, booleans, and ints is easily had without the runtime
+  const printable = (code, e) => {
+    const type = typeOf(e)
+    if ([stringType, boolType].includes(type)) return code
+    if (type === intType) return `String(${code})`
+    return formatted(code, type)
+  }
+
+  // An int from a float, once truncated or rounded, if it is finite
+  const integral = code => {
+    return unchecked ? `BigInt(${code})` : use("$integral", code, where(site))
+  }
+
+  const formatted = (code, type) => {
+    const shape = shapeOf(type)
+    return use("$format", code, ...(shape ? [shape] : []))
+  }
+
+  // The shape of a type is what $format needs, beyond a value of the type,
+  // to show the value: whether it is an optional, which only its type can
+  // say, and where in it are optionals. Other types have no shape, and their
+  // values are shown by what they are.
+  const shapeOf = type => {
+    if (type.kind === "OptionalType") {
+      const shape = shapeOf(type.baseType)
+      const no = JSON.stringify(typeDescription(type.baseType))
+      return `{ no: ${no}${shape ? `, some: ${shape}` : ""} }`
+    }
+    if (type.kind === "ArrayType") {
+      const shape = shapeOf(type.baseType)
+      return shape && `[${shape}]`
+    }
+    // An instance with the struct's own type parameters for type arguments,
+    // as in a field of the struct itself, has the shape of the class
+    const { generic, typeArguments } = type
+    if (generic && typeArguments.some((t, i) => t !== generic.typeParameters[i])) {
+      return instanceShape(type)
+    }
+  }
+
+  // The names and shapes of the fields of a struct type, variant, or
+  // instance of a generic struct, if any of the fields have shapes
+  const fieldShapes = type => {
+    const shapes = type.fields.map(field => shapeOf(memberType(type, field)))
+    if (shapes.every(shape => !shape)) return undefined
+    const fields = type.fields.map((field, i) => {
+      return `[${JSON.stringify(field.name)}${shapes[i] ? `, ${shapes[i]}` : ""}]`
+    })
+    return `[${fields.join(", ")}]`
+  }
+
+  // The shape of the instances of a struct type or variant, which is its name
+  // and the names and shapes of its fields, though a variant without fields
+  // has none, so that it is shown by name alone
+  const classShape = type => {
+    const isVariant = type.kind === "Variant"
+    const name = JSON.stringify(
+      isVariant ? `${type.enumType.name}.${type.name}` : type.name
+    )
+    if (isVariant && type.fields.length === 0) return `{ name: ${name} }`
+    const names = type.fields.map(field => `[${JSON.stringify(field.name)}]`)
+    return `{ name: ${name}, fields: ${fieldShapes(type) ?? `[${names.join(", ")}]`} }`
+  }
+
+  // The fields of an instance of a generic struct have types that its class
+  // can't know, so the instance type has a shape of its own, when its fields
+  // need one, with the shapes of its fields. It is written out ahead of the
+  // code, by name, since an instance can contain another of its own type,
+  // and its fields are got only when needed, once every name is defined.
+  const instanceShapes = new Map()
+  const instanceShape = type => {
+    const description = typeDescription(type)
+    if (!instanceShapes.has(description)) {
+      const shape = { name: `$shape${instanceShapes.size + 1}` }
+      instanceShapes.set(description, shape)
+      shape.fields = fieldShapes(type)
+      // Without shapes of its own, its fields can't be of its own type
+      if (!shape.fields) instanceShapes.delete(description)
+    }
+    return instanceShapes.get(description)?.name
+  }
+
+  // Elements of arrays are stored into and bumped by helpers, when checked,
+  // so that the array and the index are evaluated just once
+  const isCheckedElement = target => !unchecked && target.kind === "SubscriptExpression"
+
+  const bump = (target, op) => {
+    if (!isCheckedElement(target)) return `${gen(target)}${op}`
+    const [array, index] = [gen(target.array), gen(target.index)]
+    return use("$bump", array, index, op === "++" ? "1n" : "-1n", where(target))
+  }
+
+  const gen = node => {
+    // Numeric literals, with ints as bigints. Negative ones are put in
+    // parentheses, since JavaScript doesn't allow them left of **.
+    if (typeof node === "bigint" || typeof node === "number") {
+      const literal = typeof node === "bigint" ? `${node}n` : `${node}`
+      return node < 0 ? `(${literal})` : literal
+    }
+    const generator = generators?.[node?.kind]
+    if (!generator) return node
+    const [firstLine, enclosingSite] = [output.length, site]
+    if (node.span) site = node
+    const code = generator(node)
+    site = enclosingSite
+    if (code === undefined) {
+      // A statement, which maps the first line it wrote, unless a statement
+      // nested within it already did
+      if (node.span && output.length > firstLine && !statementSpans.has(firstLine)) {
+        statementSpans.set(firstLine, { span: node.span, sourceIndex })
+      }
+      return node
+    }
+    // Uses of entities are not mapped, since their spans are declarations
+    if (!node.span || entityKinds.includes(node.kind)) return code
+    expressionSpans.push({ span: node.span, sourceIndex })
+    return `\u0001${expressionSpans.length - 1}\u0002${code}`
+  }
+
+  // A call of a function returning a value is an expression, so when it is
+  // made as a statement, the statement is written here, throwing the value
+  // away. Every other statement writes itself.
+  const genStatement = statement => {
+    const code = gen(statement)
+    if (typeof code === "string") output.push(`${code};`)
+  }
+
+  // The body of a function made in an expression is generated like any other
+  // statements, then taken back out of the output, to become part of the
+  // expression. Mappings for its statements become markers, just as for
+  // expressions, since they will no longer start lines of the output.
+  const genBlock = statements => {
+    const start = output.length
+    statements.forEach(genStatement)
+    return output.splice(start).map((line, i) => {
+      const position = statementSpans.get(start + i)
+      if (!position) return line
+      statementSpans.delete(start + i)
+      expressionSpans.push(position)
+      return `\u0001${expressionSpans.length - 1}\u0002${line}`
+    })
+  }
 
   const generators = {
     // Key idea: when generating an expression, just return the JS string; when
     // generating a statement, write lines of translated JS to the output array.
     Program(p) {
-      p.statements.forEach(gen)
+      p.statements.forEach(genStatement)
+    },
+    ImportDeclaration(d) {
+      // Nothing to do, imports are made for the entities actually used
+    },
+    ExportDeclaration(d) {
+      gen(d.declaration)
     },
     VariableDeclaration(d) {
       // We don't care about const vs. let in the generated code! The analyzer has
@@ -48,45 +413,84 @@ export default function generate(program) {
       output.push(`let ${gen(d.variable)} = ${gen(d.initializer)};`)
     },
     TypeDeclaration(d) {
-      // The only type declaration in Carlos is the struct! Becomes a JS class.
-      output.push(`class ${gen(d.type)} {`)
-      output.push(`constructor(${d.type.fields.map(gen).join(",")}) {`)
-      for (let field of d.type.fields) {
-        output.push(`this[${JSON.stringify(gen(field))}] = ${gen(field)};`)
+      // A struct becomes a JS class, with its methods on the class, where
+      // self is this. An enum becomes a JS class for each of its variants,
+      // so matching a variant is an instanceof check. An interface or a type
+      // alias has nothing to become, as JS has no types to name.
+      if (["TypeAlias", "InterfaceType"].includes(d.type.kind)) return
+      for (const type of d.type.kind === "EnumType" ? d.type.variants : [d.type]) {
+        output.push(`class ${gen(type)} {`)
+        output.push(`static $shape = ${classShape(type)};`)
+        const params = type.fields.map(field => targetName(memberOf(field)))
+        output.push(`constructor(${params.join(",")}) {`)
+        for (const [i, field] of type.fields.entries()) {
+          output.push(`this[${JSON.stringify(gen(field))}] = ${params[i]};`)
+        }
+        output.push("}")
+        for (const { method, self, params, body } of d.methods) {
+          const name = JSON.stringify(gen(method))
+          output.push(`[${name}](${params.map(gen).join(", ")}) {`)
+          output.push(`const ${gen(self)} = this;`)
+          body.forEach(genStatement)
+          output.push("}")
+        }
+        output.push("}")
       }
-      output.push("}")
-      output.push("}")
     },
     StructType(t) {
-      return targetName(t)
+      return entityName(t)
+    },
+    Variant(v) {
+      return entityName(v)
     },
     Field(f) {
-      return targetName(f)
+      // The name of the property for the field
+      return importFrom ? f.name : targetName(memberOf(f))
+    },
+    Method(m) {
+      // The name of the method on the class, named like a field
+      return importFrom ? m.name : targetName(memberOf(m))
     },
     FunctionDeclaration(d) {
       output.push(`function ${gen(d.fun)}(${d.params.map(gen).join(", ")}) {`)
-      d.body.forEach(gen)
+      d.body.forEach(genStatement)
       output.push("}")
     },
     Variable(v) {
       // Standard library constants just get special treatment
       if (v === standardLibrary.π) return "Math.PI"
-      return targetName(v)
+      return entityName(v)
     },
     Function(f) {
-      return targetName(f)
+      // A standard function used as a value becomes a JS function calling it,
+      // taking only the arguments it should, as JS array methods pass more
+      if (standardFunctions.has(f)) {
+        const params = [..."xyz"].slice(0, f.type.paramTypes.length)
+        const args = f.type.paramTypes.map(type => ({ type }))
+        return `((${params.join(",")}) => ${standardFunctions.get(f)(params, args)})`
+      }
+      return entityName(f)
     },
     Increment(s) {
-      output.push(`${gen(s.variable)}++;`)
+      output.push(`${bump(s.variable, "++")};`)
     },
     Decrement(s) {
-      output.push(`${gen(s.variable)}--;`)
+      output.push(`${bump(s.variable, "--")};`)
     },
     Assignment(s) {
-      output.push(`${gen(s.target)} = ${gen(s.source)};`)
+      const { target } = s
+      if (isCheckedElement(target)) {
+        const [array, index, source] = [target.array, target.index, s.source].map(gen)
+        output.push(`${use("$set", array, index, source, where(target))};`)
+      } else {
+        output.push(`${gen(target)} = ${gen(s.source)};`)
+      }
     },
     BreakStatement(s) {
-      output.push("break;")
+      output.push(`break${s.label ? ` ${targetName(s.label)}` : ""};`)
+    },
+    ContinueStatement(s) {
+      output.push(`continue${s.label ? ` ${targetName(s.label)}` : ""};`)
     },
     ReturnStatement(s) {
       output.push(`return ${gen(s.expression)};`)
@@ -96,59 +500,137 @@ export default function generate(program) {
     },
     IfStatement(s) {
       output.push(`if (${gen(s.test)}) {`)
-      s.consequent.forEach(gen)
-      if (s.alternate?.kind?.endsWith?.("IfStatement")) {
-        output.push("} else")
-        gen(s.alternate)
-      } else {
-        output.push("} else {")
-        s.alternate.forEach(gen)
-        output.push("}")
-      }
+      s.consequent.forEach(genStatement)
+      genElse(s.alternate)
     },
     ShortIfStatement(s) {
       output.push(`if (${gen(s.test)}) {`)
-      s.consequent.forEach(gen)
+      s.consequent.forEach(genStatement)
+      output.push("}")
+    },
+    IfLetStatement(s) {
+      output.push(`const ${gen(s.variable)} = ${gen(s.optional)};`)
+      output.push(`if (${gen(s.variable)} !== undefined) {`)
+      s.consequent.forEach(genStatement)
+      genElse(s.alternate)
+    },
+    ShortIfLetStatement(s) {
+      output.push(`const ${gen(s.variable)} = ${gen(s.optional)};`)
+      output.push(`if (${gen(s.variable)} !== undefined) {`)
+      s.consequent.forEach(genStatement)
       output.push("}")
     },
     WhileStatement(s) {
-      output.push(`while (${gen(s.test)}) {`)
-      s.body.forEach(gen)
+      output.push(`${labelOf(s)}while (${gen(s.test)}) {`)
+      s.body.forEach(genStatement)
+      output.push("}")
+    },
+    WhileLetStatement(s) {
+      // The optional is evaluated anew before each time through the body
+      output.push(`${labelOf(s)}while (true) {`)
+      output.push(`const ${gen(s.variable)} = ${gen(s.optional)};`)
+      output.push(`if (${gen(s.variable)} === undefined) break;`)
+      s.body.forEach(genStatement)
       output.push("}")
     },
     RepeatStatement(s) {
       // JS can only repeat n times if you give it a counter variable!
       const i = targetName({ name: "i" })
-      output.push(`for (let ${i} = 0; ${i} < ${gen(s.count)}; ${i}++) {`)
-      s.body.forEach(gen)
+      output.push(`${labelOf(s)}for (let ${i} = 0; ${i} < ${gen(s.count)}; ${i}++) {`)
+      s.body.forEach(genStatement)
       output.push("}")
     },
     ForRangeStatement(s) {
       const i = targetName(s.iterator)
       const op = s.op === "..." ? "<=" : "<"
-      output.push(`for (let ${i} = ${gen(s.low)}; ${i} ${op} ${gen(s.high)}; ${i}++) {`)
-      s.body.forEach(gen)
+      const [low, high] = [gen(s.low), gen(s.high)]
+      output.push(`${labelOf(s)}for (let ${i} = ${low}; ${i} ${op} ${high}; ${i}++) {`)
+      s.body.forEach(genStatement)
       output.push("}")
     },
     ForStatement(s) {
-      output.push(`for (let ${gen(s.iterator)} of ${gen(s.collection)}) {`)
-      s.body.forEach(gen)
+      output.push(`${labelOf(s)}for (let ${gen(s.iterator)} of ${gen(s.collection)}) {`)
+      s.body.forEach(genStatement)
       output.push("}")
     },
+    MatchStatement(s) {
+      // The subject is evaluated once, into its own variable. Every arm but
+      // the last tests for its variant; since the arms are exhaustive, the
+      // last arm gets whatever is left.
+      const subject = targetName({ name: "subject" })
+      output.push(`const ${subject} = ${gen(s.subject)};`)
+      s.arms.forEach((arm, i) => {
+        const test =
+          i < s.arms.length - 1 ? `if (${subject} instanceof ${gen(arm.variant)}) ` : ""
+        output.push(`${i === 0 ? "" : "} else "}${test}{`)
+        arm.bindings.forEach((binding, j) => {
+          if (!binding) return
+          const field = JSON.stringify(gen(arm.variant.fields[j]))
+          output.push(`const ${gen(binding)} = ${subject}[${field}];`)
+        })
+        arm.body.forEach(genStatement)
+      })
+      output.push("}")
+    },
+    MatchExpression(e) {
+      // The same idea as the statement, but as an expression: a function of
+      // the subject, with a conditional for each arm but the last. Each arm
+      // is a function of its bindings, called with the fields they bind.
+      const subject = targetName({ name: "subject" })
+      const arms = e.arms.map((arm, i) => {
+        const bound = arm.bindings.flatMap((b, j) =>
+          b ? [[b, arm.variant.fields[j]]] : []
+        )
+        const params = bound.map(([binding]) => gen(binding)).join(", ")
+        const fields = bound.map(([, f]) => `${subject}[${JSON.stringify(gen(f))}]`)
+        const value = `((${params}) => ${gen(arm.body)})(${fields.join(", ")})`
+        if (i === e.arms.length - 1) return value
+        return `(${subject} instanceof ${gen(arm.variant)}) ? ${value} : `
+      })
+      return `((${subject}) => ${arms.join("")})(${gen(e.subject)})`
+    },
+    Lambda(f) {
+      // A JS arrow function. An expression body of type void is a call that
+      // must be generated as a statement, so it gets a block too.
+      const params = f.params.map(gen).join(", ")
+      if (!Array.isArray(f.body) && f.type.returnType !== voidType) {
+        return `((${params}) => ${gen(f.body)})`
+      }
+      const body = genBlock(Array.isArray(f.body) ? f.body : [f.body])
+      return `((${params}) => {\n${body.join("\n")}\n})`
+    },
     Conditional(e) {
       return `((${gen(e.test)}) ? (${gen(e.consequent)}) : (${gen(e.alternate)}))`
     },
     BinaryExpression(e) {
+      const [left, right] = [gen(e.left), gen(e.right)]
+      // Values of the basic types are equal when identical, but arrays,
+      // structs, optionals, and enum values when made of equal parts
+      if (["==", "!="].includes(e.op) && !basicTypes.includes(e.left.type)) {
+        return `${e.op === "!=" ? "!" : ""}${use("$equal", left, right)}`
+      }
       const op = { "==": "===", "!=": "!==" }[e.op] ?? e.op
-      return `(${gen(e.left)} ${op} ${gen(e.right)})`
+      // Dividing by an int literal other than 0 can't fail
+      const mayDivideByZero =
+        ["/", "%"].includes(e.op) && e.type === intType && !(e.right > 0n || e.right < 0n)
+      if (!unchecked && mayDivideByZero) {
+        return `(${left} ${op} ${use("$nonzero", right, where(e))})`
+      }
+      // Nor can raising to an int literal that isn't negative
+      const mayBeNegative = e.op === "**" && e.type === intType && !(e.right >= 0n)
+      if (!unchecked && mayBeNegative) {
+        return `(${left} ** ${use("$nonnegative", right, where(e))})`
+      }
+      return `(${left} ${op} ${right})`
     },
     UnaryExpression(e) {
       const operand = gen(e.operand)
       if (e.op === "some") {
         return operand
       } else if (e.op === "#") {
-        return `${operand}.length`
+        return `BigInt(${operand}.length)`
       } else if (e.op === "random") {
+        if (!unchecked) return use("$random", operand, where(e))
         return `((a=>a[~~(Math.random()*a.length)])(${operand}))`
       }
       return `${e.op}(${operand})`
@@ -157,11 +639,31 @@ export default function generate(program) {
       return "undefined"
     },
     SubscriptExpression(e) {
-      return `${gen(e.array)}[${gen(e.index)}]`
+      if (unchecked) return `${gen(e.array)}${e.optional ? "?." : ""}[${gen(e.index)}]`
+      if (!e.optional) return use("$at", gen(e.array), gen(e.index), where(e))
+      // The array, which might not be there, is evaluated just once, and the
+      // index only when the array is there
+      const array = targetName({ name: "array" })
+      const index = use("$index", array, gen(e.index), where(e))
+      return `((${array}) => ${array}?.[${index}])(${gen(e.array)})`
     },
     ArrayExpression(e) {
       return `[${e.elements.map(gen).join(",")}]`
     },
+    Interpolation(e) {
+      // A template literal, showing each value as string(x) would, though
+      // JS shows strings, ints, and booleans that way already
+      const values = e.expressions.map(x => {
+        const type = typeOf(x)
+        return [stringType, intType, boolType].includes(type)
+          ? gen(x)
+          : formatted(gen(x), type)
+      })
+      const text = e.strings.map((s, i) => {
+        return s.replaceAll("`", "\\`") + (i < values.length ? `\${${values[i]}}` : "")
+      })
+      return `\`${text.join("")}\``
+    },
     EmptyArray(e) {
       return "[]"
     },
@@ -171,12 +673,31 @@ export default function generate(program) {
       const chain = e.op === "." ? "" : e.op
       return `(${object}${chain}[${field}])`
     },
+    MethodExpression(e) {
+      // A method not called right away is bound to its object, which is
+      // evaluated just once
+      const object = targetName({ name: "object" })
+      const method = `${object}${e.op === "." ? "" : e.op}[${JSON.stringify(
+        gen(e.method)
+      )}]`
+      return `((${object}) => ${method}.bind(${object}))(${gen(e.object)})`
+    },
     FunctionCall(c) {
-      const targetCode = standardFunctions.has(c.callee)
-        ? standardFunctions.get(c.callee)(c.args.map(gen))
-        : `${gen(c.callee)}(${c.args.map(gen).join(", ")})`
+      let targetCode
+      if (standardFunctions.has(c.callee)) {
+        targetCode = standardFunctions.get(c.callee)(c.args.map(gen), c.args)
+      } else {
+        // A method is called right on its object, which JS makes its this
+        const { kind, object, op, method } = c.callee
+        const callee =
+          kind === "MethodExpression"
+            ? `${gen(object)}${op === "." ? "" : op}[${JSON.stringify(gen(method))}]`
+            : gen(c.callee)
+        const chain = c.optional ? "?." : ""
+        targetCode = `${callee}${chain}(${c.args.map(gen).join(", ")})`
+      }
       // Calls in expressions vs in statements are handled differently
-      if (c.callee.type.returnType !== voidType) {
+      if (c.type !== voidType) {
         return targetCode
       }
       output.push(`${targetCode};`)
@@ -186,6 +707,224 @@ export default function generate(program) {
     },
   }
 
-  gen(program)
-  return output.join("\n")
+  for (const [i, { program }] of modules.entries()) {
+    sourceIndex = i
+    gen(program)
+  }
+  if (exports.size > 0) {
+    const names = [...exports].map(e => `${targetName(e)} as ${exportName(e)}`)
+    output.push(`export { ${names.join(", ")} };`)
+  }
+
+  // Imports go first, then the helpers, though neither is known until
+  // everything else is
+  const importLines = [...imports].map(([from, entities]) => {
+    const names = [...entities].map(e => `${exportName(e)} as ${targetName(e)}`)
+    return `import { ${names.join(", ")} } from ${JSON.stringify(from)};`
+  })
+  const prelude = [
+    ...importLines,
+    ...Object.keys(runtime)
+      .filter(h => helpers.has(h))
+      .flatMap(h => runtime[h].code.split("\n")),
+    ...[...instanceShapes.values()].map(({ name, fields }) => {
+      return `const ${name} = { get fields() { return ${fields}; } };`
+    }),
+  ]
+
+  // An entry in the output is more than one line when it has a function
+  // with a block body in it
+  const segments = prelude.map(() => [])
+  const lines = output.flatMap((entry, i) =>
+    entry.split("\n").map((line, j) => {
+      const statementPosition = j === 0 && statementSpans.get(i)
+      const lineSegments = statementPosition ? [{ column: 0, ...statementPosition }] : []
+      segments.push(lineSegments)
+      let removed = 0
+      return line.replace(/\u0001(\d+)\u0002/g, (marker, index, offset) => {
+        lineSegments.push({ column: offset - removed, ...expressionSpans[index] })
+        removed += marker.length
+        return ""
+      })
+    })
+  )
+  const { filename } = modules.at(-1)
+  const map = {
+    version: 3,
+    file: filename?.replace(/(\.carlos)?$/, ".js"),
+    sources: modules.map(module => module.filename ?? ""),
+    ...(modules.every(module => module.source !== undefined)
+      ? { sourcesContent: modules.map(module => module.source) }
+      : {}),
+    names: [],
+    mappings: encodeMappings(segments),
+  }
+  return { code: [...prelude, ...lines].join("\n"), map }
+}
+
+// Functions that the generated code may need at run time, by name, with the
+// other helpers each one calls. The names start with a dollar sign, which
+// Carlos identifiers can't, so they never clash with the names of entities.
+const runtime = {
+  // Shows a value as Carlos would write it, exactly as the interpreter does,
+  // given the shape of its type, and the shapes of its struct fields from
+  // that shape, for an instance of a generic struct, or else from the $shape
+  // of its class
+  $format: {
+    code: `function $format(value, shape, quote = false) {
+if (shape?.no !== undefined) return value === undefined ? "no " + shape.no : "some " + $format(value, shape.some, true);
+if (Array.isArray(value)) return "[" + value.map(element => $format(element, shape?.[0], true)).join(", ") + "]";
+switch (typeof value) {
+case "undefined": return "no any";
+case "string": return quote ? JSON.stringify(value) : value;
+case "number": return String(value).replace(/^(-?\\d+)(?=e|$)/, "$1.0");
+case "function": return "<function>";
+case "object":
+const { name, fields } = value.constructor.$shape;
+if (!fields) return name;
+const shapes = shape?.fields ?? fields;
+return name + "(" + Object.values(value).map((field, i) => fields[i][0] + ": " + $format(field, shapes[i][1], true)).join(", ") + ")";
+}
+return String(value);
+}`,
+  },
+  // Equality of values made of parts, which are compared in turn
+  $equal: {
+    code: `function $equal(x, y) {
+if (x === y) return true;
+if (typeof x !== "object" || typeof y !== "object" || x.constructor !== y.constructor) return false;
+const keys = Object.keys(x);
+return keys.length === Object.keys(y).length && keys.every(k => $equal(x[k], y[k]));
+}`,
+  },
+  // Standard functions needing more than an expression
+  $indexOf: {
+    code: `function $indexOf(string, part) {
+const index = string.indexOf(part);
+return index < 0 ? -1n : BigInt([...string.slice(0, index)].length);
+}`,
+  },
+  $parseInt: {
+    code: `function $parseInt(string) {
+return /^\\s*[+-]?\\d+\\s*$/.test(string) ? BigInt(string) : undefined;
+}`,
+  },
+  // The checks, which all fail the same way
+  $fail: {
+    code: `function $fail(message, where) {
+throw Object.assign(new Error(\`\${message} at \${where}\`), { name: "CarlosError" });
+}`,
+  },
+  $index: {
+    uses: ["$fail"],
+    code: `function $index(array, index, where) {
+if (index < 0n || index >= array.length) $fail("Index out of bounds", where);
+return index;
+}`,
+  },
+  $at: {
+    uses: ["$index"],
+    code: `function $at(array, index, where) {
+return array[$index(array, index, where)];
+}`,
+  },
+  $set: {
+    uses: ["$index"],
+    code: `function $set(array, index, value, where) {
+array[$index(array, index, where)] = value;
+}`,
+  },
+  $bump: {
+    uses: ["$index"],
+    code: `function $bump(array, index, amount, where) {
+array[$index(array, index, where)] += amount;
+}`,
+  },
+  $random: {
+    uses: ["$fail"],
+    code: `function $random(array, where) {
+if (array.length === 0) $fail("Random element of an empty array", where);
+return array[Math.floor(Math.random() * array.length)];
+}`,
+  },
+  $nonzero: {
+    uses: ["$fail"],
+    code: `function $nonzero(divisor, where) {
+if (divisor === 0n) $fail("Division by zero", where);
+return divisor;
+}`,
+  },
+  $nonnegative: {
+    uses: ["$fail"],
+    code: `function $nonnegative(exponent, where) {
+if (exponent < 0n) $fail("Negative exponent", where);
+return exponent;
+}`,
+  },
+  $integral: {
+    uses: ["$fail"],
+    code: `function $integral(number, where) {
+if (!Number.isFinite(number)) $fail("Infinite or NaN float", where);
+return BigInt(number);
+}`,
+  },
+}
+
+const basicTypes = [intType, floatType, stringType, boolType]
+
+const literalTypes = {
+  bigint: intType,
+  number: floatType,
+  string: stringType,
+  boolean: boolType,
+}
+
+const typeOf = e => (typeof e === "object" ? e.type : literalTypes[typeof e])
+
+const entityKinds = ["Variable", "Function", "Method", "StructType", "Field", "Variant"]
+
+// The mappings of a source map have a group of segments for each generated
+// line, separated by semicolons. A segment is a generated column, a source
+// index, a source line, and a source column, all zero-based, each written as
+// the difference from the previous segment in base 64 VLQ. Generated columns
+// start over on each line; the other differences carry on from line to line.
+function encodeMappings(segmentsByLine) {
+  let [sourceIndex, line, column] = [0, 0, 0]
+  function encodeLine(segments) {
+    let generatedColumn = 0
+    const encoded = []
+    for (const segment of segments.sort((s1, s2) => s1.column - s2.column)) {
+      // A statement and an expression can start at the same column, in which
+      // case the statement, which comes first, is the one mapped
+      if (encoded.length > 0 && segment.column === generatedColumn) continue
+      const fields = [
+        segment.column - generatedColumn,
+        segment.sourceIndex - sourceIndex,
+        segment.span.line - 1 - line,
+        segment.span.column - 1 - column,
+      ]
+      generatedColumn = segment.column
+      sourceIndex = segment.sourceIndex
+      line = segment.span.line - 1
+      column = segment.span.column - 1
+      encoded.push(fields.map(vlq).join(""))
+    }
+    return encoded.join(",")
+  }
+  return segmentsByLine.map(encodeLine).join(";")
+}
+
+const base64Digits = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/"
+
+function vlq(n) {
+  // The sign goes in the lowest bit, then five bits at a time, lowest first,
+  // with the sixth bit of each digit saying whether more digits follow
+  let value = n < 0 ? (-n << 1) | 1 : n << 1
+  let digits = ""
+  do {
+    const digit = value & 31
+    value >>>= 5
+    digits += base64Digits[value > 0 ? digit | 32 : digit]
+  } while (value > 0)
+  return digits
 }
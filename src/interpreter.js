@@ -0,0 +1,650 @@
+// The interpreter exports a function, interpret(program), which runs an
+// analyzed (and possibly optimized) program representation directly, by
+// walking the tree, without generating any JavaScript. For tools like the
+// REPL, which run one piece of a program at a time, createInterpreter()
+// makes an interpreter whose global variables live on from one run to the
+// next.
+//
+// Carlos values are represented by JavaScript values: ints are bigints,
+// floats are numbers, and strings and booleans are themselves. Arrays are
+// JavaScript arrays. An optional is either undefined (for an empty optional)
+// or the wrapped value itself, just as in the generated code. Struct objects
+// are instances of a JavaScript class created for each struct type, enum
+// values are instances of a class created for each variant, and
+// Carlos functions are JavaScript functions, so they can be stored, passed,
+// and called like any other value.
+//
+// Like the generated code, the interpreter checks for subscripts out of
+// bounds, random elements of empty arrays, int division by zero, ints
+// raised to negative powers, and infinite or NaN floats made into ints,
+// throwing an error named CarlosError that says where the check failed. So
+// that it can name the file, run() takes the name of the program's file.
+
+import { intType, standardLibrary, stringFunction, anyFunction } from "./core.js"
+import { memberType, typeDescription } from "./analyzer.js"
+
+export default function interpret(program, options) {
+  createInterpreter(options).run(program, options)
+}
+
+export function createInterpreter({ write = writeLine } = {}) {
+  // Values of variables and functions live in frames, each of which maps
+  // entities to values and links to the frame it is nested in. Because every
+  // declaration produces a unique entity object, lookup never has to worry
+  // about names. Function values capture the frame they were declared in.
+  let frame = newFrame(null)
+
+  // The file of the program being run, or of the function being called,
+  // since functions can be imported from other modules
+  let filename
+
+  // The innermost statement or expression being run, which a standard
+  // function says it failed in, whether it is called there or taken as a value
+  let site
+
+  function newFrame(parent) {
+    return { values: new Map(), parent }
+  }
+
+  function lookup(entity) {
+    let f = frame
+    while (!f.values.has(entity)) f = f.parent
+    return f.values.get(entity)
+  }
+
+  function update(entity, value) {
+    let f = frame
+    while (!f.values.has(entity)) f = f.parent
+    f.values.set(entity, value)
+  }
+
+  // Run a block of statements in a new frame nested in the current one
+  function inNewFrame(action) {
+    const saved = frame
+    frame = newFrame(saved)
+    try {
+      return action()
+    } finally {
+      frame = saved
+    }
+  }
+
+  const standardFunctions = new Map([
+    [standardLibrary.π, Math.PI],
+    // Ints print as they are, as in the generated code
+    [
+      standardLibrary.print,
+      (x, type) => write(type === intType ? `${x}` : format(x, type)),
+    ],
+    [stringFunction, (x, type) => format(x, type)],
+    [standardLibrary.sin, Math.sin],
+    [standardLibrary.cos, Math.cos],
+    [standardLibrary.exp, Math.exp],
+    [standardLibrary.ln, Math.log],
+    [standardLibrary.hypot, Math.hypot],
+    [standardLibrary.sqrt, Math.sqrt],
+    [standardLibrary.abs, Math.abs],
+    [standardLibrary.floor, Math.floor],
+    [standardLibrary.min, Math.min],
+    [standardLibrary.max, Math.max],
+    [standardLibrary.atan2, Math.atan2],
+    [standardLibrary.toFloat, Number],
+    [standardLibrary.truncate, (x, at) => integral(Math.trunc(x), at)],
+    [standardLibrary.round, (x, at) => integral(Math.round(x), at)],
+    [standardLibrary.bytes, s => [...Buffer.from(s, "utf8")].map(BigInt)],
+    [standardLibrary.codepoints, s => [...s].map(c => BigInt(c.codePointAt(0)))],
+    [standardLibrary.length, s => BigInt([...s].length)],
+    [standardLibrary.substring, (s, start, end) => codepointSlice(s, start, end)],
+    [standardLibrary.indexOf, indexOf],
+    [standardLibrary.split, (s, separator) => s.split(separator)],
+    [standardLibrary.join, (a, separator) => a.join(separator)],
+    [standardLibrary.trim, s => s.trim()],
+    [standardLibrary.toUpper, s => s.toUpperCase()],
+    [standardLibrary.parseInt, parseInteger],
+    [standardLibrary.push, (a, x) => void a.push(x)],
+    [standardLibrary.pop, a => a.pop()],
+    [standardLibrary.slice, (a, start, end) => a.slice(Number(start), Number(end))],
+    [standardLibrary.reverse, a => [...a].reverse()],
+    [standardLibrary.sort, a => [...a].sort(compare)],
+    // Functions from the program are called with only the arguments they
+    // take, since standard functions such as max would use any others
+    [standardLibrary.map, (a, f) => a.map(x => f(x))],
+    [standardLibrary.filter, (a, f) => a.filter(x => f(x))],
+    [standardLibrary.reduce, (a, f, initial) => a.reduce((y, x) => f(y, x), initial)],
+    [anyFunction, (a, f) => a.some(x => f(x))],
+    [standardLibrary.all, (a, f) => a.every(x => f(x))],
+    [standardLibrary.find, (a, f) => a.find(x => f(x))],
+  ])
+  for (const [entity, value] of standardFunctions) frame.values.set(entity, value)
+
+  // Each struct type and each enum variant gets its own JavaScript class,
+  // made when first needed
+  const classes = new Map()
+  function classFor(structType) {
+    if (!classes.has(structType)) {
+      const { [structType.name]: structClass } = {
+        [structType.name]: class {
+          // The struct type or variant, for showing instances
+          static type = structType
+          constructor(...args) {
+            structType.fields.forEach((field, i) => (this[field.name] = args[i]))
+          }
+        },
+      }
+      classes.set(structType, structClass)
+    }
+    return classes.get(structType)
+  }
+
+  // Executing a statement normally produces nothing, but break, continue,
+  // and return statements produce a signal which makes the enclosing
+  // statement lists stop executing, until a loop or function call consumes
+  // the signal. A break or continue is for the innermost loop, unless it has
+  // the label of another. After running its body, a loop consumes a signal
+  // meant for it, a continue becoming nothing and a break becoming END.
+  const END = { kind: "End" }
+
+  function consume(loop, signal) {
+    if (!["Break", "Continue"].includes(signal?.kind)) return signal
+    if (signal.label && signal.label !== loop.label) return signal
+    return signal.kind === "Break" ? END : undefined
+  }
+
+  function execute(statements) {
+    for (const statement of statements) {
+      site = statement
+      const signal = executors[statement.kind](statement)
+      if (signal) return signal
+    }
+  }
+
+  const executors = {
+    Program(p) {
+      execute(p.statements)
+    },
+    ImportDeclaration(d) {
+      // Nothing to do, the modules imported from have already been run
+    },
+    ExportDeclaration(d) {
+      execute([d.declaration])
+    },
+    VariableDeclaration(d) {
+      frame.values.set(d.variable, evaluate(d.initializer))
+    },
+    TypeDeclaration(d) {
+      // The classes are made when first needed, but methods are functions
+      // like any other, taking the object they are called on as self
+      for (const { method, self, params, body } of d.methods) {
+        const fun = closure([self, ...params], body)
+        Object.defineProperty(fun, "name", { value: method.name })
+        frame.values.set(method, fun)
+      }
+    },
+    FunctionDeclaration(d) {
+      const fun = closure(d.params, d.body)
+      Object.defineProperty(fun, "name", { value: d.fun.name })
+      frame.values.set(d.fun, fun)
+    },
+    Increment(s) {
+      assign(s.variable, evaluate(s.variable) + 1n)
+    },
+    Decrement(s) {
+      assign(s.variable, evaluate(s.variable) - 1n)
+    },
+    Assignment(s) {
+      assign(s.target, evaluate(s.source))
+    },
+    BreakStatement(s) {
+      return { kind: "Break", label: s.label }
+    },
+    ContinueStatement(s) {
+      return { kind: "Continue", label: s.label }
+    },
+    ReturnStatement(s) {
+      return { kind: "Return", value: evaluate(s.expression) }
+    },
+    ShortReturnStatement(s) {
+      return { kind: "Return" }
+    },
+    IfStatement(s) {
+      if (evaluate(s.test)) {
+        return inNewFrame(() => execute(s.consequent))
+      } else if (s.alternate?.kind?.endsWith?.("Statement")) {
+        return executors[s.alternate.kind](s.alternate)
+      }
+      return inNewFrame(() => execute(s.alternate))
+    },
+    ShortIfStatement(s) {
+      if (evaluate(s.test)) {
+        return inNewFrame(() => execute(s.consequent))
+      }
+    },
+    IfLetStatement(s) {
+      const value = evaluate(s.optional)
+      if (value !== undefined) {
+        return inNewFrame(() => {
+          frame.values.set(s.variable, value)
+          return execute(s.consequent)
+        })
+      } else if (s.alternate?.kind?.endsWith?.("Statement")) {
+        return executors[s.alternate.kind](s.alternate)
+      }
+      return inNewFrame(() => execute(s.alternate))
+    },
+    ShortIfLetStatement(s) {
+      const value = evaluate(s.optional)
+      if (value !== undefined) {
+        return inNewFrame(() => {
+          frame.values.set(s.variable, value)
+          return execute(s.consequent)
+        })
+      }
+    },
+    WhileStatement(s) {
+      while (evaluate(s.test)) {
+        const signal = consume(
+          s,
+          inNewFrame(() => execute(s.body))
+        )
+        if (signal === END) break
+        if (signal) return signal
+      }
+    },
+    WhileLetStatement(s) {
+      for (let value; (value = evaluate(s.optional)) !== undefined; ) {
+        const signal = consume(
+          s,
+          inNewFrame(() => {
+            frame.values.set(s.variable, value)
+            return execute(s.body)
+          })
+        )
+        if (signal === END) break
+        if (signal) return signal
+      }
+    },
+    RepeatStatement(s) {
+      const count = evaluate(s.count)
+      for (let i = 0n; i < count; i++) {
+        const signal = consume(
+          s,
+          inNewFrame(() => execute(s.body))
+        )
+        if (signal === END) break
+        if (signal) return signal
+      }
+    },
+    ForRangeStatement(s) {
+      const [low, high] = [evaluate(s.low), evaluate(s.high)]
+      const inRange = i => (s.op === "..." ? i <= high : i < high)
+      for (let i = low; inRange(i); i++) {
+        const signal = consume(
+          s,
+          inNewFrame(() => {
+            frame.values.set(s.iterator, i)
+            return execute(s.body)
+          })
+        )
+        if (signal === END) break
+        if (signal) return signal
+      }
+    },
+    ForStatement(s) {
+      for (const element of evaluate(s.collection)) {
+        const signal = consume(
+          s,
+          inNewFrame(() => {
+            frame.values.set(s.iterator, element)
+            return execute(s.body)
+          })
+        )
+        if (signal === END) break
+        if (signal) return signal
+      }
+    },
+    MatchStatement(s) {
+      const subject = evaluate(s.subject)
+      const arm = armFor(s.arms, subject)
+      return inNewFrame(() => {
+        bind(arm, subject)
+        return execute(arm.body)
+      })
+    },
+    FunctionCall(c) {
+      // A call used as a statement, its value (if any) is thrown away
+      evaluate(c)
+    },
+  }
+
+  // A function value runs in a new frame nested in the frame where it was
+  // made, so it sees (and can update) the variables there, even after the
+  // block that declared them has finished. Its body is either a block or an
+  // expression.
+  function closure(params, body) {
+    const [closureFrame, closureFilename, closureSite] = [frame, filename, site]
+    return (...args) => {
+      const [saved, savedFilename, savedSite] = [frame, filename, site]
+      frame = newFrame(closureFrame)
+      filename = closureFilename
+      site = closureSite
+      try {
+        params.forEach((param, i) => frame.values.set(param, args[i]))
+        return Array.isArray(body) ? execute(body)?.value : evaluate(body)
+      } finally {
+        frame = saved
+        filename = savedFilename
+        site = savedSite
+      }
+    }
+  }
+
+  function fail(message, node) {
+    const { line, column } = node.span
+    const where = filename
+      ? `${filename}:${line}:${column}`
+      : `line ${line}, column ${column}`
+    throw Object.assign(new Error(`${message} at ${where}`), { name: "CarlosError" })
+  }
+
+  // An int from a float, once truncated or rounded, if it is finite
+  function integral(number, at) {
+    if (!Number.isFinite(number)) fail("Infinite or NaN float", at)
+    return BigInt(number)
+  }
+
+  // The index of a subscript into an array, which must be in bounds
+  function checkedIndex(e, array) {
+    const index = evaluate(e.index)
+    if (index < 0n || index >= array.length) fail("Index out of bounds", e)
+    return index
+  }
+
+  // The arms are exhaustive, so one of them always matches
+  function armFor(arms, subject) {
+    return arms.find(arm => !arm.variant || subject instanceof classFor(arm.variant))
+  }
+
+  function bind(arm, subject) {
+    arm.bindings.forEach((binding, i) => {
+      if (binding) frame.values.set(binding, subject[arm.variant.fields[i].name])
+    })
+  }
+
+  // Storing into a variable, an array element, or a struct field
+  function assign(target, value) {
+    if (target.kind === "SubscriptExpression") {
+      const array = evaluate(target.array)
+      array[checkedIndex(target, array)] = value
+    } else if (target.kind === "MemberExpression") {
+      evaluate(target.object)[target.field.name] = value
+    } else {
+      update(target, value)
+    }
+  }
+
+  function evaluate(node) {
+    // Literals appear directly in the representation: bigints for ints,
+    // numbers for floats, booleans, and strings in their source form
+    if (typeof node === "string") return stringValue(node)
+    if (typeof node !== "object") return node
+    const enclosingSite = site
+    if (node.span) site = node
+    const value = evaluators[node.kind](node)
+    site = enclosingSite
+    return value
+  }
+
+  const evaluators = {
+    Variable(v) {
+      return lookup(v)
+    },
+    Function(f) {
+      // Conversions to int fail where they are called or taken as values
+      if (!conversions.includes(f)) return lookup(f)
+      const [conversion, at] = [lookup(f), site]
+      return x => conversion(x, at)
+    },
+    Lambda(e) {
+      return closure(e.params, e.body)
+    },
+    MatchExpression(e) {
+      const subject = evaluate(e.subject)
+      const arm = armFor(e.arms, subject)
+      return inNewFrame(() => {
+        bind(arm, subject)
+        return evaluate(arm.body)
+      })
+    },
+    Conditional(e) {
+      return evaluate(e.test) ? evaluate(e.consequent) : evaluate(e.alternate)
+    },
+    BinaryExpression(e) {
+      // The short-circuiting operators must not evaluate the right operand
+      // unless it is needed
+      if (e.op === "??") return evaluate(e.left) ?? evaluate(e.right)
+      if (e.op === "&&") return evaluate(e.left) && evaluate(e.right)
+      if (e.op === "||") return evaluate(e.left) || evaluate(e.right)
+      const [x, y] = [evaluate(e.left), evaluate(e.right)]
+      switch (e.op) {
+        case "+":
+          return x + y
+        case "-":
+          return x - y
+        case "*":
+          return x * y
+        case "/":
+          if (y === 0n) fail("Division by zero", e)
+          return x / y
+        case "%":
+          if (y === 0n) fail("Division by zero", e)
+          return x % y
+        case "**":
+          if (y < 0n) fail("Negative exponent", e)
+          return x ** y
+        case "<<":
+          return x << y
+        case ">>":
+          return x >> y
+        case "&":
+          return x & y
+        case "|":
+          return x | y
+        case "^":
+          return x ^ y
+        case "<":
+          return x < y
+        case "<=":
+          return x <= y
+        case "==":
+          return equal(x, y)
+        case "!=":
+          return !equal(x, y)
+        case "===":
+          return x === y
+        case "!==":
+          return x !== y
+        case ">=":
+          return x >= y
+        case ">":
+          return x > y
+      }
+    },
+    UnaryExpression(e) {
+      const operand = evaluate(e.operand)
+      switch (e.op) {
+        case "-":
+          return -operand
+        case "!":
+          return !operand
+        case "#":
+          return BigInt(operand.length)
+        case "some":
+          return operand
+        case "random":
+          if (operand.length === 0) fail("Random element of an empty array", e)
+          return operand[Math.floor(Math.random() * operand.length)]
+      }
+    },
+    EmptyOptional(e) {
+      return undefined
+    },
+    SubscriptExpression(e) {
+      // With ?[ there may be no array, and then the index is not evaluated
+      const array = evaluate(e.array)
+      if (array === undefined) return undefined
+      return array[checkedIndex(e, array)]
+    },
+    ArrayExpression(e) {
+      return e.elements.map(evaluate)
+    },
+    Interpolation(e) {
+      // Each value is shown as string(x) would show it
+      const values = e.expressions.map(x => format(evaluate(x), x.type))
+      return e.strings.map((s, i) => unescaped(s) + (values[i] ?? "")).join("")
+    },
+    EmptyArray(e) {
+      return []
+    },
+    MemberExpression(e) {
+      return evaluate(e.object)?.[e.field.name]
+    },
+    MethodExpression(e) {
+      // With ?. there may be no object, and then there is no method either.
+      // The method is the object's own, as it may be known only by an
+      // interface.
+      const object = evaluate(e.object)
+      if (object === undefined) return undefined
+      const method = object[e.method.name]
+      return (...args) => method(object, ...args)
+    },
+    FunctionCall(c) {
+      // With ?( there may be no function, and then nothing is evaluated
+      const callee = evaluate(c.callee)
+      if (callee === undefined) return undefined
+      const args = c.args.map(evaluate)
+      // Printing a value, or converting it to a string, goes by its type
+      if (showingFunctions.includes(c.callee)) args.push(c.args[0].type)
+      return callee(...args)
+    },
+    ConstructorCall(c) {
+      const structClass = classFor(c.callee)
+      const object = new structClass(...c.args.map(evaluate))
+      // Objects carry the methods of their struct, from the declaration the
+      // constructor is in the scope of, so they can be called wherever the
+      // objects go. Like the methods of classes, they are not enumerable,
+      // and so not compared.
+      for (const method of c.callee.methods ?? []) {
+        Object.defineProperty(object, method.name, { value: lookup(method) })
+      }
+      return object
+    },
+  }
+
+  return {
+    // Run a program, in the global frame
+    run(program, options = {}) {
+      filename = options.filename
+      executors.Program(program)
+    },
+    // Produce the value of an expression, in the global frame
+    evaluate,
+  }
+}
+
+// Arrays, structs, and enum values are equal when they are of the same kind,
+// with equal elements or fields, just as in the generated code; other values
+// only when they are identical
+function equal(x, y) {
+  if (x === y) return true
+  if (typeof x !== "object" || typeof y !== "object" || x.constructor !== y.constructor) {
+    return false
+  }
+  const keys = Object.keys(x)
+  return keys.length === Object.keys(y).length && keys.every(k => equal(x[k], y[k]))
+}
+
+function writeLine(line) {
+  process.stdout.write(`${line}\n`)
+}
+
+// Turn the source form of a string literal, which still has its quotes and
+// escapes, into the string it denotes
+function stringValue(literal) {
+  return unescaped(literal.slice(1, -1))
+}
+
+function unescaped(text) {
+  return text.replace(/\\(u\{([0-9A-Fa-f]+)\}|.)/gu, (_, escape, codepoint) => {
+    if (codepoint) return String.fromCodePoint(parseInt(codepoint, 16))
+    return { n: "\n", t: "\t" }[escape] ?? escape
+  })
+}
+
+// Strings are measured, cut, and searched by code point, as in the generated
+// code, so that no character is ever split in two
+function codepointSlice(s, start, end) {
+  return [...s].slice(Number(start), Number(end)).join("")
+}
+
+function indexOf(s, part) {
+  const index = s.indexOf(part)
+  return index < 0 ? -1n : BigInt([...s.slice(0, index)].length)
+}
+
+function parseInteger(s) {
+  return /^\s*[+-]?\d+\s*$/.test(s) ? BigInt(s) : undefined
+}
+
+// Sorting puts ints, floats, and strings in increasing order, leaving other
+// values where they are
+function compare(x, y) {
+  return x < y ? -1 : x > y ? 1 : 0
+}
+
+const showingFunctions = [standardLibrary.print, stringFunction]
+const conversions = [standardLibrary.truncate, standardLibrary.round]
+
+// Show a value as Carlos would write it, such as Point(x: 1.0, y: 2.0), [1, 2],
+// some 3, or no int, just as the generated code does. Only the type of an
+// optional says whether it is one, so a value of an unknown type, such as
+// any, goes by what it is. Strings are quoted within other values, and when
+// asked to be, but are otherwise shown as they are.
+export function format(value, type, quote = false) {
+  if (type?.kind === "OptionalType") {
+    if (value === undefined) return `no ${typeDescription(type.baseType)}`
+    return `some ${format(value, type.baseType, true)}`
+  }
+  if (Array.isArray(value)) {
+    const baseType = type?.kind === "ArrayType" ? type.baseType : undefined
+    return `[${value.map(element => format(element, baseType, true)).join(", ")}]`
+  }
+  switch (typeof value) {
+    case "undefined":
+      return "no any"
+    case "string":
+      return quote ? JSON.stringify(value) : value
+    case "number":
+      // Floats always have a decimal point, even with an exponent
+      return `${value}`.replace(/^(-?\d+)(?=e|$)/, "$1.0")
+    case "function":
+      return "<function>"
+    case "object":
+      const { type: structType } = value.constructor
+      const name =
+        structType.kind === "Variant"
+          ? `${structType.enumType.name}.${structType.name}`
+          : structType.name
+      if (structType.kind === "Variant" && structType.fields.length === 0) return name
+      // The fields of an instance of a generic struct have the types its
+      // type arguments make of them
+      const fields = structType.fields.map(field => {
+        return `${field.name}: ${format(
+          value[field.name],
+          memberType(type, field),
+          true
+        )}`
+      })
+      return `${name}(${fields.join(", ")})`
+  }
+  return `${value}`
+}
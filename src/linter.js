@@ -0,0 +1,332 @@
+// The linter exports a function, lint(program, source), which looks over an
+// analyzed program for things that are legal but probably mistakes, and
+// returns a warning for each, with one of these codes:
+//
+//   unused-variable     a variable, loop iterator, match binding, or variable
+//                       of an if let or while let that is never used
+//   unused-parameter    a parameter of a function or lambda never used
+//   unused-function     a function that is never used
+//   unused-type         a struct type that is never used
+//   unreachable-code    a statement after a return, break, or continue in
+//                       its block
+//   shadowing           a declaration with the same name as one outside it
+//   constant-condition  an if, while, or conditional expression whose test
+//                       is always true or always false
+//   self-assignment     an assignment of a variable to itself, which the
+//                       optimizer removes
+//
+// Only the value of a variable counts as a use of it, not assigning to it,
+// and a function or type used only within its own declaration, methods
+// included, is unused. Methods, like fields, are never warned about.
+// Exported declarations are never unused, since other modules can use them.
+// A while loop whose test is the literal true is how Carlos loops forever,
+// so it is not warned about.
+//
+// Warnings are diagnostics, just like those of the analyzer, but with the
+// severity "warning" and a code. A comment starting with lint-ignore, and
+// going on with the codes of the warnings to ignore, or with nothing to
+// ignore them all, suppresses the warnings on its line, or on the next line
+// when the comment is alone on its own:
+//
+//   let scratch = 0; // lint-ignore unused-variable
+//
+// Programs with errors can't be linted, since their representation is
+// incomplete.
+
+import * as core from "./core.js"
+import { createInterpreter } from "./interpreter.js"
+
+export default function lint(program, source) {
+  const warnings = []
+
+  function warn(code, message, node) {
+    const { start, end, line, column } = node.span
+    const text = `${excerpt(source, node.span)}${message} (${code})`
+    warnings.push({ severity: "warning", code, message, line, column, start, end, text })
+  }
+
+  // The names declared in each scope, innermost last, which begins with the
+  // scope of the standard library
+  const scopes = [new Map(Object.entries(core.standardLibrary))]
+
+  function inNewScope(action) {
+    scopes.push(new Map())
+    action()
+    scopes.pop()
+  }
+
+  // The entities that would be warned about if never used, with the code of
+  // that warning, and those that are used, not counting uses by the functions
+  // and types being declared
+  const declared = new Map()
+  const used = new Set()
+  const exported = new Set()
+  const declaring = []
+
+  function declare(entity, code) {
+    if (scopes.slice(0, -1).some(scope => scope.has(entity.name))) {
+      warn("shadowing", `Identifier ${entity.name} shadows an outer declaration`, entity)
+    }
+    scopes.at(-1).set(entity.name, entity)
+    if (code) declared.set(entity, code)
+  }
+
+  // Everything in the representation is walked, types included, so that a
+  // use of an entity is found wherever it is. Types can contain themselves,
+  // so every object is walked just once, though each use is counted.
+  const seen = new Set()
+
+  function walk(node) {
+    if (Array.isArray(node)) return node.forEach(walk)
+    if (typeof node !== "object" || node === null) return
+    if (usableKinds.includes(node.kind) && !declaring.includes(node)) used.add(node)
+    if (seen.has(node)) return
+    seen.add(node)
+    const walker = walkers[node.kind]
+    if (walker) walker(node)
+    else Object.values(node).forEach(walk)
+  }
+
+  // Statements after a return, break, or continue can never run, and the
+  // first of them is warned about
+  function walkBlock(statements) {
+    statements.forEach((statement, i) => {
+      if (i > 0 && jumps.includes(statements[i - 1].kind)) {
+        warn("unreachable-code", "Unreachable code", statement)
+      }
+      walk(statement)
+    })
+  }
+
+  function walkUnwrapped(variable, statements) {
+    declare(variable, "unused-variable")
+    walkBlock(statements)
+  }
+
+  function walkBody(body) {
+    if (Array.isArray(body)) walkBlock(body)
+    else walk(body)
+  }
+
+  // Storing into a variable is not a use of it, though storing into an
+  // element or field of it is
+  function walkTarget(target) {
+    if (target.kind !== "Variable") walk(target)
+  }
+
+  function checkCondition(test, node) {
+    if (!isConstant(test)) return
+    let value
+    try {
+      value = createInterpreter().evaluate(test)
+    } catch {
+      // Failing at run time is a problem, but not this one
+      return
+    }
+    warn("constant-condition", `Condition is always ${value}`, node)
+  }
+
+  const walkers = {
+    Program(p) {
+      inNewScope(() => walkBlock(p.statements))
+    },
+    ImportDeclaration(d) {
+      d.entities.forEach(entity => declare(entity))
+    },
+    ExportDeclaration(d) {
+      const { declaration } = d
+      exported.add(declaration.variable ?? declaration.fun ?? declaration.type)
+      walk(declaration)
+    },
+    VariableDeclaration(d) {
+      walk(d.initializer)
+      declare(d.variable, "unused-variable")
+      walk(d.variable.type)
+    },
+    TypeDeclaration(d) {
+      const { type } = d
+      seen.add(type)
+      if (type.kind === "StructType") {
+        declare(type, "unused-type")
+        declaring.push(type)
+        walk(type.fields)
+        walk(d.methods)
+        declaring.pop()
+      } else if (type.kind === "EnumType") {
+        declare(type)
+        walk(type.variants)
+      } else if (type.kind === "InterfaceType") {
+        declare(type)
+        walk([type.fields, type.methods])
+      } else {
+        declare(type)
+        walk(type.aliasedType)
+      }
+    },
+    FunctionDeclaration(d) {
+      seen.add(d.fun)
+      declare(d.fun, "unused-function")
+      declaring.push(d.fun)
+      walk(d.fun.type)
+      inNewScope(() => {
+        d.params.forEach(param => declare(param, "unused-parameter"))
+        walkBlock(d.body)
+      })
+      declaring.pop()
+    },
+    MethodDeclaration(d) {
+      inNewScope(() => {
+        d.params.forEach(param => declare(param, "unused-parameter"))
+        walkBlock(d.body)
+      })
+    },
+    Lambda(e) {
+      walk(e.type)
+      inNewScope(() => {
+        e.params.forEach(param => declare(param, "unused-parameter"))
+        walkBody(e.body)
+      })
+    },
+    Increment(s) {
+      walkTarget(s.variable)
+    },
+    Decrement(s) {
+      walkTarget(s.variable)
+    },
+    Assignment(s) {
+      if (s.target.kind === "Variable" && s.source === s.target) {
+        warn("self-assignment", `Variable ${s.target.name} is assigned to itself`, s)
+      }
+      walkTarget(s.target)
+      walk(s.source)
+    },
+    IfStatement(s) {
+      checkCondition(s.test, s)
+      walk(s.test)
+      inNewScope(() => walkBlock(s.consequent))
+      if (Array.isArray(s.alternate)) inNewScope(() => walkBlock(s.alternate))
+      else walk(s.alternate)
+    },
+    ShortIfStatement(s) {
+      checkCondition(s.test, s)
+      walk(s.test)
+      inNewScope(() => walkBlock(s.consequent))
+    },
+    IfLetStatement(s) {
+      walk(s.optional)
+      inNewScope(() => walkUnwrapped(s.variable, s.consequent))
+      if (Array.isArray(s.alternate)) inNewScope(() => walkBlock(s.alternate))
+      else walk(s.alternate)
+    },
+    ShortIfLetStatement(s) {
+      walk(s.optional)
+      inNewScope(() => walkUnwrapped(s.variable, s.consequent))
+    },
+    WhileStatement(s) {
+      if (s.test !== true) checkCondition(s.test, s)
+      walk(s.test)
+      inNewScope(() => walkBlock(s.body))
+    },
+    WhileLetStatement(s) {
+      walk(s.optional)
+      inNewScope(() => walkUnwrapped(s.variable, s.body))
+    },
+    RepeatStatement(s) {
+      walk(s.count)
+      inNewScope(() => walkBlock(s.body))
+    },
+    ForRangeStatement(s) {
+      walk([s.low, s.high])
+      inNewScope(() => {
+        declare(s.iterator, "unused-variable")
+        walkBlock(s.body)
+      })
+    },
+    ForStatement(s) {
+      walk(s.collection)
+      inNewScope(() => {
+        declare(s.iterator, "unused-variable")
+        walkBlock(s.body)
+      })
+    },
+    MatchArm(arm) {
+      inNewScope(() => {
+        for (const binding of arm.bindings) {
+          if (binding) declare(binding, "unused-variable")
+        }
+        walkBody(arm.body)
+      })
+    },
+    Conditional(e) {
+      checkCondition(e.test, e)
+      walk([e.test, e.consequent, e.alternate, e.type])
+    },
+  }
+
+  walk(program)
+
+  for (const [entity, code] of declared) {
+    if (used.has(entity) || exported.has(entity)) continue
+    warn(code, `${unusedDescriptions[code]} ${entity.name} is never used`, entity)
+  }
+
+  const ignored = suppressions(source)
+  return warnings
+    .filter(({ line, code }) => {
+      const codes = ignored.get(line)
+      return !codes || (codes.length > 0 && !codes.includes(code))
+    })
+    .sort((w1, w2) => w1.start - w2.start)
+}
+
+const usableKinds = ["Variable", "Function", "StructType"]
+const unusedDescriptions = {
+  "unused-variable": "Variable",
+  "unused-parameter": "Parameter",
+  "unused-function": "Function",
+  "unused-type": "Type",
+}
+const jumps = [
+  "ReturnStatement",
+  "ShortReturnStatement",
+  "BreakStatement",
+  "ContinueStatement",
+]
+
+// Whether an expression is made of literals alone, so that it always has
+// the same value
+function isConstant(e) {
+  if (typeof e !== "object") return true
+  if (e.kind === "BinaryExpression") return isConstant(e.left) && isConstant(e.right)
+  return e.kind === "UnaryExpression" && e.op !== "random" && isConstant(e.operand)
+}
+
+// The codes of the warnings to ignore on each line, with an empty list
+// meaning all of them
+function suppressions(source) {
+  const ignored = new Map()
+  source.split("\n").forEach((text, i) => {
+    const comment = text.match(/\/\/\s*lint-ignore\b(.*)$/)
+    if (!comment) return
+    const codes = comment[1].split(/[\s,]+/).filter(code => code !== "")
+    const alone = text.slice(0, comment.index).trim() === ""
+    ignored.set(alone ? i + 2 : i + 1, codes)
+  })
+  return ignored
+}
+
+// The lines around a span, just as Ohm shows them in front of the messages
+// of the errors it finds, and so the analyzer does too
+function excerpt(source, { start, end, line, column }) {
+  const lines = source.split("\n")
+  const numbers = [line - 1, line, line + 1].filter(n => n >= 1 && n <= lines.length)
+  const width = String(numbers.at(-1)).length
+  const shown = numbers.map(n => {
+    return `${n === line ? ">" : " "} ${String(n).padStart(width)} | ${lines[n - 1]}`
+  })
+  const lineEnd = start - column + 1 + lines[line - 1].length
+  const length = Math.max(1, Math.min(end, lineEnd) - start)
+  const marker = `${" ".repeat(width + column + 4)}^${"~".repeat(length - 1)}`
+  shown.splice(numbers.indexOf(line) + 1, 0, marker)
+  return `Line ${line}, col ${column}:\n${shown.join("\n")}\n`
+}
@@ -0,0 +1,124 @@
+// A Carlos program can be spread over several files, each of which is a
+// module. A module exports some of its top-level declarations, and other
+// modules import them by name, from a path relative to the importing file:
+//
+//   import { Point, distance } from "./geometry.carlos";
+//
+// The module loader exports a function, loadModules(match, { filename }),
+// which accepts the match of a program and the name of its file, and
+// analyzes the program together with every module it imports, directly or
+// not. Each module is read and analyzed just once, no matter how many
+// modules import it. Every module is analyzed before the modules importing
+// it, and the modules are returned in that order, which is the order they
+// must be run in, so the program itself comes last. A cycle of imports is an
+// error, since there would be no module to analyze first.
+//
+// Modules are named by joining the directory of the importing module with
+// the path in the import, so that when the program's file is given relative
+// to the current directory, so are the names of all the other modules.
+//
+// As with analyze(), all errors, from every module, are thrown at once. A
+// diagnostic from a module other than the program has a filename property.
+// Tools that want the analysis of the program itself, such as editors, can
+// use a ModuleLoader directly.
+//
+// Every module without errors is also linted. Its warnings are among the
+// diagnostics thrown when there are errors anywhere, and are otherwise
+// passed, one by one, to the function given as the warn option.
+
+import * as fs from "node:fs"
+import * as path from "node:path"
+import parse from "./parser.js"
+import { analyzeWithDiagnostics } from "./analyzer.js"
+import lint from "./linter.js"
+
+export default function loadModules(match, { filename, warn = () => {} } = {}) {
+  const loader = new ModuleLoader(filename)
+  loader.analyze(match, filename)
+  const errors = loader.diagnostics.filter(d => d.severity === "error")
+  if (errors.length > 0) {
+    const message = errors.map(d => d.text).join("\n")
+    throw Object.assign(new Error(message), { diagnostics: loader.diagnostics })
+  }
+  loader.diagnostics.forEach(warning => warn(warning))
+  return [...loader.modules.values()]
+}
+
+// A loader is made for a program in a file with the given name, or for a
+// program not in any file, which can't import anything
+export class ModuleLoader {
+  constructor(filename) {
+    this.filename = filename
+    // The modules analyzed so far, by absolute path, and the names of those
+    // still being analyzed, each importing the next one
+    this.modules = new Map()
+    this.loading = []
+    // Every diagnostic, from every module
+    this.diagnostics = []
+  }
+
+  // Analyze the match of a module, loading whatever it imports, returning
+  // everything analyzeWithDiagnostics() does, warnings included
+  analyze(match, filename) {
+    this.loading.push(filename)
+    const analysis = analyzeWithDiagnostics(match, {
+      importModule: filename && (specifier => this.importModule(filename, specifier)),
+    })
+    this.loading.pop()
+    if (analysis.diagnostics.length === 0) {
+      analysis.diagnostics.push(...lint(analysis.program, match.input))
+    }
+    this.record(analysis.diagnostics, filename)
+    const module = { filename, source: match.input, program: analysis.program }
+    this.modules.set(filename && path.resolve(filename), module)
+    return analysis
+  }
+
+  importModule(importer, specifier) {
+    const filename = path.join(path.dirname(importer), specifier)
+    const resolved = path.resolve(filename)
+    const cycleStart = this.loading.findIndex(f => path.resolve(f) === resolved)
+    if (cycleStart >= 0) {
+      const cycle = [...this.loading.slice(cycleStart), filename]
+      return { error: `Import cycle: ${cycle.join(" -> ")}` }
+    }
+    if (!this.modules.has(resolved)) {
+      let source
+      try {
+        source = fs.readFileSync(resolved, "utf8")
+      } catch {
+        return { error: `Module ${specifier} not found` }
+      }
+      let match
+      try {
+        match = parse(source)
+      } catch (error) {
+        // Without a program there are no exports, and nothing more to say
+        this.record(error.diagnostics, filename)
+        this.modules.set(resolved, { filename, source })
+      }
+      if (match) this.analyze(match, filename)
+    }
+    const { program } = this.modules.get(resolved)
+    return { exports: program && exportsOf(program) }
+  }
+
+  record(diagnostics, filename) {
+    for (const diagnostic of diagnostics) {
+      if (filename !== this.filename) diagnostic.filename = filename
+      this.diagnostics.push(diagnostic)
+    }
+  }
+}
+
+// The entities exported by a program, by name
+function exportsOf(program) {
+  const exports = new Map()
+  for (const statement of program.statements) {
+    if (statement.kind !== "ExportDeclaration") continue
+    const { declaration } = statement
+    const entity = declaration.variable ?? declaration.fun ?? declaration.type
+    exports.set(entity.name, entity)
+  }
+  return exports
+}
@@ -4,7 +4,9 @@
 // The only optimizations supported here are:
 //
 //   - assignments to self (x = x) turn into no-ops
-//   - constant folding
+//   - constant folding, except of operations that trap, like dividing by 0,
+//     including equality of arrays, structs, optionals, and enum values
+//     made from constants
 //   - some strength reductions (+0, -0, *0, *1, etc.)
 //   - turn references to built-ins true and false to be literals
 //   - remove all disjuncts in || list after literal true
@@ -14,12 +16,16 @@
 //   - for-loop over empty array is a no-op
 //   - for-loop with low > high is a no-op
 //   - if-true and if-false reduce to only the taken arm
+//   - if let and while let on some value or no value need no check
+//   - a match on a variant made from constants reduces to the arm it selects
+//   - constants interpolated into strings are written into them, leaving
+//     just a string when all of them are
 //
-// The optimizer also replaces token references with their actual values,
-// since the original token line and column numbers are no longer needed.
-// This simplifies code generation.
+// Nodes are optimized in place wherever possible, so they keep their spans.
+// The rare new node made here takes the span of the node it replaces.
 
 import * as core from "./core.js"
+import { format } from "./interpreter.js"
 
 export default function optimize(node) {
   return optimizers?.[node.kind]?.(node) ?? node
@@ -30,6 +36,13 @@ const optimizers = {
     p.statements = p.statements.flatMap(optimize)
     return p
   },
+  ImportDeclaration(d) {
+    return d
+  },
+  ExportDeclaration(d) {
+    d.declaration = optimize(d.declaration)
+    return d
+  },
   VariableDeclaration(d) {
     d.variable = optimize(d.variable)
     d.initializer = optimize(d.initializer)
@@ -37,6 +50,11 @@ const optimizers = {
   },
   TypeDeclaration(d) {
     d.type = optimize(d.type)
+    d.methods = d.methods.map(optimize)
+    return d
+  },
+  MethodDeclaration(d) {
+    d.body = d.body.flatMap(optimize)
     return d
   },
   FunctionDeclaration(d) {
@@ -63,6 +81,9 @@ const optimizers = {
   BreakStatement(s) {
     return s
   },
+  ContinueStatement(s) {
+    return s
+  },
   ReturnStatement(s) {
     s.expression = optimize(s.expression)
     return s
@@ -73,11 +94,7 @@ const optimizers = {
   IfStatement(s) {
     s.test = optimize(s.test)
     s.consequent = s.consequent.flatMap(optimize)
-    if (s.alternate?.kind?.endsWith?.("IfStatement")) {
-      s.alternate = optimize(s.alternate)
-    } else {
-      s.alternate = s.alternate.flatMap(optimize)
-    }
+    s.alternate = optimizeAlternate(s.alternate)
     if (s.test.constructor === Boolean) {
       return s.test ? s.consequent : s.alternate
     }
@@ -91,6 +108,21 @@ const optimizers = {
     }
     return s
   },
+  IfLetStatement(s) {
+    s.optional = optimize(s.optional)
+    s.consequent = s.consequent.flatMap(optimize)
+    s.alternate = optimizeAlternate(s.alternate)
+    if (s.optional.kind === "EmptyOptional") return s.alternate
+    if (s.optional.op === "some") return unwrapped(s, s.consequent)
+    return s
+  },
+  ShortIfLetStatement(s) {
+    s.optional = optimize(s.optional)
+    s.consequent = s.consequent.flatMap(optimize)
+    if (s.optional.kind === "EmptyOptional") return []
+    if (s.optional.op === "some") return unwrapped(s, s.consequent)
+    return s
+  },
   WhileStatement(s) {
     s.test = optimize(s.test)
     if (s.test === false) {
@@ -100,9 +132,23 @@ const optimizers = {
     s.body = s.body.flatMap(optimize)
     return s
   },
+  WhileLetStatement(s) {
+    s.optional = optimize(s.optional)
+    if (s.optional.kind === "EmptyOptional") {
+      // while let on no value is a no-op
+      return []
+    }
+    s.body = s.body.flatMap(optimize)
+    if (s.optional.op === "some") {
+      // Always having a value, the loop goes on until a break or return
+      const loop = core.whileStatement(true, unwrapped(s, s.body))
+      return core.locate(core.labeled(loop, s.label), s.span)
+    }
+    return s
+  },
   RepeatStatement(s) {
     s.count = optimize(s.count)
-    if (s.count === 0) {
+    if (isZero(s.count)) {
       // repeat 0 times is a no-op
       return []
     }
@@ -115,8 +161,8 @@ const optimizers = {
     s.op = optimize(s.op)
     s.high = optimize(s.high)
     s.body = s.body.flatMap(optimize)
-    if (s.low.constructor === Number) {
-      if (s.high.constructor === Number) {
+    if (typeof s.low === "bigint" || s.low.constructor === Number) {
+      if (typeof s.high === "bigint" || s.high.constructor === Number) {
         if (s.low > s.high) {
           return []
         }
@@ -133,6 +179,40 @@ const optimizers = {
     }
     return s
   },
+  MatchStatement(s) {
+    s.subject = optimize(s.subject)
+    const arm = armSelectedByConstant(s)
+    if (arm) {
+      // The variables bound by the arm are declared outright
+      const declarations = arm.bindings.flatMap((binding, i) => {
+        if (!binding) return []
+        const declaration = core.variableDeclaration(binding, s.subject.args[i])
+        return [core.locate(declaration, s.span)]
+      })
+      return [...declarations, ...arm.body.flatMap(optimize)]
+    }
+    for (const arm of s.arms) arm.body = arm.body.flatMap(optimize)
+    return s
+  },
+  MatchExpression(e) {
+    e.subject = optimize(e.subject)
+    const arm = armSelectedByConstant(e)
+    if (arm) {
+      // The variables bound by the arm are replaced by their values
+      const values = new Map(
+        arm.bindings.flatMap((binding, i) =>
+          binding ? [[binding, e.subject.args[i]]] : []
+        )
+      )
+      return optimize(substitute(arm.body, values))
+    }
+    for (const arm of e.arms) arm.body = optimize(arm.body)
+    return e
+  },
+  Lambda(e) {
+    e.body = Array.isArray(e.body) ? e.body.flatMap(optimize) : optimize(e.body)
+    return e
+  },
   Conditional(e) {
     e.test = optimize(e.test)
     e.consequent = optimize(e.consequent)
@@ -146,6 +226,10 @@ const optimizers = {
     e.op = optimize(e.op)
     e.left = optimize(e.left)
     e.right = optimize(e.right)
+    if (["==", "!="].includes(e.op)) {
+      const equal = equalConstants(e.left, e.right)
+      if (equal !== undefined) return e.op === "==" ? equal : !equal
+    }
     if (e.op === "??") {
       // Coalesce empty optional unwraps
       if (e.left?.kind === "EmptyOptional") {
@@ -161,36 +245,33 @@ const optimizers = {
     } else if ([Number, BigInt].includes(e.left.constructor)) {
       // Numeric constant folding when left operand is constant
       if ([Number, BigInt].includes(e.right.constructor)) {
-        if (e.op === "+") return e.left + e.right
-        if (e.op === "-") return e.left - e.right
-        if (e.op === "*") return e.left * e.right
-        if (e.op === "/") return e.left / e.right
-        if (e.op === "**") return e.left ** e.right
-        if (e.op === "<") return e.left < e.right
-        if (e.op === "<=") return e.left <= e.right
-        if (e.op === "==") return e.left === e.right
-        if (e.op === "!=") return e.left !== e.right
-        if (e.op === ">=") return e.left >= e.right
-        if (e.op === ">") return e.left > e.right
+        const value = fold(e.op, e.left, e.right)
+        if (value !== undefined) return value
       }
-      if (e.left === 0 && e.op === "+") return e.right
-      if (e.left === 1 && e.op === "*") return e.right
-      if (e.left === 0 && e.op === "-") return core.unary("-", e.right)
-      if (e.left === 1 && e.op === "**") return 1
-      if (e.left === 0 && ["*", "/"].includes(e.op)) return 0
+      if (isZero(e.left) && e.op === "+") return e.right
+      if (isOne(e.left) && e.op === "*") return e.right
+      if (isZero(e.left) && e.op === "-") {
+        return core.locate(core.unary("-", e.right), e.span)
+      }
+      if (isZero(e.left) && e.op === "*") return e.left
+      // Not for ints, since 0/0 and 1**-1 trap, unless the power is a length
+      if (isOne(e.left) && e.op === "**" && (e.left === 1 || isLength(e.right))) {
+        return e.left
+      }
+      if (e.left === 0 && e.op === "/") return 0
     } else if ([Number, BigInt].includes(e.right.constructor)) {
       // Numeric constant folding when right operand is constant
-      if (["+", "-"].includes(e.op) && e.right === 0) return e.left
-      if (["*", "/"].includes(e.op) && e.right === 1) return e.left
-      if (e.op === "*" && e.right === 0) return 0
-      if (e.op === "**" && e.right === 0) return 1
+      if (["+", "-"].includes(e.op) && isZero(e.right)) return e.left
+      if (["*", "/"].includes(e.op) && isOne(e.right)) return e.left
+      if (e.op === "*" && isZero(e.right)) return e.right
+      if (e.op === "**" && isZero(e.right)) return typeof e.right === "bigint" ? 1n : 1
     }
     return e
   },
   UnaryExpression(e) {
     e.op = optimize(e.op)
     e.operand = optimize(e.operand)
-    if (e.operand.constructor === Number) {
+    if ([Number, BigInt].includes(e.operand.constructor)) {
       if (e.op === "-") {
         return -e.operand
       }
@@ -206,10 +287,28 @@ const optimizers = {
     e.elements = e.elements.map(optimize)
     return e
   },
+  Interpolation(e) {
+    const strings = [e.strings[0]]
+    const expressions = []
+    e.expressions.map(optimize).forEach((x, i) => {
+      if (typeof x === "object") {
+        expressions.push(x)
+        strings.push(e.strings[i + 1])
+      } else {
+        strings[strings.length - 1] += sourceText(x) + e.strings[i + 1]
+      }
+    })
+    if (expressions.length === 0) return `"${strings[0]}"`
+    return Object.assign(e, { strings, expressions })
+  },
   MemberExpression(e) {
     e.object = optimize(e.object)
     return e
   },
+  MethodExpression(e) {
+    e.object = optimize(e.object)
+    return e
+  },
   FunctionCall(c) {
     c.callee = optimize(c.callee)
     c.args = c.args.map(optimize)
@@ -221,3 +320,134 @@ const optimizers = {
     return c
   },
 }
+
+// When the subject of a match is a variant made from constants, which arm
+// it selects is known before the program runs
+function armSelectedByConstant(match) {
+  const { subject } = match
+  if (subject.kind !== "ConstructorCall") return
+  if (subject.args.some(arg => typeof arg === "object")) return
+  return match.arms.find(arm => !arm.variant || arm.variant === subject.callee)
+}
+
+// Whether two constants are equal, or undefined when either is not made of
+// constants alone or when it can't be told. Aggregates are equal when made
+// the same way from equal parts. Strings can only be told to be equal, when
+// written the same way, since escapes can write a string in other ways.
+function equalConstants(x, y) {
+  if (!isConstant(x) || !isConstant(y)) return undefined
+  if (typeof x === "string") return x === y || undefined
+  if (typeof x !== "object") return x === y
+  const [[xKind, xParts], [yKind, yParts]] = [partsOf(x), partsOf(y)]
+  if (xKind !== yKind || xParts.length !== yParts.length) return false
+  let equal = true
+  for (const [i, part] of xParts.entries()) {
+    const partsEqual = equalConstants(part, yParts[i])
+    if (partsEqual === false) return false
+    if (partsEqual === undefined) equal = undefined
+  }
+  return equal
+}
+
+function isConstant(e) {
+  if (typeof e !== "object") return true
+  return partsOf(e)?.[1].every(isConstant) ?? false
+}
+
+// The kind of aggregate an expression makes, and the expressions it makes it
+// from, or undefined when the expression makes no aggregate
+function partsOf(e) {
+  switch (e.kind) {
+    case "ArrayExpression":
+      return ["array", e.elements]
+    case "EmptyArray":
+      return ["array", []]
+    case "EmptyOptional":
+      return ["optional", []]
+    case "UnaryExpression":
+      return e.op === "some" ? ["optional", [e.operand]] : undefined
+    case "ConstructorCall":
+      return [e.callee, e.args]
+  }
+}
+
+// Replace variables by values throughout an expression, changing it in place.
+// Everything in the expression is walked, including the bodies of functions
+// made within it, but never the entities and types it refers to.
+const entityKinds = [
+  "Variable",
+  "Function",
+  "Method",
+  "Field",
+  "Variant",
+  "TypeParameter",
+]
+
+function substitute(node, values) {
+  if (values.has(node)) return values.get(node)
+  if (Array.isArray(node)) return node.map(child => substitute(child, values))
+  const walked =
+    typeof node === "object" &&
+    node !== null &&
+    !entityKinds.includes(node.kind) &&
+    !node.kind.endsWith("Type")
+  if (walked) {
+    for (const [key, child] of Object.entries(node)) node[key] = substitute(child, values)
+  }
+  return node
+}
+
+// Constants are folded with the very operators that the generated JavaScript
+// and the interpreter use, on bigints for ints, so folding never changes what
+// a program computes. An operation that throws, such as an int division by
+// zero or a negative int exponent, is left alone, to trap when the program is
+// run.
+const operations = {
+  "+": (x, y) => x + y,
+  "-": (x, y) => x - y,
+  "*": (x, y) => x * y,
+  "/": (x, y) => x / y,
+  "%": (x, y) => x % y,
+  "**": (x, y) => x ** y,
+  "<<": (x, y) => x << y,
+  ">>": (x, y) => x >> y,
+  "&": (x, y) => x & y,
+  "|": (x, y) => x | y,
+  "^": (x, y) => x ^ y,
+  "<": (x, y) => x < y,
+  "<=": (x, y) => x <= y,
+  "===": (x, y) => x === y,
+  "!==": (x, y) => x !== y,
+  ">=": (x, y) => x >= y,
+  ">": (x, y) => x > y,
+}
+
+function fold(op, x, y) {
+  try {
+    return operations[op](x, y)
+  } catch {
+    return undefined
+  }
+}
+
+// The source text of a constant as it would be shown in a string, with its
+// dollar signs escaped so that none of them starts an interpolation
+function sourceText(x) {
+  const text = typeof x === "string" ? x.slice(1, -1) : format(x, x.type)
+  return text.replace(/(\\.)|\$/g, (_, escape) => escape ?? "\\$")
+}
+
+function optimizeAlternate(alternate) {
+  return Array.isArray(alternate) ? alternate.flatMap(optimize) : optimize(alternate)
+}
+
+// The statements of an if let or while let on an optional known to have a
+// value, with the variable declared outright
+function unwrapped(s, statements) {
+  const declaration = core.variableDeclaration(s.variable, s.optional.operand)
+  return [core.locate(declaration, s.span), ...statements]
+}
+
+const isZero = x => x === 0 || x === 0n
+const isOne = x => x === 1 || x === 1n
+const isLength = e => e?.kind === "UnaryExpression" && e.op === "#"
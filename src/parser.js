@@ -4,11 +4,28 @@
 import * as fs from "node:fs"
 import * as ohm from "ohm-js"
 
-const grammar = ohm.grammar(fs.readFileSync("src/carlos.ohm"))
+// Found next to this module, so the compiler can be run from any directory
+const grammar = ohm.grammar(fs.readFileSync(new URL("./carlos.ohm", import.meta.url)))
 
-// Returns the Ohm match if successful, otherwise throws an error
-export default function parse(sourceCode) {
-  const match = grammar.match(sourceCode)
-  if (!match.succeeded()) throw new Error(match.message)
+// Returns the Ohm match if successful, otherwise throws an error. Whole
+// programs are matched unless another start rule (such as "Exp") is given.
+// Like the errors thrown by the analyzer, the error has a diagnostics
+// property, here holding the single syntax error.
+export default function parse(sourceCode, startRule = "Program") {
+  const match = grammar.match(sourceCode, startRule)
+  if (!match.succeeded()) {
+    const interval = match.getInterval()
+    const { lineNum: line, colNum: column } = interval.getLineAndColumn()
+    const diagnostic = {
+      severity: "error",
+      message: `Expected ${match.getExpectedText()}`,
+      line,
+      column,
+      start: interval.startIdx,
+      end: interval.endIdx,
+      text: match.message,
+    }
+    throw Object.assign(new Error(match.message), { diagnostics: [diagnostic] })
+  }
   return match
 }
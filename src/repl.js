@@ -0,0 +1,136 @@
+// The REPL (read-eval-print loop) lets you try out Carlos one piece at a time.
+// A session keeps a single analyzer context and a single interpreter alive
+// across inputs, so declarations made in one input can be used in the next.
+// Statements are run, and bare expressions are evaluated and shown with their
+// type. An input continues over several lines until its braces, brackets, and
+// parentheses are balanced.
+
+import readline from "node:readline"
+import util from "node:util"
+import stringify from "graph-stringify"
+import parse from "./parser.js"
+import analyze, { Context, typeDescription } from "./analyzer.js"
+import optimize from "./optimizer.js"
+import { createInterpreter, format } from "./interpreter.js"
+import { voidType } from "./core.js"
+
+const help = `Enter Carlos statements to run them, or an expression to see its value
+and type. Declarations are remembered for the rest of the session. Commands:
+
+  :type <exp>  show the type of an expression without evaluating it
+  :ir <exp>    show the analyzed representation of an expression
+  :reset       forget all declarations
+  :help        show this message
+
+Press Ctrl+D to leave.`
+
+export default function repl({ input = process.stdin, output = process.stdout } = {}) {
+  const session = new Session(line => output.write(`${line}\n`))
+  const lines = readline.createInterface({ input, output, prompt: "> " })
+  output.write("Carlos REPL, enter :help for help\n")
+  lines.prompt()
+  lines.on("line", line => {
+    session.accept(line)
+    lines.setPrompt(session.continuing ? "... " : "> ")
+    lines.prompt()
+  })
+  return new Promise(resolve => lines.on("close", resolve))
+}
+
+export class Session {
+  constructor(write) {
+    this.write = write
+    this.pendingLines = []
+    this.reset()
+  }
+
+  reset() {
+    this.context = Context.root()
+    this.interpreter = createInterpreter({ write: this.write })
+  }
+
+  // Whether the input so far is incomplete, awaiting more lines
+  get continuing() {
+    return this.pendingLines.length > 0
+  }
+
+  accept(line) {
+    this.pendingLines.push(line)
+    const input = this.pendingLines.join("\n")
+    if (nesting(input) > 0) return
+    this.pendingLines = []
+    try {
+      this.process(input.trim())
+    } catch (e) {
+      this.write(`Error: ${e.message}`)
+    }
+  }
+
+  process(input) {
+    if (input === "") return
+    if (input.startsWith(":")) {
+      const [, command, argument] = input.match(/^:(\S*)\s*(.*)$/s)
+      if (command === "type") {
+        const { representation } = this.analyze(parse(argument, "Exp"))
+        this.write(typeDescription(representation.type))
+      } else if (command === "ir") {
+        const { representation: expression } = this.analyze(parse(argument, "Exp"))
+        this.write(stringify(expression, "kind") || util.inspect(expression))
+      } else if (command === "reset") {
+        this.reset()
+        this.write("All declarations forgotten")
+      } else if (command === "help") {
+        this.write(help)
+      } else {
+        throw new Error(`Unknown command :${command}, enter :help for help`)
+      }
+      return
+    }
+    let match
+    try {
+      match = parse(input)
+    } catch (programError) {
+      // Not a sequence of statements, but it might be a bare expression
+      try {
+        match = parse(input, "Exp")
+      } catch {
+        throw programError
+      }
+      const { representation: expression } = this.analyze(match)
+      const value = this.interpreter.evaluate(optimize(expression))
+      if (expression.type !== voidType) {
+        this.write(
+          `${format(value, expression.type, true)} : ${typeDescription(expression.type)}`
+        )
+      }
+      return
+    }
+    const { representation, keep } = this.analyze(match)
+    this.interpreter.run(optimize(representation))
+    keep()
+  }
+
+  // Analyze in a child of the session context, so that an input with errors
+  // leaves no trace. Its declarations go into the session context only when
+  // keep() is called, once the input has run, so that an input failing as it
+  // runs leaves no trace either, rather than names without values.
+  analyze(match) {
+    const context = this.context.newChildContext()
+    const representation = analyze(match, { context })
+    const keep = () => {
+      for (const [name, entity] of context.locals) this.context.add(name, entity)
+    }
+    return { representation, keep }
+  }
+}
+
+// How many more brackets of any kind have been opened than closed, ignoring
+// those in string literals and comments
+function nesting(input) {
+  let depth = 0
+  for (const [token] of input.matchAll(/"(?:\\.|[^"\\])*"|\/\/.*|[{}()[\]]/g)) {
+    if ("{([".includes(token)) depth++
+    if ("})]".includes(token)) depth--
+  }
+  return depth
+}
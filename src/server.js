@@ -0,0 +1,368 @@
+// A language server for Carlos, speaking the Language Server Protocol over
+// stdio, so that editors can show errors as you type, the type of whatever
+// is under the mouse, where an identifier was declared, and completions.
+//
+// Everything comes from the parser and analyzer. Each time a document
+// changes it is parsed and analyzed anew, along with the modules it imports,
+// publishing the syntax error, or the semantic errors, or else the warnings
+// of the linter, with their codes. The analysis of the latest version of the
+// document that parsed successfully is kept around, since while someone is
+// typing (say, just after a ".") the document is often not syntactically
+// valid. Its offsets are those of the text it was made from, so they are
+// moved past the edit since then, or not used when they fall within it.
+
+import { fileURLToPath } from "node:url"
+import parse from "./parser.js"
+import { typeDescription } from "./analyzer.js"
+import { ModuleLoader } from "./modules.js"
+
+// Numbers the protocol uses for severities and kinds of completion items
+const severities = { error: 1, warning: 2 }
+const completionKinds = {
+  Variable: 6,
+  Constant: 21,
+  Function: 3,
+  Method: 2,
+  Field: 5,
+  StructType: 22,
+  EnumType: 13,
+  InterfaceType: 8,
+  Type: 7,
+}
+
+export default function serve({ input = process.stdin, output = process.stdout } = {}) {
+  // Messages in both directions are JSON preceded by a Content-Length header
+  function send(message) {
+    const json = JSON.stringify({ jsonrpc: "2.0", ...message })
+    output.write(`Content-Length: ${Buffer.byteLength(json)}\r\n\r\n${json}`)
+  }
+
+  const server = new LanguageServer(send)
+  let buffer = Buffer.alloc(0)
+  input.on("data", chunk => {
+    buffer = Buffer.concat([buffer, chunk])
+    for (;;) {
+      const headerEnd = buffer.indexOf("\r\n\r\n")
+      if (headerEnd === -1) return
+      const length = Number(
+        buffer
+          .subarray(0, headerEnd)
+          .toString()
+          .match(/Content-Length: *(\d+)/i)[1]
+      )
+      const bodyStart = headerEnd + 4
+      if (buffer.length < bodyStart + length) return
+      const body = buffer.subarray(bodyStart, bodyStart + length).toString()
+      buffer = buffer.subarray(bodyStart + length)
+      server.receive(JSON.parse(body))
+    }
+  })
+  return new Promise(resolve => {
+    server.onExit = resolve
+    input.on("end", resolve)
+  })
+}
+
+export class LanguageServer {
+  constructor(send) {
+    this.send = send
+    // Open documents, by uri: their text and their latest usable analysis
+    this.documents = new Map()
+  }
+
+  // A failing handler must not take the server down with it: a failed
+  // request gets an error response, and a failed notification, which never
+  // gets a response, is logged
+  receive({ id, method, params }) {
+    const handler = this.handlers[method]
+    if (id === undefined) {
+      try {
+        handler?.call(this, params)
+      } catch (error) {
+        this.send({
+          method: "window/logMessage",
+          params: { type: 1, message: error.message },
+        })
+      }
+    } else if (handler) {
+      let response
+      try {
+        response = { id, result: handler.call(this, params) ?? null }
+      } catch (error) {
+        response = { id, error: { code: -32603, message: error.message } }
+      }
+      this.send(response)
+    } else {
+      this.send({ id, error: { code: -32601, message: `Unhandled method ${method}` } })
+    }
+  }
+
+  handlers = {
+    initialize() {
+      return {
+        capabilities: {
+          textDocumentSync: 1, // the whole document is sent on every change
+          hoverProvider: true,
+          definitionProvider: true,
+          completionProvider: { triggerCharacters: ["."] },
+        },
+        serverInfo: { name: "carlos" },
+      }
+    },
+    shutdown() {
+      return null
+    },
+    exit() {
+      this.onExit?.()
+    },
+    "textDocument/didOpen"({ textDocument: { uri, text } }) {
+      this.update(uri, text)
+    },
+    "textDocument/didChange"({ textDocument: { uri }, contentChanges }) {
+      this.update(uri, contentChanges.at(-1).text)
+    },
+    "textDocument/didClose"({ textDocument: { uri } }) {
+      this.documents.delete(uri)
+      this.publish(uri, [])
+    },
+    "textDocument/hover"({ textDocument: { uri }, position }) {
+      const reference = this.referenceAt(uri, position)
+      if (!reference) return null
+      return {
+        contents: {
+          kind: "markdown",
+          value: "```carlos\n" + describe(reference.entity) + "\n```",
+        },
+        range: this.rangeOf(uri, reference),
+      }
+    },
+    "textDocument/definition"({ textDocument: { uri }, position }) {
+      const reference = this.referenceAt(uri, position)
+      const declaration = reference && this.declarationOf(uri, reference.entity)
+      const declarationRange = declaration && this.rangeOf(uri, declaration)
+      if (!declarationRange) return null
+      return { uri, range: declarationRange }
+    },
+    "textDocument/completion"({ textDocument: { uri }, position }) {
+      const document = this.documents.get(uri)
+      if (!document?.analysis) return []
+      const offset = offsetAt(document.text, position)
+      // Within the edit since the analysis, names are visible as they were
+      // where the edit starts
+      const edit = editSince(document)
+      const analyzedOffset = toAnalyzed(edit, offset) ?? edit.start
+      // After a dot, only the fields and methods of the struct or interface
+      // before the dot will do
+      const before = document.text.slice(0, offset)
+      const chain = before.match(
+        /([\p{L}][\p{L}\p{N}]*)((?:\??\.[\p{L}][\p{L}\p{N}]*)*)\??\.[\p{L}\p{N}]*$/u
+      )
+      if (chain) {
+        const [, first, rest] = chain
+        let type = this.visibleEntities(uri, analyzedOffset).get(first)?.type
+        for (const [, name] of rest.matchAll(/\??\.([\p{L}][\p{L}\p{N}]*)/gu)) {
+          type = structTypeOf(type)?.fields.find(f => f.name === name)?.type
+        }
+        const { fields = [], methods = [] } = structTypeOf(type) ?? {}
+        return [...fields, ...methods].map(m => completion(m.name, m))
+      }
+      const entities = this.visibleEntities(uri, analyzedOffset)
+      return [...entities].map(([name, entity]) => completion(name, entity))
+    },
+  }
+
+  update(uri, text) {
+    const document = this.documents.get(uri) ?? {}
+    this.documents.set(uri, document)
+    document.text = text
+    let match
+    try {
+      match = parse(text)
+    } catch (error) {
+      // Keep the previous analysis, it's still better than nothing
+      this.publish(uri, error.diagnostics)
+      return
+    }
+    // Imports are read from disk, so a document can only import when it is a
+    // file. Errors in the modules it imports are not its own to publish.
+    const filename = uri.startsWith("file:") ? fileURLToPath(uri) : undefined
+    document.analysis = new ModuleLoader(filename).analyze(match, filename)
+    document.analyzedText = text
+    this.publish(uri, document.analysis.diagnostics)
+  }
+
+  publish(uri, diagnostics) {
+    const text = this.documents.get(uri)?.text
+    this.send({
+      method: "textDocument/publishDiagnostics",
+      params: {
+        uri,
+        diagnostics: diagnostics.map(d => ({
+          range: range(text, d.start, Math.max(d.end, d.start + 1)),
+          severity: severities[d.severity],
+          source: "carlos",
+          code: d.code,
+          message: d.message,
+        })),
+      },
+    })
+  }
+
+  // The reference at a position, unless it has been edited since the analysis
+  referenceAt(uri, position) {
+    const document = this.documents.get(uri)
+    if (!document?.analysis) return undefined
+    const offset = toAnalyzed(editSince(document), offsetAt(document.text, position))
+    const reference = document.analysis.references.find(
+      r => r.start <= offset && offset <= r.end
+    )
+    return reference && this.rangeOf(uri, reference) ? reference : undefined
+  }
+
+  // The range in the current text of something in the analysis, unless it
+  // has been edited since
+  rangeOf(uri, { start, end }) {
+    const document = this.documents.get(uri)
+    const edit = editSince(document)
+    const [from, to] = [fromAnalyzed(edit, start), fromAnalyzed(edit, end)]
+    if (from === undefined || to === undefined) return undefined
+    return range(document.text, from, to)
+  }
+
+  declarationOf(uri, entity) {
+    const { references } = this.documents.get(uri).analysis
+    return references.find(r => r.declaration && r.entity === entity)
+  }
+
+  // The entities that can be referred to by name at the given offset in the
+  // analyzed text: those in the innermost scope containing the offset and all
+  // enclosing scopes, except for those not declared until after the offset.
+  // An offset outside of every scope, such as one past the end of the
+  // program, is in the scope of the program.
+  visibleEntities(uri, offset) {
+    const { scopes } = this.documents.get(uri).analysis
+    // Scopes are recorded as they are entered, so the innermost comes last
+    const scope =
+      scopes.filter(s => s.start <= offset && offset <= s.end).at(-1) ?? scopes[0]
+    const entities = new Map()
+    for (let context = scope.context; context; context = context.parent) {
+      for (const [name, entity] of context.locals) {
+        const declaration = this.declarationOf(uri, entity)
+        if (!entities.has(name) && !(declaration?.start > offset)) {
+          entities.set(name, entity)
+        }
+      }
+    }
+    return entities
+  }
+}
+
+// The struct or interface type of a struct, interface, or optional of one,
+// if it is one
+function structTypeOf(type) {
+  if (type?.kind === "OptionalType") type = type.baseType
+  return ["StructType", "InterfaceType"].includes(type?.kind) ? type : undefined
+}
+
+// What hovering over an identifier shows, in Carlos-like syntax
+function describe(entity) {
+  switch (entity.kind) {
+    case "Variable":
+      return `${entity.readOnly ? "const" : "let"} ${entity.name}: ${typeDescription(
+        entity.type
+      )}`
+    case "Function":
+      return `function ${entity.name}${typeParameterSyntax(entity)}: ${typeDescription(
+        entity.type
+      )}`
+    case "Method":
+      return `(method) ${entity.name}${typeParameterSyntax(entity)}: ${typeDescription(
+        entity.type
+      )}`
+    case "Field":
+      return `(field) ${entity.name}: ${typeDescription(entity.type)}`
+    case "StructType":
+      const fields = entity.fields.map(f => `${f.name}: ${typeDescription(f.type)}`)
+      return `struct ${entity.name}${typeParameterSyntax(entity)} { ${fields.join(" ")} }`
+    case "InterfaceType":
+      const members = [...entity.fields, ...entity.methods]
+      const memberSyntax = members.map(m => `${m.name}: ${typeDescription(m.type)}`)
+      return `interface ${entity.name} { ${memberSyntax.join(" ")} }`
+    case "EnumType":
+      return `enum ${entity.name} { ${entity.variants.map(variantSyntax).join(", ")} }`
+    case "Variant":
+      return `(variant) ${entity.enumType.name}.${variantSyntax(entity)}`
+    case "TypeAlias":
+      return `type ${entity.name} = ${typeDescription(entity.aliasedType)}`
+    case "Label":
+      return `(label) ${entity.name}`
+  }
+  return typeDescription(entity)
+}
+
+function typeParameterSyntax({ typeParameters }) {
+  if (typeParameters.length === 0) return ""
+  return `<${typeParameters.map(t => t.name).join(", ")}>`
+}
+
+function variantSyntax(variant) {
+  if (variant.fields.length === 0) return variant.name
+  const fields = variant.fields.map(f => `${f.name}: ${typeDescription(f.type)}`)
+  return `${variant.name}(${fields.join(", ")})`
+}
+
+function completion(name, entity) {
+  let kind = entity.kind in completionKinds ? entity.kind : "Type"
+  if (entity.kind === "Variable" && entity.readOnly) kind = "Constant"
+  const detail = entity.type ? typeDescription(entity.type) : describe(entity)
+  return { label: name, kind: completionKinds[kind], detail }
+}
+
+// The text of a document and the text of its analysis are the same but for
+// one stretch, which starts at the same offset in both, and ends at oldEnd in
+// the analyzed text and at newEnd in the current text. It is found by
+// comparing the texts from both ends.
+function editSince({ analyzedText: oldText, text: newText }) {
+  let start = 0
+  const shorter = Math.min(oldText.length, newText.length)
+  while (start < shorter && oldText[start] === newText[start]) start++
+  let end = 0
+  while (
+    end < shorter - start &&
+    oldText[oldText.length - 1 - end] === newText[newText.length - 1 - end]
+  ) {
+    end++
+  }
+  return { start, oldEnd: oldText.length - end, newEnd: newText.length - end }
+}
+
+// Offsets from the current text to the analyzed text, and back, which are
+// undefined inside the edit
+function toAnalyzed({ start, oldEnd, newEnd }, offset) {
+  if (offset <= start) return offset
+  if (offset >= newEnd) return offset - newEnd + oldEnd
+  return undefined
+}
+
+function fromAnalyzed({ start, oldEnd, newEnd }, offset) {
+  if (offset <= start) return offset
+  if (offset >= oldEnd) return offset - oldEnd + newEnd
+  return undefined
+}
+
+// The protocol positions are zero-based lines and characters, where a
+// character is a UTF-16 code unit, just like a JavaScript string index
+function offsetAt(text, { line, character }) {
+  let offset = 0
+  for (let i = 0; i < line; i++) offset = text.indexOf("\n", offset) + 1
+  return offset + character
+}
+
+function positionAt(text, offset) {
+  const lines = text.slice(0, offset).split("\n")
+  return { line: lines.length - 1, character: lines.at(-1).length }
+}
+
+function range(text, start, end) {
+  return { start: positionAt(text, start), end: positionAt(text, end) }
+}
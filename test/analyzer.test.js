@@ -1,11 +1,71 @@
 import { describe, it } from "node:test"
 import assert from "node:assert/strict"
+import stringify from "graph-stringify"
 import parse from "../src/parser.js"
-import analyze from "../src/analyzer.js"
-import { program, variableDeclaration, variable, binary, floatType } from "../src/core.js"
+import analyze, { analyzeWithDiagnostics, typeDescription } from "../src/analyzer.js"
+import {
+  program,
+  variableDeclaration,
+  variable,
+  binary,
+  importDeclaration,
+  intType,
+  floatType,
+  arrayType,
+  errorType,
+  span,
+  standardLibrary,
+  showSpans,
+} from "../src/core.js"
 
 // Programs that are semantically correct
 const semanticChecks = [
+  ["continue in a loop", "while true { continue; }"],
+  ["equality of arrays", "print([1] == [1]); print([1] != [1]);"],
+  ["identity of structs", "struct S {} print(S() === S()); print(S() !== S());"],
+  [
+    "labeled jumps out of inner loops",
+    "outer: for i in 0..<3 { repeat 2 { if i == 1 { continue outer; } break outer; } }",
+  ],
+  ["one label on loops one after another", "a: while false {} a: while false {}"],
+  ["a label named like a variable", "let x = 1; x: while true { break x; }"],
+  [
+    "return after breaking out of an outer loop",
+    "function f(): int { outer: while true { while true { break outer; } } return 1; }",
+  ],
+  [
+    "return from a loop that only breaks out of inner loops",
+    "function f(): int { outer: while true { while true { break; } continue outer; } }",
+  ],
+  [
+    "return from both arms of an if",
+    "function f(x: int): int { if x > 0 { return 1; } else { return 2; } }",
+  ],
+  [
+    "return from every arm of an elsif",
+    "function f(x: int): int { if x > 0 { return 1; } else if x < 0 { return 2; } else { return 0; } }",
+  ],
+  [
+    "return after a short if",
+    "function f(x: int): int { if x > 0 { return 1; } return 2; }",
+  ],
+  [
+    "return from a loop that never ends",
+    "function f(): int { while true { print(1); } }",
+  ],
+  [
+    "return after breaking out of a loop",
+    "function f(): int { while true { break; } return 1; }",
+  ],
+  [
+    "breaking out of an inner loop",
+    "function f(): int { while true { for i in [1] { break; } } }",
+  ],
+  [
+    "return from every arm of a match",
+    "enum E {A, B} function f(e: E): int { match e { A => { return 1; } _ => { return 2; } } }",
+  ],
+  ["return from a lambda block", "let g = (x: int): int => { return x; };"],
   ["variable declarations", 'const x = 1; let y = "false";'],
   ["complex array types", "function f(x: [[[int?]]?]) {}"],
   ["increment and decrement", "let x = 10; x--; x++;"],
@@ -47,6 +107,34 @@ const semanticChecks = [
   ["nested structs", "struct T{y:int} struct S{z: T} let x=S(T(1)); print(x.z.y);"],
   ["member exp", "struct S {x: int} let y = S(1);print(y.x);"],
   ["optional member exp", "struct S {x: int} let y = some S(1);print(y?.x);"],
+  ["optional subscript", "function f(a: [int]?): int? { return a?[0]; }"],
+  ["optional call", "let f = some (x: int) => x + 1; let y = f?(1); y = no int;"],
+  ["optional call of a void function", "let g = some (x: int) => print(x); g?(1);"],
+  ["optional chains", "struct P {x: int} function f(a: [P]?): int? { return a?[0]?.x; }"],
+  ["optional elements", "function f(a: [int?]?): int? { return a?[0]; }"],
+  ["optional member", "struct S {a: int} function f(s: S?): int? { return s?.a; }"],
+  [
+    "type aliases",
+    `type Name = string; type Names = [Name]; type Handler = (Names)->void;
+     function each(ns: Names, h: Handler) { h(ns); }
+     each(["a"], (ns: [string]) => print(ns));`,
+  ],
+  [
+    "aliases of structs",
+    "struct S { x: int } type T = S; type U = T?; function f(u: U): int? { return u?.x; }",
+  ],
+  [
+    "aliases of generic structs",
+    "struct Box<T> { v: T } type B = Box<int>; function f(b: B): int { return b.v; } print(f(Box(1)));",
+  ],
+  [
+    "aliases used before they are declared",
+    "function f(a: A): int { return a[0]; } type A = [B]; type B = int; print(f([1]));",
+  ],
+  [
+    "aliases declared in a block",
+    "function f(c: int): int { type C = [D]; type D = int; function g(x: C): D { return x[0]; } return g([c]); }",
+  ],
   ["subscript exp", "let a=[1,2];print(a[0]);"],
   ["array of struct", "struct S{} let x=[S(), S()];"],
   ["struct of arrays and opts", "struct S{x: [int] y: string??}"],
@@ -55,7 +143,7 @@ const semanticChecks = [
   ["type equivalence of nested arrays", "function f(x: [[int]]) {} print(f([[1],[2]]));"],
   [
     "call of assigned function in expression",
-    `function f(x: int, y: boolean): int {}
+    `function f(x: int, y: boolean): int { return x; }
     let g = f;
     print(g(1, true));
     f = g; // Type check here`,
@@ -83,6 +171,185 @@ const semanticChecks = [
   ["built-in sin", "print(sin(π));"],
   ["built-in cos", "print(cos(93.999));"],
   ["built-in hypot", "print(hypot(-4.0, 3.00001));"],
+  ["built-in conversions", "print(truncate(toFloat(7) / 2.0) + round(sqrt(2.0)));"],
+  [
+    "built-in string functions",
+    'print(join(split(trim(" a,b "), ","), toUpper("-")) + substring("abc", indexOf("abc", "b"), length("ab")));',
+  ],
+  ["built-in parseInt", 'let n = parseInt("12"); print(n ?? 0);'],
+  ["interpolation", 'let n = 1; let s = "n is ${n}, ${[n]}, ${some "x"}";'],
+  ["nested interpolation", 'let s = "a"; print(length("${s} and ${"${s}!"}") + 1);'],
+  [
+    "if let",
+    'struct P { x: int } let p = some P(1); if let q = p { print(q.x + 1); } else if let n = parseInt("2") { print(n * 2); }',
+  ],
+  ["short if let", 'if let s = find(["a"], (s: string) => true) { print(length(s)); }'],
+  ["if let with the same name", "let x = some 1; if let x = x { print(x + 1); }"],
+  ["if let after an if", "if true {} else if let x = some 1 { print(x); } else {}"],
+  [
+    "while let",
+    "let a = [1]; outer: while let x = pop(a) { if x > 0 { continue outer; } }",
+  ],
+  [
+    "a return in both arms of an if let",
+    "function f(x: int?): int { if let y = x { return y; } else { return 0; } }",
+  ],
+  [
+    "built-in higher-order functions",
+    `function f(a: [int]): [string] { return map(filter(a, (x: int) => x > 1), string); }
+     function g(a: [int]): float { return reduce(a, (s: float, x: int) => s + toFloat(x), 0.0); }
+     function h(a: [int]): int? { return any(a, (x: int) => true) && all(a, (x: int) => true) ? find(a, (x: int) => x > 1) : no int; }`,
+  ],
+  [
+    "built-in array functions",
+    "let a = [2, 1]; push(a, 3); print(sort(a)[0]); print(pop(a) ?? 0);",
+  ],
+  [
+    "sorts of the types that can be ordered",
+    'type Id = int; function f(a: [Id]): [Id] { return sort(a); } print(sort([1.5])); print(sort(["a"]));',
+  ],
+  ["generic struct", "struct Pair<A, B> {a: A b: B} let p = Pair(1, true);"],
+  [
+    "recursive generic struct",
+    "struct L<T> {head: T tail: L<T>?} let l = L(1, no L<int>);",
+  ],
+  ["generic struct types", "struct P<T> {x: T} let a = [P<float>](); a = [P(1.5)];"],
+  ["instantiated field types", "struct P<T> {x: [T]} let p = P([1]); print(p.x[0] + 1);"],
+  ["generic function", "function id<T>(x: T): T { return x; } print(id(1) + 2);"],
+  [
+    "generic function with a generic struct",
+    `struct Pair<A, B> {a: A b: B}
+     function swap<A, B>(p: Pair<A, B>): Pair<B, A> { return Pair(p.b, p.a); }
+     let p = swap(Pair(1, "one"));
+     print(p.a + "!");
+     p.b = 2;`,
+  ],
+  [
+    "inference through arrays, optionals, and functions",
+    `function f<T, U>(a: [T?], g: (T)->U): U? { return no U; }
+     function g(x: int): string { return ""; }
+     let s = f([some 1], g);
+     s = some "x";`,
+  ],
+  [
+    "nested generic functions",
+    `struct S {}
+     function f<T>(x: T) { function g<U>(y: U, z: T, s: S) {} g(1, x, S()); }`,
+  ],
+  ["generic recursion", "function f<T>(x: T): T { return f(x); }"],
+  [
+    "type parameters in a function body",
+    "function f<T>(x: T) { let y = [x]; print(y); }",
+  ],
+  [
+    "lambda with an inferred return type",
+    "let f = (x: int) => x > 1; let b = f(2) || true;",
+  ],
+  ["lambda with a declared return type", "let f = (x: int): int? => some x; f = f;"],
+  [
+    "block-bodied lambda",
+    "let f = (x: int): int => { if x > 0 { return x; } return -x; };",
+  ],
+  ["void lambdas", "let f = (x: int) => print(x); let g = (y: int) => {}; f = g;"],
+  [
+    "closures",
+    `function adder(n: int): (int)->int { return (x: int) => x + n; }
+     let add2 = adder(2); print(add2(1) * 3);`,
+  ],
+  ["lambdas as arguments", "function f(g: (int)->int) {} f((x: int) => x);"],
+  ["nested lambdas", "let f = (x: int) => (y: int) => x + y; print(f(1)(2));"],
+  ["loops in lambdas", "let f = () => { while true { break; } };"],
+  ["enum declaration", "enum E { A, B(x: int, y: string) }"],
+  ["recursive enum", "enum L { Nil, Cons(head: int, tail: L) }"],
+  ["variant construction", "enum E { A, B(x: int) } let a = E.A; let b = E.B(1); a = b;"],
+  [
+    "match statement",
+    `enum E { A, B(x: int, y: int), C(z: string) }
+     let e = E.B(1, 2);
+     match e { A => {} B(x, _) => { print(x + 1); } C => {} }`,
+  ],
+  [
+    "match statement with a wildcard",
+    "enum E { A, B(x: int) } match E.B(3) { B(x) => { print(x); } _ => {} }",
+  ],
+  [
+    "match expression",
+    `enum E { A, B(x: int) }
+     function f(e: E): int { return match e { A => 0, B(n) => n * 2 }; }`,
+  ],
+  [
+    "same binding name in different arms",
+    "enum E{A(x:int), B(x:int)} match E.A(1) {A(x)=>{} B(x)=>{}}",
+  ],
+  [
+    "exports",
+    "export let x = 1; export function f(): int { return x; } export enum E {A}",
+  ],
+  [
+    "methods",
+    `struct P { x: int function get(): int { return self.x; } function twice(): int { return self.get() * 2; } }
+     let p = P(1); print(p.twice() + p.get());`,
+  ],
+  [
+    "methods changing their object",
+    "struct C { n: int function up() { self.n++; } } C(0).up();",
+  ],
+  [
+    "methods called with ?.",
+    "struct P { x: int function get(): int { return self.x; } } let p = some P(1); let x = p?.get(); x = no int;",
+  ],
+  [
+    "methods as values",
+    "struct P { function f(x: int): int { return x; } } let g = P().f; print(g(1) + 1);",
+  ],
+  [
+    "recursive methods",
+    "struct N { next: N? function last(): N? { return self.next?.last() ?? self; } }",
+  ],
+  [
+    "methods of generic structs",
+    `struct Box<T> { v: T function get(): T { return self.v; } function map<U>(f: (T)->U): Box<U> { return Box(f(self.v)); } }
+     print(Box(1).get() + 1); print(Box(1).map((x: int) => x > 0).get() || false);`,
+  ],
+  [
+    "methods named like functions",
+    "function get(): int { return 1; } struct P { function get(): int { return get(); } }",
+  ],
+  [
+    "interfaces",
+    `interface Positioned { x: float y: float function describe(): string; }
+     struct P { x: float y: float z: float function describe(): string { return "p"; } }
+     function f(p: Positioned): float { p.x = 1.0; print(p.describe()); return p.x + p.y; }
+     print(f(P(1.0, 2.0, 3.0)));`,
+  ],
+  [
+    "interfaces mentioning themselves",
+    `interface Shape { function scaled(k: float): Shape; }
+     struct Square { side: float function scaled(k: float): Square { return Square(self.side * k); } }
+     function f(s: Shape): Shape { return s.scaled(2.0); } print(f(Square(1.0)));`,
+  ],
+  [
+    "interfaces used as other interfaces",
+    "interface A { x: int } interface B { x: int y: int } function f(a: A) {} function g(b: B) { f(b); }",
+  ],
+  [
+    "generic structs used as interfaces",
+    `interface I { v: int function get(): int; } struct Box<T> { v: T function get(): T { return self.v; } }
+     function f(i: I): int { return i.get() + i.v; } print(f(Box(1)));`,
+  ],
+  [
+    "arrays and optionals of interfaces",
+    `interface I { x: int } struct S { x: int } let a = [I](); push(a, S(1));
+     let o = pop(a); let x = o?.x; x = no int;`,
+  ],
+  [
+    "empty interfaces",
+    "interface Anything {} struct S {} function f(a: Anything) {} f(S());",
+  ],
+  [
+    "calls of members and elements as statements",
+    "struct S { f: (int)->void } let s = S((x: int) => print(x)); s.f(1); let a = [s.f]; a[0](2);",
+  ],
 ]
 
 // Programs that are syntactically correct but have semantic errors
@@ -91,12 +358,64 @@ const semanticErrors = [
   ["non-int increment", "let x=false;x++;", /an integer/],
   ["non-int decrement", 'let x=some[""];x++;', /an integer/],
   ["undeclared id", "print(x);", /Identifier x not declared/],
+  ["type as a value", "print(int);", /Line 1, col 7:[^]*Expected a value, found a type/],
+  ["struct as a value", "struct S {x: int} print(S);", /Expected a value, found a type/],
+  ["enum as a value", "enum E {A} print(E);", /Expected a value, found a type/],
+  [
+    "interface as a value",
+    "interface I {x: int} print(I);",
+    /Expected a value, found a type/,
+  ],
   ["redeclared id", "let x = 1;let x = 1;", /Identifier x already declared/],
   ["recursive struct", "struct S { x: int y: S }", /must not be self-containing/],
   ["assign to const", "const x = 1;x = 2;", /Cannot assign to constant/],
   ["assign bad type", "let x=1;x=true;", /Cannot assign a boolean to a int/],
   ["assign bad array type", "let x=1;x=[true];", /Cannot assign a \[boolean\] to a int/],
   ["assign bad optional type", "let x=1;x=some 2;", /Cannot assign a int\? to a int/],
+  ["float to toFloat", "print(toFloat(1.5));", /Cannot assign a float to a int/],
+  ["int to min", "print(min(1, 2));", /Cannot assign a int to a float/],
+  ["push of a wrong type", 'push([1], "x");', /Cannot assign a string to a int/],
+  [
+    "map with the wrong function",
+    "print(map([1], (x: string) => x));",
+    /Cannot assign a \(string\)->string to a \(int\)->string/,
+  ],
+  [
+    "filter without a predicate",
+    "print(filter([1], (x: int) => x));",
+    /Cannot assign a \(int\)->int to a \(int\)->boolean/,
+  ],
+  [
+    "reduce from the wrong type",
+    'print(reduce([1], (s: int, x: int) => s, "a"));',
+    /Cannot assign a string to a int/,
+  ],
+  [
+    "any of a non-array",
+    "print(any(1, (x: int) => true));",
+    /Cannot assign a int to a \[int\]/,
+  ],
+  [
+    "undeclared id in interpolation",
+    'print("a\\n ${b}");',
+    /Line 1, col 14:[^]*Identifier b not declared/,
+  ],
+  [
+    "bad expression in interpolation",
+    'print("${1} ${true + 1}");',
+    /Line 1, col 15:[^]*Expected a number or string/,
+  ],
+  [
+    "void in interpolation",
+    'print("${print(1)}");',
+    /Line 1, col 10:[^]*Cannot interpolate a void value/,
+  ],
+  [
+    "interpolation used as an int",
+    'print("${1}" + 1);',
+    /Operands do not have the same type/,
+  ],
+  ["parseInt used as an int", 'print(parseInt("1") + 1);', /Expected a number or string/],
   ["break outside loop", "break;", /Break can only appear in a loop/],
   [
     "break inside function",
@@ -142,9 +461,94 @@ const semanticErrors = [
   ["bad types for random", "print(random 3);", /Expected an array/],
   ["non-integer index", "let a=[1];print(a[false]);", /Expected an integer/],
   ["no such field", "struct S{} let x=S(); print(x.y);", /No such field/],
+  ["no such method", "struct S{} S().f();", /No such field or method/],
+  [
+    "a method named like a field",
+    "struct S { x: int function x() {} }",
+    /Line 1, col 28:[^]*Struct S already has a field or method named x/,
+  ],
+  [
+    "two methods with the same name",
+    "struct S { function f() {} function f() {} }",
+    /Line 1, col 37:[^]*Struct S already has a field or method named f/,
+  ],
+  [
+    "assigning to a method",
+    "struct S { function f() {} } let s = S(); s.f = s.f;",
+    /Cannot assign to method f/,
+  ],
+  ["self outside a method", "print(self);", /Identifier self not declared/],
+  [
+    "assigning to self",
+    "struct S { function f() { self = S(); } }",
+    /Cannot assign to constant self/,
+  ],
+  [
+    "a parameter named self",
+    "struct S { function f(self: int) {} }",
+    /Identifier self already declared/,
+  ],
+  [
+    "a bad method argument",
+    "struct S { function f(x: int) {} } S().f(true);",
+    /Cannot assign a boolean to a int/,
+  ],
+  [
+    "a method called with ?. and too few arguments",
+    "struct S { function f(x: int) {} } let s = some S(); s?.f();",
+    /1 argument\(s\) required but 0 passed/,
+  ],
+  [
+    "a method of a generic struct used at the wrong type",
+    "struct Box<T> { v: T function get(): T { return self.v; } } print(Box(1).get() + 1.0);",
+    /Operands do not have the same type/,
+  ],
+  [
+    "a statement that is not a call",
+    "let x = 1; x;",
+    /Line 1, col 12:[^]*Expected a call/,
+  ],
+  ["a member as a statement", "struct S {x: int} S(1).x;", /Expected a call/],
   ["diff type array elements", "print([3,3.0]);", /Not all elements have the same type/],
   ["shadowing", "let x = 1;\nwhile true {let x = 1;}", /Identifier x already declared/],
   ["call of uncallable", "let x = 1;\nprint(x());", /Call of non-function/],
+  [
+    "?[ on a non-optional",
+    "let a = [1];\nprint(a?[0]);",
+    /Line 2, col 7:[^]*Expected an optional array/,
+  ],
+  ["?[ on an optional non-array", "print((some 1)?[0]);", /Expected an optional array/],
+  ["?[ with a bad index", "print((some [1])?[true]);", /Expected an integer/],
+  [
+    "?( on a non-optional",
+    "print(sqrt?(2.0));",
+    /Line 1, col 7:[^]*Expected an optional function/,
+  ],
+  [
+    "?( with too many arguments",
+    "let f = some (x: int) => x;\nprint(f?(1, 2));",
+    /Line 2, col 8:[^]*1 argument\(s\) required but 2 passed/,
+  ],
+  [
+    "?( with a bad argument",
+    "let f = some (x: int) => x;\nprint(f?(true));",
+    /Line 2, col 10:[^]*Cannot assign a boolean to a int/,
+  ],
+  [
+    "an optional element used as an element",
+    "let a = some [1];\nprint(a?[0] + 1);",
+    /Expected a number or string/,
+  ],
+  [
+    "assigning through ?[",
+    "let a = some [1];\na?[0] = some 2;",
+    /Line 2, col 1:[^]*Cannot assign through \?\. or \?\[/,
+  ],
+  [
+    "assigning through ?.",
+    "struct S {x: int} let s = some S(1);\ns?.x = some 2;",
+    /Cannot assign through \?\. or \?\[/,
+  ],
   [
     "Too many args",
     "function f(x: int) {}\nf(1,2);",
@@ -177,6 +581,431 @@ const semanticErrors = [
   ["Non-type in param", "let x=1;function f(y:x){}", /Type expected/],
   ["Non-type in return type", "let x=1;function f():x{return 1;}", /Type expected/],
   ["Non-type in field type", "let x=1;struct S {y:x}", /Type expected/],
+  ["duplicate type parameters", "function f<T, T>() {}", /Identifier T already declared/],
+  ["type parameter out of scope", "struct S<T> {x: T} let a = [T]();", /T not declared/],
+  [
+    "too few type arguments",
+    "struct P<A, B> {a: A b: B} function f(p: P<int>) {}",
+    /2 type argument\(s\) required but 1 passed/,
+  ],
+  [
+    "missing type arguments",
+    "struct P<T> {a: T} let x = no P;",
+    /1 type argument\(s\) required but 0 passed/,
+  ],
+  ["type arguments to a non-generic type", "let x = [int<int>]();", /0 type argument/],
+  [
+    "uninferable type argument",
+    "function f<T>(): [T] { return [T](); } print(f());",
+    /Cannot infer the type argument T/,
+  ],
+  [
+    "sort of structs",
+    "struct P {x: int} print(sort([P(2), P(1)]));",
+    /Line 1, col 25:[^]*Type argument P must be one of int, float, string/,
+  ],
+  ["sort of arrays", "print(sort([[2], [1]]));", /Type argument \[int\] must be one of/],
+  [
+    "sort of a type parameter",
+    "function f<T>(a: [T]): [T] { return sort(a); }",
+    /Type argument T must be one of int, float, string/,
+  ],
+  [
+    "conflicting inferred types",
+    "function f<T>(x: T, y: T) {} f(1, true);",
+    /Cannot assign a boolean to a int/,
+  ],
+  [
+    "different instances",
+    "struct P<A, B> {a: A b: B} let p = P(1, 2.0); p = P(1.0, 2);",
+    /Cannot assign a P<float, int> to a P<int, float>/,
+  ],
+  [
+    "instantiated field type mismatch",
+    "struct P<T> {x: T} let p = P(1); p.x = true;",
+    /Cannot assign a boolean to a int/,
+  ],
+  [
+    "numeric operations on a type parameter",
+    "function f<T>(x: T): T { return -x; }",
+    /Expected a number/,
+  ],
+  ["self-containing generic struct", "struct S<T> {x: S<T>}", /self-containing/],
+  [
+    "containing a self-containing struct",
+    "struct S {x: S} struct T {s: S}",
+    /must not be self-containing/,
+  ],
+  ["lambda body of the wrong type", "let f = (): int => 1.5;", /Cannot assign a float/],
+  [
+    "lambda return of the wrong type",
+    "let f = (): int => { return true; };",
+    /Cannot assign a boolean to a int/,
+  ],
+  ["value from a void lambda", "let f = () => { return 1; };", /Cannot return a value/],
+  [
+    "break in a lambda in a loop",
+    "while true { let f = () => { break; }; }",
+    /Break can/,
+  ],
+  [
+    "lambda parameters out of scope",
+    "let f = (x: int) => x; print(x);",
+    /x not declared/,
+  ],
+  [
+    "calling a lambda with a bad argument",
+    "let f = (x: int) => x; print(f(true));",
+    /Cannot assign a boolean to a int/,
+  ],
+  ["match on a non-enum", "match 3 { _ => {} }", /Expected an enum/],
+  ["no such variant in a pattern", "enum E {A} match E.A { B => {} }", /No such variant/],
+  ["no such variant in a member", "enum E {A} print(E.B);", /No such variant/],
+  ["non-distinct variants", "enum E {A, B, A}", /Variants must be distinct/],
+  [
+    "non-distinct variant fields",
+    "enum E {A(x: int, x: int)}",
+    /Fields must be distinct/,
+  ],
+  [
+    "binding too many fields",
+    "enum E {A(x: int)} match E.A(1) { A(x, y) => {} }",
+    /1 field\(s\) to bind but 2 given/,
+  ],
+  [
+    "a repeated arm",
+    "enum E {A, B} match E.A { A => {} A => {} B => {} }",
+    /Unreachable match arm/,
+  ],
+  [
+    "an arm after a wildcard",
+    "enum E {A, B} match E.A { _ => {} A => {} }",
+    /Unreachable/,
+  ],
+  [
+    "a useless wildcard",
+    "enum E {A} match E.A { A => {} _ => {} }",
+    /Unreachable match arm/,
+  ],
+  [
+    "a non-exhaustive match",
+    "enum E {A, B, C} match E.A { B => {} }",
+    /Match does not cover A, C/,
+  ],
+  [
+    "match arms of different types",
+    "enum E {A, B} print(match E.A { A => 1, B => true });",
+    /Not all elements have the same type/,
+  ],
+  [
+    "calling a variant without a payload",
+    "enum E {A} print(E.A());",
+    /Call of non-function/,
+  ],
+  [
+    "assigning a binding",
+    "enum E {A(x: int)} match E.A(1) { A(x) => { x = 2; } }",
+    /constant/,
+  ],
+  [
+    "importing outside of a file",
+    'import { f } from "./f.carlos";\nf();',
+    /Line 1, col 19:[^]*Modules can only be imported by programs in files/,
+  ],
+  ["continue outside a loop", "continue;", /Continue can only appear in a loop/],
+  [
+    "identity of different types",
+    "print(1 === 1.0);",
+    /Operands do not have the same type/,
+  ],
+  [
+    "a break to an unknown label",
+    "while true { break out; }",
+    /Line 1, col 20:[^]*No enclosing loop is labeled out/,
+  ],
+  [
+    "a continue to a loop not around it",
+    "a: while false {} while true { continue a; }",
+    /No enclosing loop is labeled a/,
+  ],
+  [
+    "one label on nested loops",
+    "a: while true { a: repeat 2 {} }",
+    /Line 1, col 17:[^]*Label a is already on an enclosing loop/,
+  ],
+  [
+    "a break out of a function",
+    "outer: while true { function f() { break outer; } }",
+    /Break can only appear in a loop/,
+  ],
+  [
+    "a continue out of a lambda",
+    "outer: while true { let f = () => { continue outer; }; }",
+    /Continue can only appear in a loop/,
+  ],
+  [
+    "a break out of a loop that would never end, from an inner loop",
+    "function f(x: int): int {\n  outer: while true {\n    while true {\n      if x > 0 { break outer; }\n      return 1;\n    }\n  }\n}",
+    /value, when the condition at line 4 is true$/,
+  ],
+  [
+    "if let on a non-optional",
+    "if let x = 1 { print(x); }",
+    /Line 1, col 12:[^]*Expected an optional/,
+  ],
+  [
+    "while let on a non-optional",
+    "while let x = [1] { print(x); }",
+    /Line 1, col 15:[^]*Expected an optional/,
+  ],
+  [
+    "an if let variable in the else",
+    "if let x = some 1 { } else { print(x); }",
+    /Line 1, col 36:[^]*Identifier x not declared/,
+  ],
+  [
+    "an if let variable after the if",
+    "if let x = some 1 { } print(x);",
+    /Line 1, col 29:[^]*Identifier x not declared/,
+  ],
+  [
+    "assigning to an if let variable",
+    "if let x = some 1 { x = 2; }",
+    /Cannot assign to constant x/,
+  ],
+  [
+    "a struct missing a field of an interface",
+    "interface I { x: int } struct S { y: int } function f(i: I) {} f(S(1));",
+    /Cannot assign a S to a I/,
+  ],
+  [
+    "a struct missing a method of an interface",
+    "interface I { function f(); } struct S {} function g(i: I) {} g(S());",
+    /Cannot assign a S to a I/,
+  ],
+  [
+    "a field of an interface with another type",
+    "interface I { x: float } struct S { x: int } function f(i: I) {} f(S(1));",
+    /Cannot assign a S to a I/,
+  ],
+  [
+    "a method of an interface with another type",
+    "interface I { function f(): int; } struct S { function f(): float { return 1.0; } } function g(i: I) {} g(S());",
+    /Cannot assign a S to a I/,
+  ],
+  [
+    "a field for a method of an interface",
+    "interface I { function f(); } struct S { f: ()->void } function g(i: I) {} g(S(() => print(1)));",
+    /Cannot assign a S to a I/,
+  ],
+  [
+    "a generic method for a method of an interface",
+    "interface I { function f(x: int): int; } struct S { function f<T>(x: T): T { return x; } } function g(i: I) {} g(S());",
+    /Cannot assign a S to a I/,
+  ],
+  [
+    "an interface used as a struct",
+    "interface I { x: int } struct S { x: int } function f(i: I): S { return i; }",
+    /Cannot assign a I to a S/,
+  ],
+  [
+    "a value that is not a struct used as an interface",
+    "interface I {} function f(i: I) {} f(1);",
+    /Cannot assign a int to a I/,
+  ],
+  [
+    "an interface called as a constructor",
+    "interface I { x: int } print(I(1));",
+    /Call of non-function or non-constructor/,
+  ],
+  [
+    "no such member of an interface",
+    "interface I { x: int } function f(i: I) { print(i.y); }",
+    /No such field or method/,
+  ],
+  [
+    "non-distinct fields of an interface",
+    "interface I { x: int x: int }",
+    /Fields must be distinct/,
+  ],
+  [
+    "a method named like a field of an interface",
+    "interface I { x: int function x(); }",
+    /Line 1, col 31:[^]*Interface I already has a field or method named x/,
+  ],
+  [
+    "an interface given type arguments",
+    "interface I {} function f(i: I<int>) {}",
+    /0 type argument/,
+  ],
+  [
+    "a while let variable after the loop",
+    "while let x = no int { } print(x);",
+    /Identifier x not declared/,
+  ],
+  [
+    "a type alias referring to itself",
+    "type A = [A];",
+    /Line 1, col 11:[^]*Type alias A refers to itself/,
+  ],
+  [
+    "a type alias referring to itself through a function type",
+    "type F = (int)->F?;",
+    /Type alias F refers to itself/,
+  ],
+  [
+    "type aliases referring to each other",
+    "type A = [B]; type B = A;",
+    /Line 1, col 24:[^]*Type alias A refers to itself/,
+  ],
+  [
+    "a type alias used as a value",
+    "type A = int; let t = A + 1; print(t);",
+    /Line 1, col 23:[^]*Expected a value, found a type/,
+  ],
+  [
+    "a type alias of a function type called",
+    "type F = (int)->int; print(F(1));",
+    /Call of non-function or non-constructor/,
+  ],
+  [
+    "a type alias declared twice",
+    "type A = int; type A = int;",
+    /Identifier A already declared/,
+  ],
+  [
+    "a type alias given type arguments",
+    "type A = [int]; function f(a: A<int>) {}",
+    /0 type argument/,
+  ],
+  [
+    "a type alias in an error message",
+    "type Names = [string];\nfunction f(n: Names) {}\nf(1);",
+    /Line 3, col 3:[^]*Cannot assign a int to a Names/,
+  ],
+  [
+    "a type alias of another type in an error message",
+    "type Id = int;\nfunction f(n: Id) {}\nf(1.0);",
+    /Cannot assign a float to a int/,
+  ],
+  [
+    "no return",
+    "function f(): int {}",
+    /Line 1, col 20:[^]*Function f can end without returning a value$/,
+  ],
+  [
+    "return only from a short if",
+    "function f(x: int): int {\n  if x > 0 { return 1; }\n}",
+    /Line 3, col 1:[^]*Function f can end without returning a value, when the condition at line 2 is false$/,
+  ],
+  [
+    "return only from the elsif",
+    "function f(x: int): int {\n  if x > 0 {\n    return 1;\n  } else if x < 0 {\n    return 2;\n  }\n}",
+    /value, when the condition at line 2 is false and the condition at line 4 is false$/,
+  ],
+  [
+    "no return from the consequent",
+    "function f(x: int): int { if x > 0 { print(1); } else { return 2; } }",
+    /value, when the condition at line 1 is true$/,
+  ],
+  [
+    "return only from an if let",
+    "function f(x: int?): int {\n  if let y = x { return y; }\n}",
+    /value, when the optional at line 2 has no value$/,
+  ],
+  [
+    "no return from the consequent of an if let",
+    "function f(x: int?): int { if let y = x { } else { return 0; } }",
+    /value, when the optional at line 1 has a value$/,
+  ],
+  [
+    "a return only in a while let loop",
+    "function f(x: int?): int { while let y = x { return y; } }",
+    /value, when the optional at line 1 has no value$/,
+  ],
+  [
+    "a return only in a while loop",
+    "function f(x: int): int { while x > 0 { return 1; } }",
+    /value, when the condition at line 1 is false$/,
+  ],
+  [
+    "a return only in a for loop",
+    "function f(a: [int]): int { for x in a { return x; } }",
+    /value, when the loop at line 1 finishes$/,
+  ],
+  [
+    "a break out of a loop that would never end",
+    "function f(x: int): int {\n  while true {\n    if x > 0 { break; }\n    return 1;\n  }\n}",
+    /value, when the condition at line 3 is true$/,
+  ],
+  [
+    "a match arm not returning",
+    "enum E {A, B}\nfunction f(e: E): int {\n  match e { A => {} _ => { return 1; } }\n}",
+    /value, when the match at line 3 takes the A arm$/,
+  ],
+  [
+    "a wildcard arm not returning",
+    "enum E {A, B}\nfunction f(e: E): int {\n  match e { A => { return 1; } _ => {} }\n}",
+    /value, when the match at line 3 takes the _ arm$/,
+  ],
+  [
+    "no return on any path",
+    "function f(x: int): int {\n  if x > 0 { print(1); }\n}",
+    /Function f can end without returning a value$/,
+  ],
+  [
+    "a method not returning",
+    "struct S { function f(): int {} }",
+    /Line 1, col 31:[^]*Method f can end without returning a value$/,
+  ],
+  [
+    "a lambda not always returning",
+    "let g = (x: int): int => { if x > 0 { return 1; } };",
+    /Line 1, col 51:[^]*Lambda can end without returning a value, when the condition at line 1 is false$/,
+  ],
+]
+
+// Programs with exactly one semantic error, whose consequences must not be
+// reported as further errors
+const singleErrors = [
+  ["function without a return called", "function f(): int {} print(f() + 1);"],
+  ["undeclared variable used", "let y = -x + 1; print(y * 2.0);"],
+  ["undeclared type", "let a = [T](); print(#a); print(a[0] + 1);"],
+  ["undeclared function", "let x = f(1, 2); print(x.y ?? x[0]);"],
+  ["bad argument", "function f(x: int): int {return x;} print(f(true) + 1);"],
+  ["bad operand", "let x = true + 1; print(x * 3 < 2);"],
+  ["bad conditional", "let x = true ? 1 : 2.0; print(-x);"],
+  ["bad unwrap", "let x = 1 ?? 2; print(x + 1);"],
+  ["bad random", "let x = random 3; print(x - 1);"],
+  ["bad interpolation", 'let s = "${q}"; print(s + "!");'],
+  ["bad subscript", "let x = 3; print(x[0] + 1);"],
+  ["bad member", "struct S {x: int} let s = S(1); print(s.y + 1);"],
+  ["bad optional member", "let s = 1; print(s?.y + 1);"],
+  ["bad optional subscript", "let a = 1; print(a?[0] + 1);"],
+  ["bad optional call", "let f = 1; print(f?(1) + 1);"],
+  ["bad method", "struct S {x: int} let s = S(1); print(s.f() + 1);"],
+  ["bad object of a method call", "let s = 1; print(s?.f() + 1);"],
+  ["bad type alias", "type A = [Q]; function f(a: A) { print(a[0] + 1); }"],
+  ["bad interface field", "interface I { x: Q } function f(i: I) { print(i.x + 1); }"],
+  ["bad collection", "for x in 3 { print(x + 1); }"],
+  ["bad if let", "if let x = 3 { print(x + 1); }"],
+  ["bad return", "return 1 + 2;"],
+  ["uninferable type argument", "function f<T>(): [T] { return [T](); } print(#f());"],
+  ["bad generic argument", "function f<T>(x: [T]): T { return x[0]; } print(f(q) + 1);"],
+  ["type argument of an array uninferred", "function f<T>(x: [T]) {} f(1);"],
+  ["type argument of an optional uninferred", "function f<T>(x: T?) {} f(1);"],
+  [
+    "type argument of a struct uninferred",
+    "struct B<T> {x: T} function f<T>(b: B<T>) {} f(1);",
+  ],
+  ["type argument of a function uninferred", "function f<T>(g: (T)->int) {} f(1);"],
+  [
+    "type argument of a library function uninferred",
+    "let q = 5; print(reduce(q, 1, 2));",
+  ],
+  ["bad match subject", "match 1 { A(x) => { print(x + 1); } }"],
+  ["type as a value", "let t = int + 1; print(t * 2);"],
+  ["bad variant", "enum E {A} match E.A { A => {} B(x) => { print(x + 1); } }"],
 ]
 
 describe("The analyzer", () => {
@@ -190,6 +1019,82 @@ describe("The analyzer", () => {
       assert.throws(() => analyze(parse(source)), errorMessagePattern)
     })
   }
+  for (const [scenario, source] of singleErrors) {
+    it(`reports a single error for ${scenario}`, () => {
+      const { diagnostics } = analyzeWithDiagnostics(parse(source))
+      assert.equal(diagnostics.length, 1)
+    })
+  }
+  it("reports every error in a program, in source order", () => {
+    const source = "let x = 1;\nx = true;\nprint(y + 2);\nwhile 1 {break;}"
+    const { diagnostics } = analyzeWithDiagnostics(parse(source))
+    assert.deepEqual(
+      diagnostics.map(({ severity, message, line, column }) => ({
+        severity,
+        message,
+        line,
+        column,
+      })),
+      [
+        {
+          severity: "error",
+          message: "Cannot assign a boolean to a int",
+          line: 2,
+          column: 1,
+        },
+        { severity: "error", message: "Identifier y not declared", line: 3, column: 7 },
+        { severity: "error", message: "Expected a boolean", line: 4, column: 7 },
+      ]
+    )
+  })
+  it("gives diagnostics the offsets and excerpt of the offending source", () => {
+    const [diagnostic] = analyzeWithDiagnostics(parse("print(xyz);")).diagnostics
+    assert.equal(diagnostic.start, 6)
+    assert.equal(diagnostic.end, 9)
+    assert.match(diagnostic.text, /^Line 1, col 7:\n> 1 \| print\(xyz\);\n.*\^~~\nIdent/)
+  })
+  it("throws one error carrying all of the diagnostics", () => {
+    assert.throws(
+      () => analyze(parse("print(a);\nprint(b);")),
+      error => {
+        assert.match(error.message, /a not declared[^]*b not declared/)
+        assert.equal(error.diagnostics.length, 2)
+        return true
+      }
+    )
+  })
+  it("imports the entities other modules export, through importModule", () => {
+    const x = variable("x", false, intType)
+    const modules = {
+      "./m.carlos": { exports: new Map([["x", x]]) },
+      "./gone.carlos": { error: "Module ./gone.carlos not found" },
+      // A module that could not be analyzed
+      "./broken.carlos": {},
+    }
+    const analysis = source =>
+      analyzeWithDiagnostics(parse(source), { importModule: path => modules[path] })
+    const messages = source => analysis(source).diagnostics.map(d => d.message)
+    const { program: p, diagnostics } = analysis(
+      'import { x } from "./m.carlos";\nprint(x + 1);'
+    )
+    assert.deepEqual(diagnostics, [])
+    assert.deepEqual(p.statements[0], importDeclaration("./m.carlos", [x]))
+    assert.equal(p.statements[1].args[0].left, x)
+    assert.deepEqual(messages('import { y } from "./m.carlos";\nprint(y);'), [
+      "Module ./m.carlos does not export y",
+    ])
+    assert.deepEqual(messages('import { x } from "./m.carlos";\nx = 2;\nx++;'), [
+      "Cannot assign to imported variable x",
+      "Cannot assign to imported variable x",
+    ])
+    assert.deepEqual(messages('import { x, x } from "./m.carlos";\nprint(x);'), [
+      "Identifier x already declared",
+    ])
+    assert.deepEqual(messages('import { a } from "./gone.carlos";\nprint(a + 1);'), [
+      "Module ./gone.carlos not found",
+    ])
+    assert.deepEqual(messages('import { a } from "./broken.carlos";\nprint(a + 1);'), [])
+  })
   it("produces the expected representation for a trivial program", () => {
     assert.deepEqual(
       analyze(parse("let x = π + 2.2;")),
@@ -201,4 +1106,118 @@ describe("The analyzer", () => {
       ])
     )
   })
+  it("instantiates the types of generic constructors, functions, and fields", () => {
+    const source = `struct P<T> {x: [T]}
+      function g(n: int): int? { return no int; }
+      function f<T>(p: P<T>, h: (T)->T?): (T)->T? { return h; }
+      let p = P([1]);
+      let h = f(p, g);
+      let y = p.x;`
+    const declarations = analyze(parse(source)).statements.slice(3)
+    assert.deepEqual(
+      declarations.map(d => typeDescription(d.variable.type)),
+      ["P<int>", "(int)->int?", "[int]"]
+    )
+  })
+  it("describes types by the aliases they were written with", () => {
+    const source = `type Names = [string];
+      type MaybeNames = Names?;
+      type Handler = (MaybeNames)->void;
+      function f(a: Names, b: MaybeNames, c: [Names], d: Handler) {}`
+    const [, , , declaration] = analyze(parse(source)).statements
+    assert.deepEqual(declaration.fun.type.paramTypes.map(typeDescription), [
+      "Names",
+      "MaybeNames",
+      "[Names]",
+      "Handler",
+    ])
+    assert.equal(
+      typeDescription(declaration.fun.type.paramTypes[3].paramTypes[0]),
+      "MaybeNames"
+    )
+  })
+  it("describes the error type, should it ever be shown", () => {
+    assert.equal(typeDescription(arrayType(errorType)), "[error]")
+  })
+  it("gives ?[ and ?( expressions optional types", () => {
+    const source = `struct P {x: int}
+      let a = some [P(1)];
+      let f = some (p: P) => p;
+      let g = some () => print(1);
+      let x = a?[0];
+      let y = a?[0]?.x;
+      let z = f?(P(2));`
+    const declarations = analyze(parse(source)).statements.slice(4)
+    assert.deepEqual(
+      declarations.map(d => typeDescription(d.variable.type)),
+      ["P?", "int?", "P?"]
+    )
+  })
+  it("gives methods of generic structs instantiated types", () => {
+    const source = `struct Box<T> { v: T function get(): T { return self.v; } }
+      let b = some Box([1]);
+      let f = Box(1.5).get;
+      let x = b?.get();
+      let y = b?.get;`
+    const declarations = analyze(parse(source)).statements.slice(2)
+    assert.deepEqual(
+      declarations.map(d => typeDescription(d.variable.type)),
+      ["()->float", "[int]?", "()->[int]?"]
+    )
+  })
+  it("gives every node the span of its source", () => {
+    const source = `struct S { a: [int]? }
+      function f(s: S?, g: (int)->int): int {
+        for i in 0..<2 { if i > 0 || true { break; } else { while false {} } }
+        let b = s?.a ?? [1];
+        return [1, 2][0] + g(#[int]() + -1);
+      }
+      let x = [no S, some S(no [int])];
+      for y in x { x[0] = y; }
+      enum E { A(n: int), B }
+      match E.A(1) { A(n) => { print(match E.B { B => n, _ => 0 }); } B => {} }
+      struct Box<T> { c: [T]? function get(): [T]? { return self.c; } }
+      function unbox<T>(b: Box<T>, h: (T)->T): [T] { print(b.c); return [T](); }
+      function inc(k: int): int { return k + 1; }
+      print(unbox(Box(some [1]), inc)[0]);
+      let o = some Box(no [int]);
+      print(o?.get()); print(Box(some [2]).get);
+      interface Sized { c: [int]? function get(): [int]?; }
+      function size(s: Sized): [int]? { return s.get() ?? [int](); }
+      print(size(Box(some [3])));`
+    const spanless = []
+    const seen = new Set(Object.values(standardLibrary))
+    function visit(node) {
+      if (typeof node !== "object" || node === null || seen.has(node)) return
+      seen.add(node)
+      if (!Array.isArray(node) && !node.span) spanless.push(node)
+      Object.values(node).forEach(visit)
+    }
+    visit(analyze(parse(source)))
+    assert.deepEqual(spanless, [])
+  })
+  it("gives spans with offsets, line, and column", () => {
+    const { statements } = analyze(parse("let x = 1;\nprint(x +\n 2 * x);"))
+    const [declaration, call] = statements
+    assert.deepEqual(declaration.span, span(0, 10, 1, 1))
+    assert.deepEqual(declaration.variable.span, span(4, 5, 1, 5))
+    assert.deepEqual(call.span, span(11, 28, 2, 1))
+    assert.deepEqual(call.args[0].span, span(17, 27, 2, 7))
+    assert.deepEqual(call.args[0].right.span, span(22, 27, 3, 2))
+  })
+  it("gives spans to nodes made while recovering from errors", () => {
+    const { program } = analyzeWithDiagnostics(parse("print(q.w);"))
+    assert.deepEqual(program.statements[0].args[0].object.span, span(6, 7, 1, 7))
+    assert.deepEqual(program.statements[0].args[0].field.span, span(8, 9, 1, 9))
+  })
+  it("shows spans in printed representations only when asked", () => {
+    const representation = analyze(parse("print(1);"))
+    assert.doesNotMatch(stringify(representation, "kind"), /span|Span/)
+    showSpans(representation)
+    const shown = stringify(representation, "kind")
+    assert.match(shown, /FunctionCall .* span=#\d+\n/)
+    assert.match(shown, /Span start=0 end=8 line=1 column=1/)
+    showSpans(representation, false)
+    assert.doesNotMatch(stringify(representation, "kind"), /span|Span/)
+  })
 })
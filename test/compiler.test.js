@@ -1,16 +1,83 @@
-import { describe, it } from "node:test"
+import { describe, it, mock, after } from "node:test"
 import assert from "node:assert/strict"
+import * as fs from "node:fs"
+import * as os from "node:os"
+import * as path from "node:path"
+import { pathToFileURL } from "node:url"
 import compile from "../src/compiler.js"
 
 const sampleProgram = "print(0);"
 
+// A program in three modules, in a directory of its own, where the program
+// matches on shapes without importing the enum they belong to
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), "carlos-"))
+const modules = {
+  "geometry.carlos": `export struct Point { x: int y: int }
+export enum Shape { Dot(at: Point), Line(from: Point, to: Point) }
+export let made = 0;
+export function dot(x: int, y: int): Shape { made++; return Shape.Dot(Point(x, y)); }`,
+  "shapes.carlos": `import { Point, Shape, dot } from "./geometry.carlos";
+export function shapes(): [Shape] { return [dot(1, 2), Shape.Line(Point(0, 0), Point(3, 4))]; }`,
+  "main.carlos": `import { shapes } from "./shapes.carlos";
+import { made } from "./geometry.carlos";
+for s in shapes() {
+  print(match s { Dot(p) => p.x + p.y, Line(_, p) => p.x * p.y });
+}
+print(made);`,
+}
+for (const [name, source] of Object.entries(modules)) {
+  fs.writeFileSync(path.join(directory, name), source)
+}
+const main = path.join(directory, "main.carlos")
+
+// Runs a function, returning what it printed
+function printed(action) {
+  const write = mock.method(process.stdout, "write", () => true)
+  try {
+    action()
+    return write.mock.calls.map(call => call.arguments[0]).join("")
+  } finally {
+    write.mock.restore()
+  }
+}
+
+// What a program in more modules, the first of them importing the others,
+// prints when run, when bundled, and when made into JavaScript modules
+async function outputs(sources) {
+  for (const [name, source] of Object.entries(sources)) {
+    fs.writeFileSync(path.join(directory, name), source)
+  }
+  const [source] = Object.values(sources)
+  const filename = path.join(directory, Object.keys(sources)[0])
+  const run = printed(() => compile(source, "run", { filename }))
+  const code = compile(source, "js", { filename })
+  const bundled = printed(() => new Function(code)())
+  const compiled = compile(source, "esm", { filename })
+  for (const [file, moduleCode] of compiled) fs.writeFileSync(file, moduleCode)
+  const log = mock.method(console, "log", () => {})
+  try {
+    await import(pathToFileURL([...compiled.keys()].at(-1)))
+    const imported = log.mock.calls.map(call => `${call.arguments[0]}\n`).join("")
+    return [run, bundled, imported]
+  } finally {
+    log.mock.restore()
+  }
+}
+
 describe("The compiler", () => {
+  after(() => fs.rmSync(directory, { recursive: true }))
   it("throws when the output type is missing", () => {
     assert.throws(() => compile(sampleProgram), /Unknown output type/)
   })
   it("throws when the output type is unknown", () => {
     assert.throws(() => compile(sampleProgram, "no such type"), /Unknown output type/)
   })
+  it("reports every semantic error at once", () => {
+    assert.throws(
+      () => compile("print(x);\nprint(1 + true);", "js"),
+      error => error.diagnostics.length === 2
+    )
+  })
   it("accepts the parsed option", () => {
     const compiled = compile(sampleProgram, "parsed")
     assert(compiled.startsWith("Syntax is ok"))
@@ -23,8 +90,145 @@ describe("The compiler", () => {
     const compiled = compile(sampleProgram, "optimized")
     assert(compiled.kind === "Program")
   })
+  it("runs the program when given the run option", () => {
+    const write = mock.method(process.stdout, "write", () => true)
+    try {
+      assert.equal(compile(sampleProgram, "run"), undefined)
+      assert.deepEqual(write.mock.calls[0].arguments, ["0\n"])
+    } finally {
+      write.mock.restore()
+    }
+  })
   it("generates js code when given the js option", () => {
     const compiled = compile(sampleProgram, "js")
-    assert(compiled.startsWith("console.log(0)"))
+    assert(compiled.startsWith("console.log(String(0n))"))
+  })
+  it("throws when asked for modules without a filename", () => {
+    assert.throws(() => compile(sampleProgram, "esm"), /needs a filename/)
+  })
+  it("analyzes and optimizes the program with the modules it imports", () => {
+    for (const outputType of ["analyzed", "optimized"]) {
+      const compiled = compile(modules["main.carlos"], outputType, { filename: main })
+      assert.equal(compiled.statements[0].kind, "ImportDeclaration")
+      assert.equal(compiled.statements[0].entities[0].name, "shapes")
+    }
+  })
+  it("runs the program after the modules it imports", () => {
+    const run = () => compile(modules["main.carlos"], "run", { filename: main })
+    assert.equal(printed(run), "3\n12\n1\n")
+  })
+  it("bundles the program with the modules it imports", () => {
+    const code = compile(modules["main.carlos"], "js", { filename: main })
+    assert.equal(
+      printed(() => new Function(code)()),
+      "3\n12\n1\n"
+    )
+  })
+  it("maps a bundle back to the source of each module", () => {
+    const compiled = compile(modules["main.carlos"], "js+map", { filename: main })
+    const encodedMap = compiled.split("base64,")[1]
+    const map = JSON.parse(Buffer.from(encodedMap, "base64").toString())
+    assert.deepEqual(
+      map.sources,
+      ["geometry.carlos", "shapes.carlos", "main.carlos"].map(f =>
+        path.join(directory, f)
+      )
+    )
+    assert.deepEqual(map.sourcesContent.at(-1), modules["main.carlos"])
+  })
+  it("makes a JavaScript module for each module", async () => {
+    const compiled = compile(modules["main.carlos"], "esm", { filename: main })
+    assert.deepEqual(
+      [...compiled.keys()],
+      ["geometry.mjs", "shapes.mjs", "main.mjs"].map(f => path.join(directory, f))
+    )
+    for (const [filename, code] of compiled) fs.writeFileSync(filename, code)
+    // Importing is asynchronous, so only the program's own printing is caught
+    const log = mock.method(console, "log", () => {})
+    try {
+      await import(pathToFileURL(path.join(directory, "main.mjs")))
+      assert.deepEqual(
+        log.mock.calls.map(call => call.arguments),
+        [["3"], ["12"], ["1"]]
+      )
+    } finally {
+      log.mock.restore()
+    }
+    // The variants come from the module declaring them, not the one imported from
+    const mainCode = compiled.get(path.join(directory, "main.mjs"))
+    assert.match(mainCode, /^import \{ shapes as shapes_\d+ \} from "\.\/shapes\.mjs";$/m)
+    assert.match(
+      mainCode,
+      /^import \{ .*Shape_Dot as Dot_\d+.* \} from "\.\/geometry\.mjs";$/m
+    )
+  })
+  it("imports from modules in other directories", () => {
+    const nested = path.join(directory, "app", "main.carlos")
+    const source = 'import { made } from "../geometry.carlos";\nprint(made);'
+    const compiled = compile(source, "esm", { filename: nested })
+    assert.match(
+      compiled.get(path.join(directory, "app", "main.mjs")),
+      /"\.\.\/geometry\.mjs"/
+    )
+  })
+  it("uses type aliases declared in other modules", async () => {
+    const printedEachWay = await outputs({
+      "greetings.carlos": `import { Names, first } from "./names.carlos";
+function greet(names: Names): string { return "Hi, " + join(names, " and "); }
+print(greet(["Ana", "Bo"]));
+print(first(["Cy"]));`,
+      "names.carlos": `export type Names = [string];
+export function first(names: Names): string { return names[0]; }`,
+    })
+    const expected = "Hi, Ana and Bo\nCy\n"
+    assert.deepEqual(printedEachWay, [expected, expected, expected])
+  })
+  it("calls methods of structs declared in other modules", async () => {
+    const printedEachWay = await outputs({
+      "counting.carlos": `import { Counter } from "./counter.carlos";
+let c = Counter(0);
+c.bump();
+c.bump();
+print(c.count);`,
+      "counter.carlos": `export struct Counter { count: int function bump() { self.count++; } }`,
+    })
+    assert.deepEqual(printedEachWay, ["2\n", "2\n", "2\n"])
+  })
+  it("uses interfaces declared in other modules", async () => {
+    const printedEachWay = await outputs({
+      "squares.carlos": `import { doubled } from "./sized.carlos";
+struct Square { side: int function size(): int { return self.side * self.side; } }
+print(doubled(Square(3)));`,
+      "sized.carlos": `export interface Sized { function size(): int; }
+export function doubled(s: Sized): int { return 2 * s.size(); }`,
+    })
+    assert.deepEqual(printedEachWay, ["18\n", "18\n", "18\n"])
+  })
+  it("says which module a failed check is in, unless told not to check", () => {
+    const divide = path.join(directory, "divide.carlos")
+    fs.writeFileSync(divide, "export function half(x: int): int {\n  return x / 0;\n}")
+    const source = 'import { half } from "./divide.carlos";\nprint(half(1));'
+    const filename = path.join(directory, "halve.carlos")
+    const error = { name: "CarlosError", message: `Division by zero at ${divide}:2:10` }
+    assert.throws(() => compile(source, "run", { filename }), error)
+    assert.throws(() => new Function(compile(source, "js", { filename }))(), error)
+    const unchecked = compile(source, "js", { filename, unchecked: true })
+    assert.throws(() => new Function(unchecked)(), RangeError)
+  })
+  it("passes warnings to the function given to take them", () => {
+    const warnings = []
+    compile("let x = 1;\nx = x;", "js", { warn: w => warnings.push(w.code) })
+    assert.deepEqual(warnings, ["self-assignment"])
+    assert.equal(compile("let x = 1;", "js"), "let x_1 = 1n;")
+  })
+  it("generates js code with an inline source map given the js+map option", () => {
+    const compiled = compile(sampleProgram, "js+map", { filename: "sample.carlos" })
+    const [code, encodedMap] = compiled.split(
+      "\n//# sourceMappingURL=data:application/json;base64,"
+    )
+    assert.equal(code, "console.log(String(0n));")
+    const map = JSON.parse(Buffer.from(encodedMap, "base64").toString())
+    assert.deepEqual(map.sources, ["sample.carlos"])
+    assert.deepEqual(map.sourcesContent, [sampleProgram])
   })
 })
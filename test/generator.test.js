@@ -1,9 +1,10 @@
 import { describe, it } from "node:test"
 import assert from "node:assert/strict"
+import { SourceMap } from "node:module"
 import parse from "../src/parser.js"
 import analyze from "../src/analyzer.js"
 import optimize from "../src/optimizer.js"
-import generate from "../src/generator.js"
+import generate, { generateWithSourceMap } from "../src/generator.js"
 
 function dedent(s) {
   return `${s}`.replace(/(?<=\n)\s+/g, "").trim()
@@ -21,12 +22,19 @@ const fixtures = [
       print((y && y) || false || (x*2) != 5);
     `,
     expected: dedent`
-      let x_1 = 21;
+      function $fail(message, where) {
+      throw Object.assign(new Error(\`\${message} at \${where}\`), { name: "CarlosError" });
+      }
+      function $nonnegative(exponent, where) {
+      if (exponent < 0n) $fail("Negative exponent", where);
+      return exponent;
+      }
+      let x_1 = 21n;
       x_1++;
       x_1--;
       let y_2 = true;
-      y_2 = (((5 ** -(x_1)) / -(100)) > -(x_1));
-      console.log(((y_2 && y_2) || ((x_1 * 2) !== 5)));
+      y_2 = (((5n ** $nonnegative(-(x_1), "line 6, column 11")) / (-100n)) > -(x_1));
+      console.log(((y_2 && y_2) || ((x_1 * 2n) !== 5n)));
     `,
   },
   {
@@ -39,28 +47,28 @@ const fixtures = [
       if (x == 0) { print(1); } else if (x == 2) { print(3); } else { print(4); }
     `,
     expected: dedent`
-      let x_1 = 0;
-      if ((x_1 === 0)) {
+      let x_1 = 0n;
+      if ((x_1 === 0n)) {
         console.log("1");
       }
-      if ((x_1 === 0)) {
-        console.log(1);
+      if ((x_1 === 0n)) {
+        console.log(String(1n));
       } else {
-        console.log(2);
+        console.log(String(2n));
       }
-      if ((x_1 === 0)) {
-        console.log(1);
+      if ((x_1 === 0n)) {
+        console.log(String(1n));
       } else
-        if ((x_1 === 2)) {
-          console.log(3);
+        if ((x_1 === 2n)) {
+          console.log(String(3n));
         }
-      if ((x_1 === 0)) {
-        console.log(1);
+      if ((x_1 === 0n)) {
+        console.log(String(1n));
       } else
-        if ((x_1 === 2)) {
-          console.log(3);
+        if ((x_1 === 2n)) {
+          console.log(String(3n));
         } else {
-          console.log(4);
+          console.log(String(4n));
         }
     `,
   },
@@ -79,15 +87,529 @@ const fixtures = [
       }
     `,
     expected: dedent`
-      let x_1 = 0;
-      while ((x_1 < 5)) {
-        let y_2 = 0;
-        while ((y_2 < 5)) {
-          console.log((x_1 * y_2));
-          y_2 = (y_2 + 1);
+      let x_1 = 0n;
+      while ((x_1 < 5n)) {
+        let y_2 = 0n;
+        while ((y_2 < 5n)) {
+          console.log(String((x_1 * y_2)));
+          y_2 = (y_2 + 1n);
           break;
         }
-        x_1 = (x_1 + 1);
+        x_1 = (x_1 + 1n);
+      }
+    `,
+  },
+  {
+    name: "equality",
+    source: `
+      struct S { a: [int] }
+      let s = S([1]);
+      print(s == S([1]));
+      print(s != s);
+      print(s === s);
+      print(s !== s);
+      print(1 == 2 - 1);
+      print("a" != "b");
+    `,
+    expected: dedent`
+      function $equal(x, y) {
+      if (x === y) return true;
+      if (typeof x !== "object" || typeof y !== "object" || x.constructor !== y.constructor) return false;
+      const keys = Object.keys(x);
+      return keys.length === Object.keys(y).length && keys.every(k => $equal(x[k], y[k]));
+      }
+      class S_1 {
+      static $shape = { name: "S", fields: [["a"]] };
+      constructor(a_2) {
+      this["a_2"] = a_2;
+      }
+      }
+      let s_3 = new S_1([1n]);
+      console.log($equal(s_3, new S_1([1n])));
+      console.log(!$equal(s_3, s_3));
+      console.log((s_3 === s_3));
+      console.log((s_3 !== s_3));
+      console.log(true);
+      console.log(("a" !== "b"));
+    `,
+  },
+  {
+    name: "more of the standard library",
+    source: `
+      let x = 2.5;
+      let s = " a,b ";
+      let a = [2, 1];
+      print(sqrt(x) + abs(x) + floor(x) + min(x, 1.0) + max(x, 1.0) + atan2(x, 1.0));
+      print(truncate(x) + round(x) + length(s) + indexOf(s, ","));
+      print(toFloat(3));
+      print(substring(s, 1, 2) + join(split(trim(s), ","), "-") + toUpper(s));
+      print(parseInt(s) ?? 0);
+      push(a, 3);
+      print(pop(a) ?? 0);
+      print(slice(reverse(sort(a)), 0, 1));
+    `,
+    expected: dedent`
+      function $format(value, shape, quote = false) {
+      if (shape?.no !== undefined) return value === undefined ? "no " + shape.no : "some " + $format(value, shape.some, true);
+      if (Array.isArray(value)) return "[" + value.map(element => $format(element, shape?.[0], true)).join(", ") + "]";
+      switch (typeof value) {
+      case "undefined": return "no any";
+      case "string": return quote ? JSON.stringify(value) : value;
+      case "number": return String(value).replace(/^(-?\\d+)(?=e|$)/, "$1.0");
+      case "function": return "<function>";
+      case "object":
+      const { name, fields } = value.constructor.$shape;
+      if (!fields) return name;
+      const shapes = shape?.fields ?? fields;
+      return name + "(" + Object.values(value).map((field, i) => fields[i][0] + ": " + $format(field, shapes[i][1], true)).join(", ") + ")";
+      }
+      return String(value);
+      }
+      function $indexOf(string, part) {
+      const index = string.indexOf(part);
+      return index < 0 ? -1n : BigInt([...string.slice(0, index)].length);
+      }
+      function $parseInt(string) {
+      return /^\\s*[+-]?\\d+\\s*$/.test(string) ? BigInt(string) : undefined;
+      }
+      function $fail(message, where) {
+      throw Object.assign(new Error(\`\${message} at \${where}\`), { name: "CarlosError" });
+      }
+      function $integral(number, where) {
+      if (!Number.isFinite(number)) $fail("Infinite or NaN float", where);
+      return BigInt(number);
+      }
+      let x_1 = 2.5;
+      let s_2 = " a,b ";
+      let a_3 = [2n,1n];
+      console.log($format((((((Math.sqrt(x_1) + Math.abs(x_1)) + Math.floor(x_1)) + Math.min(x_1,1)) + Math.max(x_1,1)) + Math.atan2(x_1,1))));
+      console.log(String(((($integral(Math.trunc(x_1), "line 6, column 13") + $integral(Math.round(x_1), "line 6, column 27")) + BigInt([...(s_2)].length)) + $indexOf(s_2, ","))));
+      console.log($format(Number(3n)));
+      console.log((([...(s_2)].slice(Number(1n),Number(2n)).join("") + (((s_2).trim()).split(",")).join("-")) + (s_2).toUpperCase()));
+      console.log($format(($parseInt(s_2) ?? 0n), { no: "int" }));
+      (a_3).push(3n);
+      console.log($format(((a_3).pop() ?? 0n), { no: "int" }));
+      console.log($format(([...([...(a_3)].sort((x,y)=>(x<y?-1:x>y?1:0)))].reverse()).slice(Number(0n),Number(1n))));
+    `,
+  },
+  {
+    name: "higher-order functions",
+    source: `
+      let a = [1, 2];
+      print(map(filter(a, (x: int) => x > 1), (x: int) => x * 2));
+      print(reduce(a, (s: int, x: int) => s + x, 0));
+      print(any(a, (x: int) => x > 1) && all(a, (x: int) => x > 0));
+      print(find(map([1.0], sqrt), (x: float) => x > 0.5) ?? 0.0);
+    `,
+    expected: dedent`
+      function $format(value, shape, quote = false) {
+      if (shape?.no !== undefined) return value === undefined ? "no " + shape.no : "some " + $format(value, shape.some, true);
+      if (Array.isArray(value)) return "[" + value.map(element => $format(element, shape?.[0], true)).join(", ") + "]";
+      switch (typeof value) {
+      case "undefined": return "no any";
+      case "string": return quote ? JSON.stringify(value) : value;
+      case "number": return String(value).replace(/^(-?\\d+)(?=e|$)/, "$1.0");
+      case "function": return "<function>";
+      case "object":
+      const { name, fields } = value.constructor.$shape;
+      if (!fields) return name;
+      const shapes = shape?.fields ?? fields;
+      return name + "(" + Object.values(value).map((field, i) => fields[i][0] + ": " + $format(field, shapes[i][1], true)).join(", ") + ")";
+      }
+      return String(value);
+      }
+      let a_1 = [1n,2n];
+      console.log($format(((a_1).filter(((x_2) => (x_2 > 1n)))).map(((x_3) => (x_3 * 2n)))));
+      console.log(String((a_1).reduce(((s_4, x_5) => (s_4 + x_5)), 0n)));
+      console.log(((a_1).some(((x_6) => (x_6 > 1n))) && (a_1).every(((x_7) => (x_7 > 0n)))));
+      console.log($format(((([1]).map(((x) => Math.sqrt(x)))).find(((x_8) => (x_8 > 0.5))) ?? 0), { no: "float" }));
+    `,
+  },
+  {
+    name: "if let and while let",
+    source: `
+      let a = [1];
+      if let x = pop(a) { print(x); } else if let y = pop(a) { print(y); } else {}
+      if #a > 0 {} else if let x = pop(a) { print(x); }
+      outer: while let x = pop(a) { continue outer; }
+      if let x = some 2 { print(x); }
+    `,
+    expected: dedent`
+      let a_1 = [1n];
+      const x_2 = (a_1).pop();
+      if (x_2 !== undefined) {
+      console.log(String(x_2));
+      } else {
+      const y_3 = (a_1).pop();
+      if (y_3 !== undefined) {
+      console.log(String(y_3));
+      } else {
+      }
+      }
+      if ((BigInt(a_1.length) > 0n)) {
+      } else {
+      const x_4 = (a_1).pop();
+      if (x_4 !== undefined) {
+      console.log(String(x_4));
+      }
+      }
+      outer_5: while (true) {
+      const x_6 = (a_1).pop();
+      if (x_6 === undefined) break;
+      continue outer_5;
+      }
+      let x_7 = 2n;
+      console.log(String(x_7));
+    `,
+  },
+  {
+    name: "optional subscripts and calls",
+    source: `
+      struct P { x: int }
+      let a = some [P(1)];
+      print(a?[0]?.x ?? 0);
+      let f = some (n: int) => n * 2;
+      print(f?(21) ?? 0);
+      let g = some (s: string) => print(s);
+      g?("logged");
+      let h = some () => pop([1]);
+      h?();
+    `,
+    expected: dedent`
+      function $format(value, shape, quote = false) {
+      if (shape?.no !== undefined) return value === undefined ? "no " + shape.no : "some " + $format(value, shape.some, true);
+      if (Array.isArray(value)) return "[" + value.map(element => $format(element, shape?.[0], true)).join(", ") + "]";
+      switch (typeof value) {
+      case "undefined": return "no any";
+      case "string": return quote ? JSON.stringify(value) : value;
+      case "number": return String(value).replace(/^(-?\\d+)(?=e|$)/, "$1.0");
+      case "function": return "<function>";
+      case "object":
+      const { name, fields } = value.constructor.$shape;
+      if (!fields) return name;
+      const shapes = shape?.fields ?? fields;
+      return name + "(" + Object.values(value).map((field, i) => fields[i][0] + ": " + $format(field, shapes[i][1], true)).join(", ") + ")";
+      }
+      return String(value);
+      }
+      function $fail(message, where) {
+      throw Object.assign(new Error(\`\${message} at \${where}\`), { name: "CarlosError" });
+      }
+      function $index(array, index, where) {
+      if (index < 0n || index >= array.length) $fail("Index out of bounds", where);
+      return index;
+      }
+      class P_1 {
+      static $shape = { name: "P", fields: [["x"]] };
+      constructor(x_2) {
+      this["x_2"] = x_2;
+      }
+      }
+      let a_3 = [new P_1(1n)];
+      console.log($format(((((array_4) => array_4?.[$index(array_4, 0n, "line 4, column 13")])(a_3)?.["x_2"]) ?? 0n), { no: "int" }));
+      let f_5 = ((n_6) => (n_6 * 2n));
+      console.log($format((f_5?.(21n) ?? 0n), { no: "int" }));
+      let g_7 = ((s_8) => {
+      console.log(s_8);
+      });
+      g_7?.("logged");
+      let h_9 = (() => ([1n]).pop());
+      h_9?.();
+    `,
+  },
+  {
+    name: "interfaces",
+    source: `
+      interface Named { name: string function greet(): string; }
+      struct Cat { name: string function greet(): string { return "meow"; } }
+      struct Dog { age: int name: string function greet(): string { return "woof"; } }
+      function introduce(n: Named) { print(n.name + ": " + n.greet()); }
+      introduce(Cat("Tom"));
+      introduce(Dog(3, "Rex"));
+    `,
+    expected: dedent`
+      class Cat_1 {
+      static $shape = { name: "Cat", fields: [["name"]] };
+      constructor(name_2) {
+      this["name_2"] = name_2;
+      }
+      ["greet_3"]() {
+      const self_4 = this;
+      return "meow";
+      }
+      }
+      class Dog_5 {
+      static $shape = { name: "Dog", fields: [["age"], ["name"]] };
+      constructor(age_6,name_2) {
+      this["age_6"] = age_6;
+      this["name_2"] = name_2;
+      }
+      ["greet_3"]() {
+      const self_7 = this;
+      return "woof";
+      }
+      }
+      function introduce_8(n_9) {
+      console.log((((n_9["name_2"]) + ": ") + n_9["greet_3"]()));
+      }
+      introduce_8(new Cat_1("Tom"));
+      introduce_8(new Dog_5(3n, "Rex"));
+    `,
+  },
+  {
+    name: "methods",
+    source: `
+      struct Counter {
+        n: int
+        function up(by: int) { self.n = self.n + by; }
+        function get(): int { return self.n; }
+      }
+      let c = Counter(0);
+      c.up(2);
+      let maybe = some c;
+      maybe?.up(1);
+      print(maybe?.get() ?? 0);
+      const get = c.get;
+      print(get());
+      const later = maybe?.get;
+      print(later?() ?? 0);
+    `,
+    expected: dedent`
+      function $format(value, shape, quote = false) {
+      if (shape?.no !== undefined) return value === undefined ? "no " + shape.no : "some " + $format(value, shape.some, true);
+      if (Array.isArray(value)) return "[" + value.map(element => $format(element, shape?.[0], true)).join(", ") + "]";
+      switch (typeof value) {
+      case "undefined": return "no any";
+      case "string": return quote ? JSON.stringify(value) : value;
+      case "number": return String(value).replace(/^(-?\\d+)(?=e|$)/, "$1.0");
+      case "function": return "<function>";
+      case "object":
+      const { name, fields } = value.constructor.$shape;
+      if (!fields) return name;
+      const shapes = shape?.fields ?? fields;
+      return name + "(" + Object.values(value).map((field, i) => fields[i][0] + ": " + $format(field, shapes[i][1], true)).join(", ") + ")";
+      }
+      return String(value);
+      }
+      class Counter_1 {
+      static $shape = { name: "Counter", fields: [["n"]] };
+      constructor(n_2) {
+      this["n_2"] = n_2;
+      }
+      ["up_3"](by_4) {
+      const self_5 = this;
+      (self_5["n_2"]) = ((self_5["n_2"]) + by_4);
+      }
+      ["get_6"]() {
+      const self_7 = this;
+      return (self_7["n_2"]);
+      }
+      }
+      let c_8 = new Counter_1(0n);
+      c_8["up_3"](2n);
+      let maybe_9 = c_8;
+      maybe_9?.["up_3"](1n);
+      console.log($format((maybe_9?.["get_6"]() ?? 0n), { no: "int" }));
+      let get_10 = ((object_11) => object_11["get_6"].bind(object_11))(c_8);
+      console.log(String(get_10()));
+      let later_12 = ((object_13) => object_13?.["get_6"].bind(object_13))(maybe_9);
+      console.log($format((later_12?.() ?? 0n), { no: "int" }));
+    `,
+  },
+  {
+    name: "type aliases",
+    source: `
+      struct Point { x: float y: float }
+      type Points = [Point];
+      type Transform = (Point)->Point;
+      function apply(ps: Points, t: Transform): Points { return map(ps, t); }
+      function nothing(): Points? { return no Points; }
+      print(apply([Point(1.0, 2.0)], (p: Point) => Point(p.y, p.x)));
+      print(nothing());
+    `,
+    expected: dedent`
+      function $format(value, shape, quote = false) {
+      if (shape?.no !== undefined) return value === undefined ? "no " + shape.no : "some " + $format(value, shape.some, true);
+      if (Array.isArray(value)) return "[" + value.map(element => $format(element, shape?.[0], true)).join(", ") + "]";
+      switch (typeof value) {
+      case "undefined": return "no any";
+      case "string": return quote ? JSON.stringify(value) : value;
+      case "number": return String(value).replace(/^(-?\\d+)(?=e|$)/, "$1.0");
+      case "function": return "<function>";
+      case "object":
+      const { name, fields } = value.constructor.$shape;
+      if (!fields) return name;
+      const shapes = shape?.fields ?? fields;
+      return name + "(" + Object.values(value).map((field, i) => fields[i][0] + ": " + $format(field, shapes[i][1], true)).join(", ") + ")";
+      }
+      return String(value);
+      }
+      class Point_1 {
+      static $shape = { name: "Point", fields: [["x"], ["y"]] };
+      constructor(x_2,y_3) {
+      this["x_2"] = x_2;
+      this["y_3"] = y_3;
+      }
+      }
+      function apply_4(ps_5, t_6) {
+      return (ps_5).map(t_6);
+      }
+      function nothing_7() {
+      return undefined;
+      }
+      console.log($format(apply_4([new Point_1(1, 2)], ((p_8) => new Point_1((p_8["y_3"]), (p_8["x_2"]))))));
+      console.log($format(nothing_7(), { no: "Points" }));
+    `,
+  },
+  {
+    name: "interpolation",
+    source: `
+      let name = "Ray";
+      let x = 2.0;
+      print("Hi \${name}, \${1 + 2} \${x} \${[x]} \${name == "Ray"} \\\${name} \`q\`");
+    `,
+    expected: dedent`
+      function $format(value, shape, quote = false) {
+      if (shape?.no !== undefined) return value === undefined ? "no " + shape.no : "some " + $format(value, shape.some, true);
+      if (Array.isArray(value)) return "[" + value.map(element => $format(element, shape?.[0], true)).join(", ") + "]";
+      switch (typeof value) {
+      case "undefined": return "no any";
+      case "string": return quote ? JSON.stringify(value) : value;
+      case "number": return String(value).replace(/^(-?\\d+)(?=e|$)/, "$1.0");
+      case "function": return "<function>";
+      case "object":
+      const { name, fields } = value.constructor.$shape;
+      if (!fields) return name;
+      const shapes = shape?.fields ?? fields;
+      return name + "(" + Object.values(value).map((field, i) => fields[i][0] + ": " + $format(field, shapes[i][1], true)).join(", ") + ")";
+      }
+      return String(value);
+      }
+      let name_1 = "Ray";
+      let x_2 = 2;
+      console.log(\`Hi \${name_1}, 3 \${$format(x_2)} \${$format([x_2])} \${(name_1 === "Ray")} \\\${name} \\\`q\\\`\`);
+    `,
+  },
+  {
+    name: "formatting",
+    source: `
+      struct Node { value: float next: Node? }
+      let n = Node(1.0, no Node);
+      print(n);
+      print([some n]);
+      print(string(2.5) + string(true));
+    `,
+    expected: dedent`
+      function $format(value, shape, quote = false) {
+      if (shape?.no !== undefined) return value === undefined ? "no " + shape.no : "some " + $format(value, shape.some, true);
+      if (Array.isArray(value)) return "[" + value.map(element => $format(element, shape?.[0], true)).join(", ") + "]";
+      switch (typeof value) {
+      case "undefined": return "no any";
+      case "string": return quote ? JSON.stringify(value) : value;
+      case "number": return String(value).replace(/^(-?\\d+)(?=e|$)/, "$1.0");
+      case "function": return "<function>";
+      case "object":
+      const { name, fields } = value.constructor.$shape;
+      if (!fields) return name;
+      const shapes = shape?.fields ?? fields;
+      return name + "(" + Object.values(value).map((field, i) => fields[i][0] + ": " + $format(field, shapes[i][1], true)).join(", ") + ")";
+      }
+      return String(value);
+      }
+      class Node_1 {
+      static $shape = { name: "Node", fields: [["value"], ["next", { no: "Node" }]] };
+      constructor(value_2,next_3) {
+      this["value_2"] = value_2;
+      this["next_3"] = next_3;
+      }
+      }
+      let n_4 = new Node_1(1, undefined);
+      console.log($format(n_4));
+      console.log($format([n_4], [{ no: "Node" }]));
+      console.log(($format(2.5) + $format(true)));
+    `,
+  },
+  {
+    name: "formatting generic structs",
+    source: `
+      struct Box<T> { v: T }
+      struct List<T> { head: T tail: List<T>? }
+      print(Box(some 1));
+      print([Box(no float)]);
+      print(Box(2));
+      print(List(some "a", some List(no string, no List<string?>)));
+    `,
+    expected: dedent`
+      function $format(value, shape, quote = false) {
+      if (shape?.no !== undefined) return value === undefined ? "no " + shape.no : "some " + $format(value, shape.some, true);
+      if (Array.isArray(value)) return "[" + value.map(element => $format(element, shape?.[0], true)).join(", ") + "]";
+      switch (typeof value) {
+      case "undefined": return "no any";
+      case "string": return quote ? JSON.stringify(value) : value;
+      case "number": return String(value).replace(/^(-?\\d+)(?=e|$)/, "$1.0");
+      case "function": return "<function>";
+      case "object":
+      const { name, fields } = value.constructor.$shape;
+      if (!fields) return name;
+      const shapes = shape?.fields ?? fields;
+      return name + "(" + Object.values(value).map((field, i) => fields[i][0] + ": " + $format(field, shapes[i][1], true)).join(", ") + ")";
+      }
+      return String(value);
+      }
+      const $shape1 = { get fields() { return [["v", { no: "int" }]]; } };
+      const $shape2 = { get fields() { return [["v", { no: "float" }]]; } };
+      const $shape3 = { get fields() { return [["head", { no: "string" }], ["tail", { no: "List<string?>", some: $shape3 }]]; } };
+      class Box_1 {
+      static $shape = { name: "Box", fields: [["v"]] };
+      constructor(v_2) {
+      this["v_2"] = v_2;
+      }
+      }
+      class List_3 {
+      static $shape = { name: "List", fields: [["head"], ["tail", { no: "List<T>" }]] };
+      constructor(head_4,tail_5) {
+      this["head_4"] = head_4;
+      this["tail_5"] = tail_5;
+      }
+      }
+      console.log($format(new Box_1(1n), $shape1));
+      console.log($format([new Box_1(undefined)], [$shape2]));
+      console.log($format(new Box_1(2n)));
+      console.log($format(new List_3("a", new List_3(undefined, undefined)), $shape3));
+    `,
+  },
+  {
+    name: "labeled loops",
+    source: `
+      outer: for i in 0..<4 {
+        inner: repeat 3 {
+          if i == 1 { continue outer; }
+          continue inner;
+        }
+      }
+      switch: while true {
+        for x in [1] { break switch; }
+        break;
+      }
+      rows: for r in [[1]] { continue; }
+    `,
+    expected: dedent`
+      outer_2: for (let i_1 = 0n; i_1 < 4n; i_1++) {
+        inner_4: for (let i_3 = 0; i_3 < 3n; i_3++) {
+          if ((i_1 === 1n)) {
+            continue outer_2;
+          }
+          continue inner_4;
+        }
+      }
+      switch_5: while (true) {
+        for (let x_6 of [1n]) {
+          break switch_5;
+        }
+        break;
+      }
+      rows_7: for (let r_8 of [[1n]]) {
+        continue;
       }
     `,
   },
@@ -126,11 +648,65 @@ const fixtures = [
       print(a[1] || (b[0] < 88 ? false : true));
     `,
     expected: dedent`
+      function $fail(message, where) {
+      throw Object.assign(new Error(\`\${message} at \${where}\`), { name: "CarlosError" });
+      }
+      function $index(array, index, where) {
+      if (index < 0n || index >= array.length) $fail("Index out of bounds", where);
+      return index;
+      }
+      function $at(array, index, where) {
+      return array[$index(array, index, where)];
+      }
+      function $random(array, where) {
+      if (array.length === 0) $fail("Random element of an empty array", where);
+      return array[Math.floor(Math.random() * array.length)];
+      }
       let a_1 = [true,false,true];
-      let b_2 = [10,(a_1.length - 20),30];
+      let b_2 = [10n,(BigInt(a_1.length) - 20n),30n];
       let c_3 = [];
-      let d_4 = ((a=>a[~~(Math.random()*a.length)])(b_2));
-      console.log((a_1[1] || (((b_2[0] < 88)) ? (false) : (true))));
+      let d_4 = $random(b_2, "line 5, column 17");
+      console.log(($at(a_1, 1n, "line 6, column 13") || ((($at(b_2, 0n, "line 6, column 22") < 88n)) ? (false) : (true))));
+    `,
+  },
+  {
+    name: "unchecked",
+    options: { unchecked: true },
+    source: `
+      let a = [1, 2];
+      let z = 0;
+      a[0] = random a;
+      a[1]++;
+      a[1]--;
+      print(a[0] / z + a[1] % z);
+      print((some a)?[0] ?? z);
+      print(truncate(toFloat(z)) + round(0.5));
+    `,
+    expected: dedent`
+      function $format(value, shape, quote = false) {
+      if (shape?.no !== undefined) return value === undefined ? "no " + shape.no : "some " + $format(value, shape.some, true);
+      if (Array.isArray(value)) return "[" + value.map(element => $format(element, shape?.[0], true)).join(", ") + "]";
+      switch (typeof value) {
+      case "undefined": return "no any";
+      case "string": return quote ? JSON.stringify(value) : value;
+      case "number": return String(value).replace(/^(-?\\d+)(?=e|$)/, "$1.0");
+      case "function": return "<function>";
+      case "object":
+      const { name, fields } = value.constructor.$shape;
+      if (!fields) return name;
+      const shapes = shape?.fields ?? fields;
+      return name + "(" + Object.values(value).map((field, i) => fields[i][0] + ": " + $format(field, shapes[i][1], true)).join(", ") + ")";
+      }
+      return String(value);
+      }
+      let a_1 = [1n,2n];
+      let z_2 = 0n;
+      a_1[0n] = ((a=>a[~~(Math.random()*a.length)])(a_1));
+      a_1[1n]++;
+      a_1[1n]--;
+      console.log(String(((a_1[0n] / z_2) + (a_1[1n] % z_2))));
+      console.log($format((a_1?.[0n] ?? z_2), { no: "int" }));
+      console.log(String((BigInt(Math.trunc(Number(z_2))) + BigInt(Math.round(0.5)))));
     `,
   },
   {
@@ -142,12 +718,13 @@ const fixtures = [
     `,
     expected: dedent`
       class S_1 {
+      static $shape = { name: "S", fields: [["x"]] };
       constructor(x_2) {
       this["x_2"] = x_2;
       }
       }
-      let x_3 = new S_1(3);
-      console.log((x_3["x_2"]));
+      let x_3 = new S_1(3n);
+      console.log(String((x_3["x_2"])));
     `,
   },
   {
@@ -161,13 +738,14 @@ const fixtures = [
     `,
     expected: dedent`
       let x_1 = undefined;
-      let y_2 = (x_1 ?? 2);
+      let y_2 = (x_1 ?? 2n);
       class S_3 {
+      static $shape = { name: "S", fields: [["x"]] };
       constructor(x_4) {
       this["x_4"] = x_4;
       }
       }
-      let z_5 = new S_3(1);
+      let z_5 = new S_3(1n);
       let w_6 = (z_5?.["x_4"]);
     `,
   },
@@ -187,15 +765,15 @@ const fixtures = [
       }
     `,
     expected: dedent`
-      for (let i_1 = 1; i_1 < 50; i_1++) {
-        console.log(i_1);
+      for (let i_1 = 1n; i_1 < 50n; i_1++) {
+        console.log(String(i_1));
       }
-      for (let j_2 of [10,20,30]) {
-        console.log(j_2);
+      for (let j_2 of [10n,20n,30n]) {
+        console.log(String(j_2));
       }
-      for (let i_3 = 0; i_3 < 3; i_3++) {
+      for (let i_3 = 0; i_3 < 3n; i_3++) {
       }
-      for (let k_4 = 1; k_4 <= 10; k_4++) {
+      for (let k_4 = 1n; k_4 <= 10n; k_4++) {
       }
     `,
   },
@@ -208,10 +786,137 @@ const fixtures = [
       print(codepoints("💪🏽💪🏽🖖👩🏾💁🏽‍♀️"));
     `,
     expected: dedent`
+      function $format(value, shape, quote = false) {
+      if (shape?.no !== undefined) return value === undefined ? "no " + shape.no : "some " + $format(value, shape.some, true);
+      if (Array.isArray(value)) return "[" + value.map(element => $format(element, shape?.[0], true)).join(", ") + "]";
+      switch (typeof value) {
+      case "undefined": return "no any";
+      case "string": return quote ? JSON.stringify(value) : value;
+      case "number": return String(value).replace(/^(-?\\d+)(?=e|$)/, "$1.0");
+      case "function": return "<function>";
+      case "object":
+      const { name, fields } = value.constructor.$shape;
+      if (!fields) return name;
+      const shapes = shape?.fields ?? fields;
+      return name + "(" + Object.values(value).map((field, i) => fields[i][0] + ": " + $format(field, shapes[i][1], true)).join(", ") + ")";
+      }
+      return String(value);
+      }
       let x_1 = 0.5;
-      console.log(((Math.sin(x_1) - Math.cos(x_1)) + ((Math.exp(x_1) * Math.log(x_1)) / Math.hypot(2.3,x_1))));
-      console.log([...Buffer.from("∞§¶•", "utf8")]);
-      console.log([...("💪🏽💪🏽🖖👩🏾💁🏽‍♀️")].map(s=>s.codePointAt(0)));
+      console.log($format(((Math.sin(x_1) - Math.cos(x_1)) + ((Math.exp(x_1) * Math.log(x_1)) / Math.hypot(2.3,x_1)))));
+      console.log($format([...Buffer.from("∞§¶•", "utf8")].map(BigInt)));
+      console.log($format([...("💪🏽💪🏽🖖👩🏾💁🏽‍♀️")].map(s=>BigInt(s.codePointAt(0)))));
+    `,
+  },
+  {
+    name: "enums and matches",
+    source: `
+      enum Shape { Circle(r: float), Rect(w: float, h: float), Empty }
+      function area(s: Shape): float {
+        return match s { Circle(r) => 3.0 * r * r, Rect(w, _) => w * w, _ => 0.0 };
+      }
+      let s = Shape.Rect(2.0, 1.5);
+      match s {
+        Circle(_) => { print("circle"); }
+        Rect(w, _) => { print(w); }
+        Empty => {}
+      }
+      print(area(s));
+    `,
+    expected: dedent`
+      function $format(value, shape, quote = false) {
+      if (shape?.no !== undefined) return value === undefined ? "no " + shape.no : "some " + $format(value, shape.some, true);
+      if (Array.isArray(value)) return "[" + value.map(element => $format(element, shape?.[0], true)).join(", ") + "]";
+      switch (typeof value) {
+      case "undefined": return "no any";
+      case "string": return quote ? JSON.stringify(value) : value;
+      case "number": return String(value).replace(/^(-?\\d+)(?=e|$)/, "$1.0");
+      case "function": return "<function>";
+      case "object":
+      const { name, fields } = value.constructor.$shape;
+      if (!fields) return name;
+      const shapes = shape?.fields ?? fields;
+      return name + "(" + Object.values(value).map((field, i) => fields[i][0] + ": " + $format(field, shapes[i][1], true)).join(", ") + ")";
+      }
+      return String(value);
+      }
+      class Circle_1 {
+      static $shape = { name: "Shape.Circle", fields: [["r"]] };
+      constructor(r_2) {
+      this["r_2"] = r_2;
+      }
+      }
+      class Rect_3 {
+      static $shape = { name: "Shape.Rect", fields: [["w"], ["h"]] };
+      constructor(w_4,h_5) {
+      this["w_4"] = w_4;
+      this["h_5"] = h_5;
+      }
+      }
+      class Empty_6 {
+      static $shape = { name: "Shape.Empty" };
+      constructor() {
+      }
+      }
+      function area_7(s_8) {
+      return ((subject_9) => (subject_9 instanceof Circle_1) ? ((r_10) => ((3 * r_10) * r_10))(subject_9["r_2"]) : (subject_9 instanceof Rect_3) ? ((w_11) => (w_11 * w_11))(subject_9["w_4"]) : (() => 0)())(s_8);
+      }
+      let s_12 = new Rect_3(2, 1.5);
+      const subject_13 = s_12;
+      if (subject_13 instanceof Circle_1) {
+      console.log("circle");
+      } else if (subject_13 instanceof Rect_3) {
+      const w_14 = subject_13["w_4"];
+      console.log($format(w_14));
+      } else {
+      }
+      console.log($format(area_7(s_12)));
+    `,
+  },
+  {
+    name: "generics",
+    source: `
+      struct Pair<A, B> { first: A second: B }
+      function swap<A, B>(p: Pair<A, B>): Pair<B, A> { return Pair(p.second, p.first); }
+      print(swap(Pair(1, "one")).first);
+    `,
+    expected: dedent`
+      class Pair_1 {
+      static $shape = { name: "Pair", fields: [["first"], ["second"]] };
+      constructor(first_2,second_3) {
+      this["first_2"] = first_2;
+      this["second_3"] = second_3;
+      }
+      }
+      function swap_4(p_5) {
+      return new Pair_1((p_5["second_3"]), (p_5["first_2"]));
+      }
+      console.log((swap_4(new Pair_1(1n, "one"))["first_2"]));
+    `,
+  },
+  {
+    name: "lambdas",
+    source: `
+      let scale = 3;
+      let f = (x: int) => x * scale;
+      let g = (s: string): int => {
+        print(s);
+        return f(2);
+      };
+      let h = (x: int) => print(x);
+      h(g("go"));
+    `,
+    expected: dedent`
+      let scale_1 = 3n;
+      let f_2 = ((x_3) => (x_3 * scale_1));
+      let g_4 = ((s_5) => {
+      console.log(s_5);
+      return f_2(2n);
+      });
+      let h_6 = ((x_7) => {
+      console.log(String(x_7));
+      });
+      h_6(g_4("go"));
     `,
   },
 ]
@@ -219,8 +924,76 @@ const fixtures = [
 describe("The code generator", () => {
   for (const fixture of fixtures) {
     it(`produces expected js output for the ${fixture.name} program`, () => {
-      const actual = generate(optimize(analyze(parse(fixture.source))))
+      const actual = generate(optimize(analyze(parse(fixture.source))), fixture.options)
       assert.deepEqual(actual, fixture.expected)
     })
   }
+  it("maps generated statements and expressions back to the source", () => {
+    const source = "let x = 1;\nif x > 0 {\n  print(-x);\n}\nx = [2][0];\n"
+    const program = optimize(analyze(parse(source)))
+    const options = { filename: "f.carlos", source, unchecked: true }
+    const { code, map } = generateWithSourceMap(program, options)
+    assert.equal(code, generate(program, { unchecked: true }))
+    assert.equal(map.version, 3)
+    assert.equal(map.file, "f.js")
+    assert.deepEqual(map.sources, ["f.carlos"])
+    assert.deepEqual(map.sourcesContent, [source])
+    const sourceMap = new SourceMap(map)
+    const origin = (line, column) => {
+      const { originalLine, originalColumn } = sourceMap.findEntry(line, column)
+      return [originalLine, originalColumn]
+    }
+    // let x_1 = 1;
+    assert.deepEqual(origin(0, 0), [0, 0])
+    // if ((x_1 > 0)) {
+    assert.deepEqual(origin(1, 0), [1, 0])
+    assert.deepEqual(origin(1, 4), [1, 3])
+    // console.log(String(-(x_1)));
+    assert.deepEqual(origin(2, 0), [2, 2])
+    assert.deepEqual(origin(2, 19), [2, 8])
+    // x_1 = [2][0];
+    assert.deepEqual(origin(4, 0), [4, 0])
+    assert.deepEqual(origin(4, 6), [4, 4])
+  })
+  it("says where checks fail, mapping nothing to the helpers", () => {
+    const source = "let a = [1];\nprint(a[0]);"
+    const program = analyze(parse(source))
+    const { code, map } = generateWithSourceMap(program, { filename: "f.carlos" })
+    assert.match(code, /\$at\(a_1, 0n, "f\.carlos:2:7"\)/)
+    const helperLines = code.split("\n").findIndex(line => line.startsWith("let a_1"))
+    const sourceMap = new SourceMap(map)
+    assert.equal(sourceMap.findEntry(helperLines - 1, 0).originalLine, undefined)
+    assert.equal(sourceMap.findEntry(helperLines, 0).originalLine, 0)
+  })
+  it("maps the statements in the bodies of lambdas", () => {
+    const source =
+      "let f = (x: int): int => {\n  if x > 0 { print(x); }\n  return x;\n};\nf = f;"
+    const { code, map } = generateWithSourceMap(analyze(parse(source)), { source })
+    assert.equal(code.split("\n").length, map.mappings.split(";").length)
+    const sourceMap = new SourceMap(map)
+    const origin = (line, column) => {
+      const { originalLine, originalColumn } = sourceMap.findEntry(line, column)
+      return [originalLine, originalColumn]
+    }
+    // let f_1 = ((x_2) => {
+    assert.deepEqual(origin(0, 0), [0, 0])
+    assert.deepEqual(origin(0, 10), [0, 8])
+    // if ((x_2 > 0)) {
+    assert.deepEqual(origin(1, 0), [1, 2])
+    // console.log(x_2);
+    assert.deepEqual(origin(2, 0), [1, 13])
+    // }
+    // return x_2;
+    assert.deepEqual(origin(4, 0), [2, 2])
+    // });
+    // f_1 = f_1;
+    assert.deepEqual(origin(6, 0), [4, 0])
+  })
+
+  it("makes a source map without knowing the file", () => {
+    const { map } = generateWithSourceMap(analyze(parse("print(1);")))
+    assert.deepEqual(map.sources, [""])
+    assert.equal(map.sourcesContent, undefined)
+    assert.equal(map.mappings, "AAAA")
+  })
 })
@@ -0,0 +1,714 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import util from "node:util"
+import parse from "../src/parser.js"
+import analyze from "../src/analyzer.js"
+import optimize from "../src/optimizer.js"
+import generate from "../src/generator.js"
+import interpret from "../src/interpreter.js"
+
+function run(source) {
+  const lines = []
+  interpret(optimize(analyze(parse(source))), { write: line => lines.push(line) })
+  return lines
+}
+
+// Runs the generated JavaScript, capturing what it logs
+function runGenerated(source) {
+  const lines = []
+  const console = { log: (...args) => lines.push(util.format(...args)) }
+  new Function("console", generate(optimize(analyze(parse(source)))))(console)
+  return lines
+}
+
+// Programs whose output is the same whether interpreted or compiled to JS
+const fixtures = [
+  {
+    name: "arithmetic",
+    source: `
+      let x = 3 * 7;
+      x++;
+      x--;
+      print(x + 2 - 1);
+      print(2 ** 10 % 1000);
+      print(5.0 / 2.0);
+      print(-x);
+      print((5 & 3) | (8 ^ 1));
+      print(1 << 4 >> 2);
+      print(1.5e2 * π > 400.0);
+      let two = 2;
+      print(two ** 10 % 1000 - (two << 3 >> 1));
+    `,
+    expected: ["22", "24", "2.5", "-21", "9", "4", "true", "16"],
+  },
+  {
+    name: "relations and logic",
+    source: `
+      let t = true;
+      print(1 < 2 && 2 <= 2 && 3 > 2 && 3 >= 4);
+      print(1 == 1 || t != t);
+      print(!t);
+      print("abc" < "abd");
+      print(t ? "yes" : "no");
+      let one = 1;
+      print(one < 2 && one <= 2 && one > 0 && one >= 1 && one == 1 && one != 2);
+      print(one > 1 || one == 2);
+      print((one | 6) ^ (one & 3));
+    `,
+    expected: ["false", "true", "false", "true", "yes", "true", "false", "6"],
+  },
+  {
+    name: "strings",
+    source: `
+      print("hello" + ", " + "world");
+      print("tab\\there\\\\ \\"quoted\\"\\nnext line \\u{1F4A9}");
+      print(bytes("∞"));
+      print(codepoints("a💪"));
+    `,
+    expected: [
+      "hello, world",
+      'tab\there\\ "quoted"\nnext line 💩',
+      "[226, 136, 158]",
+      "[97, 128170]",
+    ],
+  },
+  {
+    name: "formatting",
+    source: `
+      struct P { x: float y: float }
+      struct Node { value: int next: Node? }
+      enum E { A, B(n: int, s: string) }
+      struct Box<T> { value: T }
+      function show(a: any) { print(a); }
+      print(P(1.0, 2.5));
+      print([[1.0], [-2.0, 1.5e30]]);
+      print([1.0e21, -2.0e21, 1.0e-7, 2.5e-7]);
+      print(some 3);
+      print(no [int]);
+      print(Node(1, some Node(2, no Node)));
+      print([E.A, E.B(1, "hi")]);
+      print([some "a", no string]);
+      print(Box(no int));
+      show(no int);
+      show([1.0]);
+      print(some [some 1]);
+      print(string(3) + string(2.0) + string("x") + string([no int]));
+      print((x: int) => x);
+    `,
+    expected: [
+      "P(x: 1.0, y: 2.5)",
+      "[[1.0], [-2.0, 1.5e+30]]",
+      "[1.0e+21, -2.0e+21, 1.0e-7, 2.5e-7]",
+      "some 3",
+      "no [int]",
+      "Node(value: 1, next: some Node(value: 2, next: no Node))",
+      '[E.A, E.B(n: 1, s: "hi")]',
+      '[some "a", no string]',
+      "Box(value: no int)",
+      "no any",
+      "[1.0]",
+      "some [some 1]",
+      "32.0x[no int]",
+      "<function>",
+    ],
+  },
+  {
+    name: "formatting generic structs",
+    source: `
+      struct Box<T> { v: T }
+      struct List<T> { head: T tail: List<T>? }
+      print(Box(some 1));
+      print([Box(no float)]);
+      print(Box(2));
+      print(List(some "a", some List(no string, no List<string?>)));
+    `,
+    expected: [
+      "Box(v: some 1)",
+      "[Box(v: no float)]",
+      "Box(v: 2)",
+      'List(head: some "a", tail: some List(head: no string, tail: no List<string?>))',
+    ],
+  },
+
+  {
+    name: "ifs",
+    source: `
+      for x in [0, 1, 2, 3] {
+        if x == 0 { print("zero"); }
+        else if x == 1 { print("one"); }
+        else { print("many"); }
+        if x < 2 { print("small"); } else { print("big"); }
+      }
+    `,
+    expected: ["zero", "small", "one", "small", "many", "big", "many", "big"],
+  },
+  {
+    name: "loops",
+    source: `
+      let i = 0;
+      while true {
+        i++;
+        if i > 3 { break; }
+      }
+      print(i);
+      repeat 2 { print("hi"); }
+      repeat 5 { print("once"); break; }
+      for j in 1..<3 { print(j); }
+      for j in 1...3 { if j == 2 { break; } print(j); }
+      for j in 2..<2 { print(j); }
+      for s in ["a", "b"] { print(s); }
+      for s in ["a", "b"] { break; }
+      while i < 0 {}
+    `,
+    expected: ["4", "hi", "hi", "once", "1", "2", "1", "a", "b"],
+  },
+  {
+    name: "equality",
+    source: `
+      struct P { x: float y: float }
+      enum E { A, B(n: int) }
+      let p = P(1.0, 2.0);
+      let q = P(1.0, 2.0);
+      print([p == q, p != q, p === q, p !== q, p === p]);
+      let o = some [p];
+      print([o == some [q], o == no [P], [[1], [2]] == [[1], [2]]]);
+      print([E.A == E.A, E.B(1) == E.B(1), E.B(1) != E.B(2), E.B(1) == E.A]);
+      let f = (x: int) => x;
+      let g = (x: int) => x;
+      print([f == f, f == g]);
+    `,
+    expected: [
+      "[true, false, false, true, true]",
+      "[true, false, true]",
+      "[true, true, true, false]",
+      "[true, false]",
+    ],
+  },
+  {
+    name: "labeled loops",
+    source: `
+      outer: for i in 0..<4 {
+        repeat 3 {
+          if i == 1 { continue outer; }
+          if i == 3 { break outer; }
+          print(i);
+          continue;
+        }
+      }
+      let n = 0;
+      scan: while n < 10 {
+        n++;
+        for x in [1, 2, 3] {
+          if x == 2 { continue scan; }
+          if n > 2 { break scan; }
+          print(n * 10 + x);
+        }
+      }
+    `,
+    expected: ["0", "0", "0", "2", "2", "2", "11", "21"],
+  },
+  {
+    name: "functions",
+    source: `
+      function fact(n: int): int {
+        return n <= 1 ? 1 : n * fact(n - 1);
+      }
+      function twice(f: (int)->int, x: int): int { return f(f(x)); }
+      function contains(a: [int], x: int): boolean {
+        for e in a { if e == x { return true; } }
+        while true { repeat 3 { for i in 0..<1 { return false; } } }
+        return false;
+      }
+      function greet() { print("hi"); return; }
+      print(fact(10));
+      print(twice(fact, 3));
+      print(contains([1, 2, 3], 2));
+      print(contains([1, 2, 3], 4));
+      greet();
+      let f = fact;
+      print([f, fact][1](4));
+    `,
+    expected: ["3628800", "720", "true", "false", "hi", "24"],
+  },
+  {
+    name: "closures",
+    source: `
+      let total = 0;
+      function counter(): ()->int {
+        let count = 0;
+        function next(): int { count++; total++; return count; }
+        return next;
+      }
+      const c1 = counter();
+      const c2 = counter();
+      let ignored = c1() + c1();
+      print(c1());
+      print(c2());
+      print(total);
+    `,
+    expected: ["3", "1", "4"],
+  },
+  {
+    name: "optionals",
+    source: `
+      let x = no int;
+      print(x ?? 2);
+      x = some 5;
+      print(x ?? 2);
+      struct S {y: int}
+      let s = some S(1);
+      print(s?.y);
+      s = no S;
+      print(s?.y);
+    `,
+    expected: ["some 2", "some 5", "some 1", "no int"],
+  },
+  {
+    name: "arrays",
+    source: `
+      let a = [[1, 2], [3]];
+      a[1][0] = 30;
+      a[0][1]++;
+      print(a);
+      print(#a[0]);
+      print([float]());
+      print(random [7, 7]);
+    `,
+    expected: ["[[1, 3], [30]]", "2", "[]", "7"],
+  },
+  {
+    name: "structs",
+    source: `
+      struct P { x: float y: float }
+      struct Line { a: P b: P }
+      struct Counter { n: int }
+      let l = Line(P(0.0, 0.0), P(3.0, 4.0));
+      l.b.x = 6.0;
+      print(hypot(l.b.x - l.a.x, l.b.y - l.a.y));
+      let c = Counter(0);
+      c.n++;
+      c.n++;
+      c.n--;
+      print(c.n);
+    `,
+    expected: ["7.211102550927979", "1"],
+  },
+  {
+    name: "standard library",
+    source: `
+      let x = 0.5;
+      print(sin(x) - cos(x) + exp(x) * ln(x) / hypot(2.3, x));
+    `,
+    expected: ["-0.883688980088412"],
+  },
+  {
+    name: "more of the standard library",
+    source: `
+      print([sqrt(16.0), abs(-2.5), floor(2.7), min(1.0, 2.0), max(1.0, 2.0)]);
+      print(atan2(1.0, 1.0) * 4.0 == π);
+      print([toFloat(3)]);
+      print([truncate(-2.7), round(2.5), length("a💪b")]);
+      print(substring("a💪bcd", 1, 3));
+      print([indexOf("a💪bcd", "b"), indexOf("abc", "z")]);
+      print(join(split("a,b,c", ","), "-"));
+      print(toUpper(trim("  hi  ")));
+      print([parseInt(" -42 "), parseInt("4x")]);
+      let a = [3, 1, 2];
+      push(a, 0);
+      print([pop(a), pop([int]())]);
+      print([a, slice(a, 1, 2), reverse(a), sort(a)]);
+      print(sort(["b", "a", "b"]));
+    `,
+    expected: [
+      "[4.0, 2.5, 2.0, 1.0, 2.0]",
+      "true",
+      "[3.0]",
+      "[-2, 3, 3]",
+      "💪b",
+      "[2, -1]",
+      "a-b-c",
+      "HI",
+      "[some -42, no int]",
+      "[some 0, no int]",
+      "[[3, 1, 2], [1], [2, 1, 3], [1, 2, 3]]",
+      '["a", "b", "b"]',
+    ],
+  },
+  {
+    name: "higher-order functions",
+    source: `
+      let a = [1, 2, 3, 4];
+      function even(n: int): boolean { return n % 2 == 0; }
+      print(map(a, (x: int) => x * x));
+      print(filter(a, even));
+      print(reduce(a, (s: int, x: int) => s + x, 0));
+      print(reduce(a, (s: string, x: int) => s + string(x), ""));
+      print([any(a, even), any([1, 3], even), all(a, even), all([2], even)]);
+      print([find(a, (x: int) => x > 2), find(a, (x: int) => x > 5)]);
+      print(reduce([1.0, 5.0, 2.0], max, 0.0));
+      print(map(["a", "b"], toUpper));
+      let show = print;
+      show(map([[1], [2, 3]], (x: [int]) => reverse(x)));
+      print(map([1.5], string));
+    `,
+    expected: [
+      "[1, 4, 9, 16]",
+      "[2, 4]",
+      "10",
+      "1234",
+      "[true, false, false, true]",
+      "[some 3, no int]",
+      "5.0",
+      '["A", "B"]',
+      "[[1], [3, 2]]",
+      '["1.5"]',
+    ],
+  },
+  {
+    name: "if let and while let",
+    source: `
+      function lookup(a: [string], s: string): int? {
+        for i in 0..<#a { if a[i] == s { return some i; } }
+        return no int;
+      }
+      let names = ["x", "y"];
+      if let i = lookup(names, "y") { print(i); } else { print("none"); }
+      if let i = lookup(names, "z") { print(i); } else if let j = lookup(names, "x") {
+        print(j - 1);
+      }
+      if false { print(0); } else if let i = lookup(names, "q") { print(i); } else {
+        print("neither");
+      }
+      if let i = lookup(names, "q") { print(i); }
+      let stack = [1, 2, 3, 4];
+      let fs = [() => 0];
+      outer: while let x = pop(stack) {
+        push(fs, () => x);
+        if x == 3 { continue outer; }
+        if x == 2 { break; }
+        print(x);
+      }
+      print(map(fs, (f: () -> int) => f()));
+      function first(a: [int]): int {
+        while let x = pop(a) { return x; }
+        return 0;
+      }
+      print([first([5]), first([int]())]);
+    `,
+    expected: ["1", "-1", "neither", "4", "[0, 4, 3, 2]", "[5, 0]"],
+  },
+  {
+    name: "optional subscripts and calls",
+    source: `
+      struct P { x: int }
+      let points = some [P(1), P(2)];
+      let none = no [P];
+      function index(i: int): int { print("index"); return i; }
+      print([points?[1]?.x, none?[index(0)]?.x]);
+      let double = some (n: int) => n * 2;
+      let nothing = no (int)->int;
+      print([double?(21), nothing?(index(1))]);
+      let log = some (s: string) => print(s);
+      log?("logged");
+      let a = [1];
+      let popper = some () => pop(a);
+      popper?();
+      print(a);
+    `,
+    expected: ["[some 2, no int]", "[some 42, no int]", "logged", "[]"],
+  },
+  {
+    name: "type aliases",
+    source: `
+      struct Point { x: float y: float }
+      type Points = [Point];
+      type Transform = (Point)->Point;
+      function apply(ps: Points, t: Transform): Points { return map(ps, t); }
+      function nothing(): Points? { return no Points; }
+      print(apply([Point(1.0, 2.0)], (p: Point) => Point(p.y, p.x)));
+      print(nothing());
+    `,
+    expected: ["[Point(x: 2.0, y: 1.0)]", "no Points"],
+  },
+  {
+    name: "methods",
+    source: `
+      struct Point {
+        x: float
+        y: float
+        function norm(): float { return hypot(self.x, self.y); }
+        function distanceTo(q: Point): float { return Point(q.x - self.x, q.y - self.y).norm(); }
+        function moveBy(dx: float) { self.x = self.x + dx; }
+      }
+      struct Box<T> {
+        value: T
+        function get(): T { return self.value; }
+        function map<U>(f: (T)->U): Box<U> { return Box(f(self.value)); }
+      }
+      function scaler(k: int): (int)->int {
+        struct Scale { n: int function apply(): int { return self.n * k; } }
+        return (n: int) => Scale(n).apply();
+      }
+      let p = Point(3.0, 4.0);
+      print(p.norm());
+      print(p.distanceTo(Point(9.0, 12.0)));
+      p.moveBy(1.0);
+      print(p);
+      print(p == Point(4.0, 4.0));
+      let here = some Point(0.0, 2.0);
+      let nowhere = no Point;
+      print(here?.norm());
+      print(nowhere?.norm());
+      nowhere?.moveBy(1.0);
+      const norm = p.norm;
+      p.moveBy(-4.0);
+      print(norm());
+      print(Box(20).map((n: int) => n + 1).get() * 2);
+      print(scaler(3)(5));
+    `,
+    expected: [
+      "5.0",
+      "10.0",
+      "Point(x: 4.0, y: 4.0)",
+      "true",
+      "some 2.0",
+      "no float",
+      "4.0",
+      "42",
+      "15",
+    ],
+  },
+  {
+    name: "interfaces",
+    source: `
+      interface Shape {
+        name: string
+        function area(): float;
+        function scaled(k: float): Shape;
+      }
+      struct Square {
+        name: string
+        side: float
+        function area(): float { return self.side * self.side; }
+        function scaled(k: float): Square { return Square(self.name, self.side * k); }
+      }
+      struct Rect {
+        name: string
+        width: float
+        height: float
+        function area(): float { return self.width * self.height; }
+        function scaled(k: float): Rect {
+          return Rect(self.name, self.width * k, self.height * k);
+        }
+      }
+      function blob(size: float): Shape {
+        struct Blob {
+          name: string
+          function area(): float { return size; }
+          function scaled(k: float): Shape { return blob(size * k); }
+        }
+        return Blob("blob");
+      }
+      let shapes = [Shape]();
+      push(shapes, Square("square", 2.0));
+      push(shapes, Rect("rect", 2.0, 3.0));
+      push(shapes, blob(5.0));
+      for s in shapes { print("\${s.name}: \${s.scaled(2.0).area()}"); }
+      print(map(shapes, (s: Shape) => s.area()));
+      let first = shapes[0];
+      first.name = "renamed";
+      print(shapes[0]);
+      print(pop(shapes)?.area());
+    `,
+    expected: [
+      "square: 16.0",
+      "rect: 24.0",
+      "blob: 10.0",
+      "[4.0, 6.0, 5.0]",
+      'Square(name: "renamed", side: 2.0)',
+      "some 5.0",
+    ],
+  },
+  {
+    name: "interpolation",
+    source: `
+      let name = "Ray";
+      let age = 30;
+      let x = 2.0;
+      print("Hello, \${name}! You are \${age} years old");
+      print("x is \${x}, array \${[1, 2]}, opt \${some age}, none \${no int}");
+      print("const \${1 + 2} and \${true} and \${"q\\"uote"}");
+      print("nested \${"inner \${name}"} ok");
+      print("dollars $\${age} \\\${not} \${"$"}{age}");
+      print("a\${"b"}c\${x}d");
+    `,
+    expected: [
+      "Hello, Ray! You are 30 years old",
+      "x is 2.0, array [1, 2], opt some 30, none no int",
+      'const 3 and true and q"uote',
+      "nested inner Ray ok",
+      "dollars $30 ${not} ${age}",
+      "abc2.0d",
+    ],
+  },
+  {
+    name: "enums",
+    source: `
+      enum List { Nil, Cons(head: int, tail: List) }
+      function sum(l: List): int {
+        return match l { Nil => 0, Cons(h, t) => h + sum(t) };
+      }
+      let l = List.Cons(1, List.Cons(2, List.Cons(3, List.Nil)));
+      print(sum(l));
+      while true {
+        match l {
+          Cons(h, t) => { print(h); l = t; }
+          _ => { break; }
+        }
+      }
+      print(match List.Nil { Cons(_, _) => "cons", Nil => "nil" });
+    `,
+    expected: ["6", "1", "2", "3", "nil"],
+  },
+  {
+    name: "generics",
+    source: `
+      struct Pair<A, B> { first: A second: B }
+      function first<T>(a: [T]): T? {
+        for x in a { return some x; }
+        return no T;
+      }
+      function apply<T, U>(f: (T)->U, x: T): U { return f(x); }
+      function double(x: int): int { return x * 2; }
+      let p = Pair("one", first([2, 3]));
+      print(p.first + "!");
+      print(p.second ?? 0);
+      print(apply(double, 21));
+      print(first([int]()) ?? -1);
+    `,
+    expected: ["one!", "some 2", "42", "some -1"],
+  },
+  {
+    name: "closures",
+    source: `
+      function counter(): ()->int {
+        let count = 0;
+        return (): int => {
+          count++;
+          return count;
+        };
+      }
+      let next = counter();
+      let other = counter();
+      print(next() + next() + next());
+      print(other());
+      let base = 10;
+      let add = (x: int) => x + base;
+      base = 100;
+      print(add(1));
+      let twice = (f: (int)->int, x: int) => f(f(x));
+      print(twice((x: int) => x * 3, 2));
+      let greet = (name: string) => print("hi " + name);
+      greet("carlos");
+    `,
+    expected: ["6", "1", "101", "18", "hi carlos"],
+  },
+  {
+    name: "integers",
+    source: `
+      let seven = 7;
+      let two = 2;
+      print(seven / two);
+      print(-seven / two);
+      print(seven % -two);
+      print(-seven % two);
+      print(-seven >> 1);
+      print(two ** 64);
+      print(2 ** 64 - 1);
+      print(9007199254740993 + seven - 7);
+      print(7 / 2 + -7 % 2);
+      print([seven, two ** 70]);
+    `,
+    expected: [
+      "3",
+      "-3",
+      "1",
+      "-1",
+      "-4",
+      "18446744073709551616",
+      "18446744073709551615",
+      "9007199254740993",
+      "2",
+      "[7, 1180591620717411303424]",
+    ],
+  },
+]
+
+describe("The interpreter", () => {
+  for (const fixture of fixtures) {
+    it(`runs the ${fixture.name} program`, () => {
+      assert.deepEqual(run(fixture.source), fixture.expected)
+    })
+    it(`agrees with the generated code on the ${fixture.name} program`, () => {
+      assert.deepEqual(run(fixture.source), runGenerated(fixture.source))
+    })
+  }
+  it("shows struct objects with their field names", () => {
+    assert.deepEqual(run("struct S {x: int} print(S(2));"), ["S(x: 2)"])
+  })
+  it("shows functions as functions", () => {
+    assert.deepEqual(run("function f() {} print(f);"), ["<function>"])
+  })
+  it("divides integers without a fractional part", () => {
+    assert.deepEqual(run("print(7 / 2); print(-7 / 2);"), ["3", "-3"])
+  })
+  it("fails checks the way the generated code does, saying where", () => {
+    const failures = [
+      ["let z = 0;\nprint(1 / z);", "Division by zero at line 2, column 7"],
+      ["print(1 % 0);", "Division by zero at line 1, column 7"],
+      ["let n = -1;\nprint(2 ** n);", "Negative exponent at line 2, column 7"],
+      ["print(1 ** -1);", "Negative exponent at line 1, column 7"],
+      ["let a = [1];\nprint(a[1]);", "Index out of bounds at line 2, column 7"],
+      ["let a = [1];\nprint(a[-1]);", "Index out of bounds at line 2, column 7"],
+      ["let a = [1];\na[1] = 2;", "Index out of bounds at line 2, column 1"],
+      ["let a = [1];\na[5]++;", "Index out of bounds at line 2, column 1"],
+      ["let a = [1];\na[5]--;", "Index out of bounds at line 2, column 1"],
+      ["let a = some [1];\nprint(a?[1]);", "Index out of bounds at line 2, column 7"],
+      ["print(random [int]());", "Random element of an empty array at line 1, column 7"],
+      [
+        "let z = 0.0;\nprint(truncate(1.0 / z));",
+        "Infinite or NaN float at line 2, column 7",
+      ],
+      ["let z = 0.0;\nprint(round(z / z));", "Infinite or NaN float at line 2, column 7"],
+      [
+        "let z = 0.0;\nprint(map([z / z], round));",
+        "Infinite or NaN float at line 2, column 7",
+      ],
+      [
+        "let f = truncate;\nprint(f(-1.0 / 0.0));",
+        "Infinite or NaN float at line 1, column 1",
+      ],
+      [
+        "let g = (x: float) => round;\nprint(g(0.0)(1.0 / 0.0));",
+        "Infinite or NaN float at line 1, column 9",
+      ],
+    ]
+    for (const [source, message] of failures) {
+      const error = { name: "CarlosError", message }
+      assert.throws(() => run(source), error)
+      assert.throws(() => runGenerated(source), error)
+    }
+  })
+  it("names the file of the program in failed checks", () => {
+    const program = analyze(parse("let a = [int]();\nprint(a[0]);"))
+    assert.throws(() => interpret(program, { filename: "f.carlos" }), {
+      message: "Index out of bounds at f.carlos:2:7",
+    })
+  })
+  it("runs unoptimized programs too", () => {
+    const lines = []
+    const program = analyze(parse("if true { print(1 + 2); }"))
+    interpret(program, { write: line => lines.push(line) })
+    assert.deepEqual(lines, ["3"])
+  })
+})
@@ -0,0 +1,219 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import parse from "../src/parser.js"
+import analyze from "../src/analyzer.js"
+import lint from "../src/linter.js"
+
+function warnings(source) {
+  return lint(analyze(parse(source)), source)
+}
+
+// Programs with the code, line, and column of each warning expected
+const fixtures = [
+  ["nothing amiss", "let x = 1;\nprint(x);", []],
+  ["an unused variable", "let x = 1;", [["unused-variable", 1, 5]]],
+  [
+    "a variable only assigned to",
+    "let x = 1;\nx = 2;\nx++;\nx--;",
+    [["unused-variable", 1, 5]],
+  ],
+  ["storing into an element", "let a = [1];\na[0] = 2;\na[0]++;\na[0]--;", []],
+  ["storing into a field", "struct S { x: int }\nlet s = S(1);\ns.x = 2;", []],
+  ["an unused parameter", "function f(x: int) {}\nf(1);", [["unused-parameter", 1, 12]]],
+  [
+    "an unused lambda parameter",
+    "const g = (x: int) => 1;\nprint(g(2));",
+    [["unused-parameter", 1, 12]],
+  ],
+  [
+    "a lambda with a block",
+    "const g = (x: int): int => { return x; };\nprint(g(2));",
+    [],
+  ],
+  ["an unused function", "function f() {}", [["unused-function", 1, 10]]],
+  [
+    "a function used only by itself",
+    "function f(n: int): int { return f(n); }",
+    [["unused-function", 1, 10]],
+  ],
+  ["an unused struct", "struct S { x: int }", [["unused-type", 1, 8]]],
+  ["a struct used only by itself", "struct S { next: S? }", [["unused-type", 1, 8]]],
+  [
+    "a struct used in a signature",
+    "struct S { x: int }\nfunction f(s: S): int { return s.x; }\nprint(f(S(1)));",
+    [],
+  ],
+  ["a generic struct", "struct Box<T> { value: T }\nprint(Box(1).value);", []],
+  [
+    "exports",
+    "export let x = 1;\nexport function f() {}\nexport struct S { x: int }",
+    [],
+  ],
+  [
+    "a struct used only by its methods",
+    "struct S { x: int function f(): S { return S(self.x); } }",
+    [["unused-type", 1, 8]],
+  ],
+  [
+    "methods, used or not",
+    "struct S { function f(x: int) {} function g() { return; print(1); } }\nprint(S());",
+    [
+      ["unused-parameter", 1, 23],
+      ["unreachable-code", 1, 57],
+    ],
+  ],
+  ["unused enums", "enum E { A, B }", []],
+  ["an unused interface", "interface I { x: int }", []],
+  [
+    "a struct used only by an interface",
+    "struct S { x: int }\ninterface I { s: S function f(): S; }",
+    [],
+  ],
+  ["an unused type alias", "struct S { x: int }\ntype T = [S];", []],
+  [
+    "an unused binding",
+    "enum E { A(x: int), B }\nmatch E.B { A(y) => {} B => {} }",
+    [["unused-variable", 2, 15]],
+  ],
+  [
+    "a wildcard binding",
+    "enum E { A(x: int), B }\nprint(match E.B { A(_) => 1, B => 2 });",
+    [],
+  ],
+  [
+    "an unused loop iterator",
+    "for i in 0..<3 { print(0); }",
+    [["unused-variable", 1, 5]],
+  ],
+  ["a declaration in a repeat", "repeat 2 { let y = 1; }", [["unused-variable", 1, 16]]],
+  [
+    "unused if let variables",
+    "let o = some 1;\nif let x = o { } else if let y = o { print(y); } else { }\nif let z = o { }",
+    [
+      ["unused-variable", 2, 8],
+      ["unused-variable", 3, 8],
+    ],
+  ],
+  [
+    "an unused while let variable",
+    "let a = [1];\nwhile let x = pop(a) { print(a); }",
+    [["unused-variable", 2, 11]],
+  ],
+  [
+    "a shadowing if let",
+    "let x = some 1;\nif let x = x { print(x); }",
+    [["shadowing", 2, 8]],
+  ],
+  [
+    "code after a return",
+    "function f(): int {\n  return 1;\n  print(2);\n}\nprint(f());",
+    [["unreachable-code", 3, 3]],
+  ],
+  [
+    "code after a short return",
+    "function f() {\n  return;\n  print(2);\n  print(3);\n}\nf();",
+    [["unreachable-code", 3, 3]],
+  ],
+  [
+    "code after a break",
+    "let go = true;\nwhile go {\n  break;\n  go = false;\n}",
+    [["unreachable-code", 4, 3]],
+  ],
+  [
+    "code after a continue",
+    "while true {\n  continue;\n  print(1);\n}",
+    [["unreachable-code", 3, 3]],
+  ],
+  [
+    "a shadowing iterator",
+    "let x = [1];\nfor x in x { print(x); }",
+    [["shadowing", 2, 5]],
+  ],
+  [
+    "shadowing the standard library",
+    "for π in [1.0] { print(π); }",
+    [["shadowing", 1, 5]],
+  ],
+  ["a constant if", "if 1 < 2 { print(1); }", [["constant-condition", 1, 1]]],
+  [
+    "a constant if with an else",
+    "if !true { print(1); } else { print(2); }",
+    [["constant-condition", 1, 1]],
+  ],
+  [
+    "a constant else if",
+    "let b = true;\nif b { print(1); } else if false { print(2); }",
+    [["constant-condition", 2, 25]],
+  ],
+  ["a constant while", "while 1 == 2 { print(1); }", [["constant-condition", 1, 1]]],
+  ["a constant conditional", "print(true ? 1 : 2);", [["constant-condition", 1, 7]]],
+  ["looping forever", "while true { break; }", []],
+  ["a random condition", "if random [true, false] { print(1); }", []],
+  ["a condition that fails", "if 1 / 0 == 1 { print(1); }", []],
+  ["a condition with a variable", "let y = 1;\nif 1 < y { print(y); }", []],
+  ["a self-assignment", "let x = 1;\nx = x;", [["self-assignment", 2, 1]]],
+  ["an element assigned to itself", "let a = [1];\na[0] = a[0];", []],
+  [
+    "several warnings",
+    "let a = 1;\nfunction f() {}\nlet b = 2;",
+    [
+      ["unused-variable", 1, 5],
+      ["unused-function", 2, 10],
+      ["unused-variable", 3, 5],
+    ],
+  ],
+  ["a suppression of everything", "let x = 1; // lint-ignore", []],
+  [
+    "a suppression of the next line",
+    "// lint-ignore unused-variable\nlet x = 1;\nlet y = 2;",
+    [["unused-variable", 3, 5]],
+  ],
+  [
+    "a suppression of other codes",
+    "let x = 1; // lint-ignore shadowing",
+    [["unused-variable", 1, 5]],
+  ],
+  [
+    "a suppression of several codes",
+    "let x = 1; // lint-ignore shadowing, unused-variable",
+    [],
+  ],
+]
+
+describe("The linter", () => {
+  for (const [scenario, source, expected] of fixtures) {
+    it(`warns as expected about ${scenario}`, () => {
+      const actual = warnings(source).map(w => [w.code, w.line, w.column])
+      assert.deepEqual(actual, expected)
+    })
+  }
+  it("gives warnings the severity, offsets, and excerpt of diagnostics", () => {
+    const [warning] = warnings("let x = 1;\nlet yyy = 1;\nprint(x);")
+    assert.deepEqual(
+      { ...warning, text: undefined },
+      {
+        severity: "warning",
+        code: "unused-variable",
+        message: "Variable yyy is never used",
+        line: 2,
+        column: 5,
+        start: 15,
+        end: 18,
+        text: undefined,
+      }
+    )
+    assert.equal(
+      warning.text,
+      "Line 2, col 5:\n  1 | let x = 1;\n> 2 | let yyy = 1;\n          ^~~\n  3 | print(x);\n" +
+        "Variable yyy is never used (unused-variable)"
+    )
+  })
+  it("excerpts the first line of a long statement, padding the line numbers", () => {
+    const source = `${"print(1);\n".repeat(8)}while false {\n  print(2);\n}`
+    assert.equal(
+      warnings(source)[0].text,
+      "Line 9, col 1:\n   8 | print(1);\n>  9 | while false {\n       ^~~~~~~~~~~~~\n  10 |   print(2);\n" +
+        "Condition is always false (constant-condition)"
+    )
+  })
+})
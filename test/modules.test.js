@@ -0,0 +1,156 @@
+import { describe, it, after } from "node:test"
+import assert from "node:assert/strict"
+import * as fs from "node:fs"
+import * as os from "node:os"
+import * as path from "node:path"
+import parse from "../src/parser.js"
+import loadModules from "../src/modules.js"
+
+// Writes the files of a project into a new directory, returning its path
+const directories = []
+function project(files) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "carlos-"))
+  directories.push(directory)
+  for (const [name, source] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(directory, name)), { recursive: true })
+    fs.writeFileSync(path.join(directory, name), source)
+  }
+  return directory
+}
+
+function load(directory, filename) {
+  const file = path.join(directory, filename)
+  return loadModules(parse(fs.readFileSync(file, "utf8")), { filename: file })
+}
+
+// The diagnostics thrown when loading, with just what the tests look at
+function problems(directory, filename) {
+  try {
+    load(directory, filename)
+  } catch (error) {
+    return error.diagnostics.map(({ message, filename }) => ({
+      message,
+      filename: filename && path.relative(directory, filename),
+    }))
+  }
+  assert.fail("No errors were thrown")
+}
+
+describe("The module loader", () => {
+  after(() => {
+    for (const directory of directories) fs.rmSync(directory, { recursive: true })
+  })
+  it("loads every module once, after the modules it imports", () => {
+    const directory = project({
+      "main.carlos":
+        'import { a } from "./a.carlos";\nimport { b } from "./b.carlos";\nprint(a + b);',
+      "a.carlos": 'import { c } from "./c.carlos";\nexport const a = c + 1;',
+      "b.carlos": 'import { c } from "./c.carlos";\nexport const b = c * 2;',
+      "c.carlos": "export const c = 10;",
+    })
+    const modules = load(directory, "main.carlos")
+    assert.deepEqual(
+      modules.map(module => path.relative(directory, module.filename)),
+      ["c.carlos", "a.carlos", "b.carlos", "main.carlos"]
+    )
+    assert.equal(modules[0].source, "export const c = 10;")
+    // Both importers of c have the very same entity
+    const [, a, b] = modules
+    assert.equal(a.program.statements[0].entities[0], b.program.statements[0].entities[0])
+  })
+  it("resolves paths relative to the importing module", () => {
+    const directory = project({
+      "app/main.carlos": 'import { f } from "../lib/f.carlos";\nprint(f());',
+      "lib/f.carlos":
+        'import { g } from "./util/g.carlos";\nexport function f(): int { return g(); }',
+      "lib/util/g.carlos": "export function g(): int { return 1; }",
+    })
+    assert.deepEqual(
+      load(directory, "app/main.carlos").map(m => path.relative(directory, m.filename)),
+      ["lib/util/g.carlos", "lib/f.carlos", "app/main.carlos"]
+    )
+  })
+  it("names modules the way the program's file is named", () => {
+    const directory = project({
+      "main.carlos": 'import { x } from "./x.carlos";\nprint(x);',
+      "x.carlos": "export const x = 1;",
+    })
+    const relative = path.relative(process.cwd(), path.join(directory, "main.carlos"))
+    const source = 'import { x } from "./x.carlos";\nprint(x);'
+    const [x] = loadModules(parse(source), { filename: relative })
+    assert.equal(x.filename, path.join(path.dirname(relative), "x.carlos"))
+  })
+  it("reports cycles of imports", () => {
+    const directory = project({
+      "main.carlos": 'import { a } from "./a.carlos";\nprint(a());',
+      "a.carlos": 'import { b } from "./b.carlos";\nexport function a() {}',
+      "b.carlos": 'import { a } from "./a.carlos";\nexport function b() {}',
+    })
+    const cycle = ["a.carlos", "b.carlos", "a.carlos"].map(f => path.join(directory, f))
+    assert.deepEqual(problems(directory, "main.carlos"), [
+      { message: `Import cycle: ${cycle.join(" -> ")}`, filename: "b.carlos" },
+    ])
+  })
+  it("reports a program importing itself as a cycle", () => {
+    const directory = project({
+      "main.carlos": 'import { f } from "./main.carlos";\nf();',
+    })
+    assert.match(problems(directory, "main.carlos")[0].message, /^Import cycle: /)
+  })
+  it("reports modules that can't be found", () => {
+    const directory = project({ "main.carlos": 'import { f } from "./f.carlos";\nf();' })
+    assert.deepEqual(problems(directory, "main.carlos"), [
+      { message: "Module ./f.carlos not found", filename: undefined },
+    ])
+  })
+  it("reports the errors of every module, saying which module they are in", () => {
+    const directory = project({
+      "main.carlos":
+        'import { s } from "./syntax.carlos";\nimport { t } from "./types.carlos";\nprint(s + t + u);',
+      "syntax.carlos": "export const s = ;",
+      "types.carlos": "export const t = 1 + true;",
+    })
+    const [syntaxError, ...others] = problems(directory, "main.carlos")
+    assert.match(syntaxError.message, /^Expected/)
+    assert.equal(syntaxError.filename, "syntax.carlos")
+    assert.deepEqual(others, [
+      { message: "Operands do not have the same type", filename: "types.carlos" },
+      { message: "Identifier u not declared", filename: undefined },
+    ])
+  })
+  it("passes on the warnings of every module, saying which module they are in", () => {
+    const directory = project({
+      "main.carlos": 'import { f } from "./f.carlos";\nlet unused = f();',
+      "f.carlos": "function g() {}\nexport function f(): int { return 1; }",
+    })
+    const warnings = []
+    const file = path.join(directory, "main.carlos")
+    loadModules(parse(fs.readFileSync(file, "utf8")), {
+      filename: file,
+      warn: ({ code, filename }) => warnings.push([code, filename]),
+    })
+    assert.deepEqual(warnings, [
+      ["unused-function", path.join(directory, "f.carlos")],
+      ["unused-variable", undefined],
+    ])
+  })
+  it("throws warnings along with errors, but lints only modules without errors", () => {
+    const directory = project({
+      "main.carlos": 'import { f } from "./f.carlos";\nlet unused = f() + true;',
+      "f.carlos": "function g() {}\nexport function f(): int { return 1; }",
+    })
+    assert.deepEqual(problems(directory, "main.carlos"), [
+      { message: "Function g is never used", filename: "f.carlos" },
+      { message: "Operands do not have the same type", filename: undefined },
+    ])
+  })
+  it("loads programs not in files, which can't import", () => {
+    const [module] = loadModules(parse("print(1);"))
+    assert.equal(module.filename, undefined)
+    assert.equal(module.program.kind, "Program")
+    assert.throws(
+      () => loadModules(parse('import { f } from "./f.carlos";\nf();')),
+      /Modules can only be imported by programs in files/
+    )
+  })
+})
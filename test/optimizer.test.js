@@ -8,6 +8,9 @@ const x = core.variable("x", false, core.intType)
 const a = core.variable("a", false, core.arrayType(core.intType))
 const xpp = core.increment(x)
 const xmm = core.decrement(x)
+const outer = core.label("outer")
+const continueOuter = () => core.labeled(core.continueStatement(), outer)
+const labeledLoop = (...body) => core.labeled(core.whileStatement(x, body), outer)
 const return1p1 = core.returnStatement(core.binary("+", 1, 1, core.intType))
 const return2 = core.returnStatement(2)
 const returnX = core.returnStatement(x)
@@ -30,6 +33,22 @@ const unwrapElse = (o, e) => core.binary("??", o, e)
 const emptyOptional = core.emptyOptional(core.intType)
 const some = x => core.unary("some", x)
 const program = core.program
+const E = core.enumType("E", [])
+const A = core.variant("A", [core.field("n", core.intType)], E)
+const B = core.variant("B", [], E)
+E.variants = [A, B]
+const n = core.variable("n", true, core.intType)
+const maybeX = core.variable("maybeX", false, core.optionalType(core.intType))
+const makeA = v => core.constructorCall(A, [v], E)
+const arm = core.matchArm
+const lambda = (body, returnType = core.intType) =>
+  core.lambda([], body, core.functionType([], returnType))
+const S = core.structType("S", [])
+const get = core.method("get", voidInt)
+const self = core.variable("self", true, S)
+const withGet = body =>
+  core.typeDeclaration(S, [core.methodDeclaration(get, self, [], [body])])
+const callGet = object => core.functionCall(core.methodExpression(object, ".", get), [])
 
 const tests = [
   ["folds +", core.binary("+", 5, 8), 13],
@@ -43,6 +62,21 @@ const tests = [
   ["folds !=", core.binary("!=", 5, 8), true],
   ["folds >=", core.binary(">=", 5, 8), false],
   ["folds >", core.binary(">", 5, 8), false],
+  ["folds int / truncating", core.binary("/", 7n, -2n), -3n],
+  ["folds %", core.binary("%", -7n, 2n), -1n],
+  ["folds <<", core.binary("<<", 1n, 70n), 1180591620717411303424n],
+  ["folds >>", core.binary(">>", -7n, 1n), -4n],
+  ["folds &", core.binary("&", 6n, 3n), 2n],
+  ["folds |", core.binary("|", 6n, 3n), 7n],
+  ["folds ^", core.binary("^", 6n, 3n), 5n],
+  ["folds float division by zero", core.binary("/", 1, 0), Infinity],
+  ["keeps int division by zero", core.binary("/", 1n, 0n), core.binary("/", 1n, 0n)],
+  ["keeps int remainder by zero", core.binary("%", 1n, 0n), core.binary("%", 1n, 0n)],
+  [
+    "keeps negative int exponents",
+    core.binary("**", 2n, -1n),
+    core.binary("**", 2n, -1n),
+  ],
   ["optimizes +0", core.binary("+", x, 0), x],
   ["optimizes -0", core.binary("-", x, 0), x],
   ["optimizes *1", core.binary("*", x, 1), x],
@@ -54,6 +88,16 @@ const tests = [
   ["optimizes 0-", core.binary("-", 0, x), neg(x)],
   ["optimizes 1*", core.binary("*", 1, x), x],
   ["folds negation", core.unary("-", 8), -8],
+  ["folds int negation", core.unary("-", 8n), -8n],
+  ["optimizes int +0", core.binary("+", x, 0n), x],
+  ["optimizes int /1", core.binary("/", x, 1n), x],
+  ["optimizes int *0", core.binary("*", x, 0n), 0n],
+  ["optimizes int 0*", core.binary("*", 0n, x), 0n],
+  ["optimizes int 0-", core.binary("-", 0n, x), neg(x)],
+  ["optimizes int **0", core.binary("**", x, 0n), 1n],
+  ["keeps int 0/", core.binary("/", 0n, x), core.binary("/", 0n, x)],
+  ["keeps int 1**", core.binary("**", 1n, x), core.binary("**", 1n, x)],
+  ["optimizes int 1** a length", core.binary("**", 1n, core.unary("#", a)), 1n],
   ["optimizes 1**", core.binary("**", 1, x), 1],
   ["optimizes **0", core.binary("**", x, 0), 1],
   ["removes left false from ||", or(false, less(x, 1)), less(x, 1)],
@@ -70,6 +114,81 @@ const tests = [
   ["optimizes while-false", program([core.whileStatement(false, [xpp])]), program([])],
   ["optimizes repeat-0", program([core.repeatStatement(0, [xpp])]), program([])],
   ["optimizes for-range", core.forRangeStatement(x, 5, "...", 3, [xpp]), []],
+  [
+    "optimizes if-let on some",
+    core.ifLetStatement(n, some(onePlusTwo), [xpp], [xmm]),
+    [core.variableDeclaration(n, 3), xpp],
+  ],
+  ["optimizes if-let on no", core.ifLetStatement(n, emptyOptional, [xpp], [xmm]), [xmm]],
+  [
+    "optimizes if-let on no with an else if",
+    core.ifLetStatement(n, emptyOptional, [], core.shortIfStatement(true, [xmm])),
+    [xmm],
+  ],
+  [
+    "optimizes short-if-let on some",
+    core.shortIfLetStatement(n, some(x), [xpp]),
+    [core.variableDeclaration(n, x), xpp],
+  ],
+  ["optimizes short-if-let on no", core.shortIfLetStatement(n, emptyOptional, [xpp]), []],
+  ["optimizes while-let on no", core.whileLetStatement(n, emptyOptional, [xpp]), []],
+  [
+    "optimizes while-let on some",
+    core.labeled(core.whileLetStatement(n, some(x), [continueOuter()]), outer),
+    core.labeled(
+      core.whileStatement(true, [core.variableDeclaration(n, x), continueOuter()]),
+      outer
+    ),
+  ],
+  ["folds equal arrays", eq(array(1, 2), array(1, 2)), true],
+  ["folds unequal arrays", core.binary("!=", array(1, 2), array(1, 3)), true],
+  ["folds arrays of different lengths", eq(array(1), array(1, 1)), false],
+  ["folds empty arrays", eq(emptyArray, array(1)), false],
+  ["folds optionals", eq(some(array(1)), emptyOptional), false],
+  ["folds variants", eq(makeA(1), makeA(1)), true],
+  ["folds different variants", eq(makeA(1), core.constructorCall(B, [], E)), false],
+  ["folds equal strings", eq('"a"', '"a"'), true],
+  ["keeps strings that may be equal", eq('"a"', '"\\u{61}"'), eq('"a"', '"\\u{61}"')],
+  ["folds unequal parts past strings", eq(array('"a"', 1), array('"b"', 2)), false],
+  [
+    "keeps parts that may be equal",
+    eq(array('"a"', 1), array('"b"', 1)),
+    eq(array('"a"', 1), array('"b"', 1)),
+  ],
+  ["keeps aggregates of variables", eq(array(x), array(x)), eq(array(x), array(x))],
+  ["keeps other expressions", eq(neg(x), array(1)), eq(neg(x), array(1))],
+  ["folds identity of numbers", core.binary("===", 2n, 2n), true],
+  ["folds non-identity of floats", core.binary("!==", 2.5, 2.5), false],
+  [
+    "keeps identity of aggregates",
+    core.binary("===", array(1), array(1)),
+    core.binary("===", array(1), array(1)),
+  ],
+  [
+    "folds interpolations of constants",
+    core.interpolation(
+      ["a", "b", "c", ""],
+      [core.binary("+", 1n, 2n, core.intType), 2.0, '"$\\""']
+    ),
+    '"a3b2.0c\\$\\""',
+  ],
+  [
+    "folds constants into interpolations",
+    core.interpolation(["a", "b", "c"], [x, true]),
+    core.interpolation(["a", "btruec"], [x]),
+  ],
+  ["optimizes repeat-0 on ints", core.repeatStatement(0n, [xpp]), []],
+  ["optimizes for-range on ints", core.forRangeStatement(x, 5n, "...", 3n, [xpp]), []],
+  [
+    "keeps labeled loops and their jumps",
+    labeledLoop(core.shortIfStatement(true, [continueOuter()])),
+    labeledLoop(continueOuter()),
+  ],
+  [
+    "removes loops never run along with their jumps",
+    labeledLoop(core.whileStatement(false, [continueOuter()]), xpp),
+    labeledLoop(xpp),
+  ],
   ["optimizes for-empty-array", core.forStatement(x, emptyArray, [xpp]), []],
   ["applies if-false after folding", core.shortIfStatement(eq(1, 1), [xpp]), [xpp]],
   ["optimizes away nil", unwrapElse(emptyOptional, 3), 3],
@@ -79,6 +198,48 @@ const tests = [
   ["optimizes in subscripts", sub(a, onePlusTwo), sub(a, 3)],
   ["optimizes in array literals", array(0, onePlusTwo, 9), array(0, 3, 9)],
   ["optimizes in arguments", callIdentity([times(3, 5)]), callIdentity([15])],
+  [
+    "optimizes match statements on constants",
+    core.matchStatement(makeA(onePlusTwo), [arm(B, [], [xmm]), arm(A, [n], [xpp])]),
+    [core.variableDeclaration(n, 3), xpp],
+  ],
+  [
+    "optimizes match statements on constants without bindings",
+    core.matchStatement(makeA(1), [arm(A, [null], [xpp]), arm(null, [], [])]),
+    [xpp],
+  ],
+  [
+    "optimizes match expressions on constants",
+    core.matchExpression(makeA(5), [arm(B, [], 0), arm(A, [n], times(n, 2))]),
+    10,
+  ],
+  [
+    "optimizes match expressions on constants without bindings",
+    core.matchExpression(makeA(5), [arm(A, [null], 7)]),
+    7,
+  ],
+  [
+    "substitutes bindings into nested match expressions",
+    core.matchExpression(makeA(5), [
+      arm(A, [n], core.matchExpression(makeA(x), [arm(A, [null], times(n, 2))])),
+    ]),
+    core.matchExpression(makeA(x), [arm(A, [null], 10)]),
+  ],
+  ["optimizes in lambda expressions", lambda(onePlusTwo), lambda(3)],
+  ["optimizes in methods", withGet(return1p1), withGet(return2)],
+  ["optimizes the objects of methods", callGet(core.conditional(true, x, n)), callGet(x)],
+  [
+    "optimizes in lambda blocks",
+    lambda([core.shortIfStatement(false, [xpp]), return1p1]),
+    lambda([return2]),
+  ],
+  [
+    "substitutes bindings into the bodies of lambdas",
+    core.matchExpression(makeA(5), [
+      arm(A, [n], lambda([core.variableDeclaration(x, n), core.returnStatement(x)])),
+    ]),
+    lambda([core.variableDeclaration(x, 5), core.returnStatement(x)]),
+  ],
   [
     "passes through nonoptimizable constructs",
     ...Array(2).fill([
@@ -90,14 +251,19 @@ const tests = [
       core.constructorCall(identity, core.memberExpression(x, ".", "f")),
       core.variableDeclaration("q", false, core.emptyArray(core.floatType)),
       core.variableDeclaration("r", false, core.emptyOptional(core.intType)),
-      core.whileStatement(true, [core.breakStatement]),
+      core.whileStatement(true, [core.breakStatement(), core.continueStatement()]),
       core.repeatStatement(5, [core.returnStatement(1)]),
       core.conditional(x, 1, 2),
       unwrapElse(some(x), 7),
       core.ifStatement(x, [], []),
       core.shortIfStatement(x, []),
+      core.ifLetStatement(n, maybeX, [], []),
+      core.shortIfLetStatement(n, maybeX, []),
+      core.whileLetStatement(n, maybeX, []),
       core.forRangeStatement(x, 2, "..<", 5, []),
       core.forStatement(x, array(1, 2, 3), []),
+      core.matchStatement(x, [arm(A, [n], [xpp]), arm(B, [], [])]),
+      core.matchExpression(makeA(x), [arm(A, [null], 1), arm(null, [], 2)], core.intType),
     ]),
   ],
 ]
@@ -108,4 +274,13 @@ describe("The optimizer", () => {
       assert.deepEqual(optimize(before), after)
     })
   }
+  it("keeps spans, giving new nodes the span of the node they replace", () => {
+    const [span1, span2] = [core.span(0, 9, 1, 1), core.span(4, 9, 1, 5)]
+    const difference = core.locate(core.binary("-", 0, x), span2)
+    const statement = core.locate(core.assignment(x, difference), span1)
+    const optimized = optimize(statement)
+    assert.equal(optimized.span, span1)
+    assert.deepEqual(optimized.source, neg(x))
+    assert.equal(optimized.source.span, span2)
+  })
 })
@@ -8,6 +8,36 @@ const syntaxChecks = [
   ["multiple statements", "print(1);\nbreak;\nx=5; return; return;"],
   ["variable declarations", "let e=99*1;\nconst z=false;"],
   ["type declarations", "struct S {x:T1 y:T2 z:bool}"],
+  ["enum declarations", "enum E { A, B(x: int, y: [E]) }"],
+  ["continue", "while true { continue; }"],
+  ["identity operators", "print(a === b, a !== b, a == b);"],
+  [
+    "labeled loops and jumps",
+    "outer: while true { inner: for x in a { continue outer; } break inner; }",
+  ],
+  [
+    "labels on every kind of loop",
+    "a: repeat 3 {} b: for i in 1...2 {} c: for x in y {}",
+  ],
+  ["match statements", "match e { A => {} B(x, _) => { print(x); } _ => { break; } }"],
+  ["match expressions", "print(match e { A => 1, B(_, y) => #y } + 1);"],
+  ["generic structs", "struct Pair<A, B> {a: A b: [Pair<B, A>?]}"],
+  [
+    "methods",
+    "struct P { x: int function get(): int { return self.x; } function f<T>(t: T) {} }",
+  ],
+  ["a struct of methods alone", "struct S { function f() {} }"],
+  ["generic functions", "function f<T>(x: T, p: Map<string, [T]>): T? {}"],
+  ["lambda with an expression body", "let f = (x: int, y: float) => x * y;"],
+  ["lambda with a block body", "let f = (): int => { return 1; };"],
+  ["lambdas as arguments", "print(map([1], (x: int): int => x + 1));"],
+  ["calling a lambda", 'print(((s: string) => s)("a"));'],
+  [
+    "imports",
+    'import { f, Point } from "./geometry.carlos";\nimport {g} from "g";\nf();',
+  ],
+  ["exports", "export let x = 1;\nexport struct S {}\nexport function f() {}"],
+  ["from as an identifier", "let from = 1;"],
   ["function with no params, no return type", "function f() {}"],
   ["function with one param", "function f(x: int) {}"],
   ["function with two params", "function f(x: int, y: boolean) {}"],
@@ -22,6 +52,7 @@ const syntaxChecks = [
   ["complex var bumps", "c(5)[2]++;c.p.r++;c.q(8)[2](1,1).z--;"],
   ["call in statement", "let x = 1;\nf(100);\nprint(1);"],
   ["call in exp", "print(5 * f(x, y, 2 * y));"],
+  ["method calls in statements", "p.move(1, 2);\np?.move(3, 4);\na[0].f()(1);"],
   ["short if", "if true { print(1); }"],
   ["longer if", "if true { print(1); } else { print(1); }"],
   ["even longer if", "if true { print(1); } else if false { print(1);}"],
@@ -52,18 +83,36 @@ const syntaxChecks = [
   ["parentheses", "print(83 * ((((((((-(13 / 21))))))))) + 1 - 0);"],
   ["variables in expression", "return r.p(3,1)[9]?.x?.y.z.p()(5)[1];"],
   ["more variables", "return c(3).p?.oh(9)[2][2].nope(1)[3](2);"],
+  ["optional chains", "print(a?[0]?.x?(1)?[2] ?? f?()?(3));"],
   ["indexing array literals", "print([1,2,3][1]);"],
   ["member expression on string literal", `print("hello".append("there"));`],
   ["non-Latin letters in identifiers", "let コンパイラ = 100;"],
   ["a simple string literal", 'print("hello😉😬💀🙅🏽‍♀️—`");'],
   ["string literal with escapes", 'return "a\\n\\tbc\\\\de\\"fg";'],
   ["u-escape", 'print("\\u{a}\\u{2c}\\u{1e5}\\u{ae89}\\u{1f4a9}\\u{10ffe8}");'],
+  ["interpolation", 'print("Hi ${name}, you are ${age + 1}!");'],
+  ["interpolation alone", 'print("${x}");'],
+  ["nested interpolation", 'print("a ${f("b ${c}")} d");'],
+  ["if let", "if let p = find(ps, good) { print(p); }"],
+  ["if let with else", "if let p = q { print(p); } else { print(0); }"],
+  ["if let chains", "if let p = q { } else if r { } else if let s = t { } else { }"],
+  ["while let", "outer: while let x = pop(stack) { print(x); }"],
+  [
+    "interfaces",
+    "interface Shape { name: string function area(): float; function scale(k: float); }",
+  ],
+  ["exported interface", "export interface Empty {}"],
+  ["type alias", "type Handler = (string, [int?])->boolean?;"],
+  ["exported type alias", "export type Names = [string];"],
+  ["escaped dollar sign", 'print("\\${x} $$ $");'],
   ["end of program inside comment", "print(0); // yay"],
   ["comments with no text", "print(1);//\nprint(0);//"],
 ]
 
 // Programs with syntax errors that the parser will detect
 const syntaxErrors = [
+  ["a label on a statement that is not a loop", "here: print(1);", /Line 1, col 7:/],
+  ["continue as an identifier", "let continue = 1;", /Line 1, col 5:/],
   ["non-letter in an identifier", "let ab😭c = 2;", /Line 1, col 7:/],
   ["malformed number", "let x= 2.;", /Line 1, col 10:/],
   ["a float with an E but no exponent", "let x = 5E * 11;", /Line 1, col 10:/],
@@ -93,10 +142,46 @@ const syntaxErrors = [
   ["numbers cannot be called", "print(500(x));", /Line 1, col 10/],
   ["numbers cannot be dereferenced", "print(500 .x);", /Line 1, col 11/],
   ["no-paren function type", "function f(g:int->int) {}", /Line 1, col 17/],
+  ["empty type parameter list", "function f<>() {}", /Line 1, col 12/],
+  ["type arguments in an expression", "print(f<int>(1));", /Line 1, col 12/],
+  ["lambda parameter without a type", "let f = (x) => x;", /Line 1, col 12/],
+  ["lambda without a body", "let f = () => ;", /Line 1, col 15/],
+  ["empty enum", "enum E {}", /Line 1, col 9/],
+  ["trailing comma in enum", "enum E { A, }", /Line 1, col 13/],
+  ["match with no arms", "match e {}", /Line 1, col 10/],
+  ["match as identifier", "let match = 1;", /Line 1, col 5/],
+  ["import with no names", 'import {} from "a";\nf();', /Line 1, col 9/],
+  ["import without a path", "import { f } from a;\nf();", /Line 1, col 19/],
+  ["import after a statement", 'f();\nimport { f } from "a";', /Line 2, col 1/],
+  ["only imports", 'import { f } from "a";', /Line 1, col 23/],
+  ["export of a statement", "export print(1);", /Line 1, col 8/],
+  ["export in a block", "if true { export let x = 1; }", /Line 1, col 11/],
+  ["import as identifier", "let import = 1;", /Line 1, col 5/],
   ["string lit with unknown escape", 'print("ab\\zcdef");', /col 11/],
   ["string lit with newline", 'print("ab\\zcdef");', /col 11/],
   ["string lit with quote", 'print("ab\\zcdef");', /col 11/],
   ["string lit with code point too long", 'print("\\u{1111111}");', /col 17/],
+  ["unclosed interpolation", 'print("a ${x");', /Line 1, col 13/],
+  ["empty interpolation", 'print("a ${}");', /Line 1, col 12/],
+  ["if let without a variable", "if let = q { }", /Line 1, col 8/],
+  ["type alias without a type", "type A = ;", /Line 1, col 10/],
+  ["a method before a field", "struct S { function f() {} x: int }", /Line 1, col 28/],
+  ["a method without a body", "struct S { function f(); }", /Line 1, col 24/],
+  [
+    "a method with a body in an interface",
+    "interface I { function f() {} }",
+    /Line 1, col 28/,
+  ],
+  [
+    "a method signature before a field",
+    "interface I { function f(); x: int }",
+    /Line 1, col 29/,
+  ],
+  ["interface as an identifier", "let interface = 1;", /Line 1, col 5/],
+  ["type alias without a semicolon", "type A = int", /Line 1, col 13/],
+  ["type as an identifier", "let type = 1;", /Line 1, col 5/],
+  ["if let without a value", "if let p { }", /Line 1, col 10/],
+  ["while let with a const", "while const x = y { }", /Line 1, col 7/],
 ]
 
 describe("The parser", () => {
@@ -0,0 +1,100 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import { PassThrough } from "node:stream"
+import repl, { Session } from "../src/repl.js"
+
+// Feeds the lines to a new session, returning everything it wrote
+function transcript(...lines) {
+  const output = []
+  const session = new Session(line => output.push(line))
+  for (const line of lines) session.accept(line)
+  return output
+}
+
+describe("The REPL", () => {
+  it("shows the value and type of bare expressions", () => {
+    assert.deepEqual(transcript("1 + 2", '"hi"', "[1.5]", "some true"), [
+      "3 : int",
+      '"hi" : string',
+      "[1.5] : [float]",
+      "some true : boolean?",
+    ])
+  })
+  it("runs statements, keeping declarations for later inputs", () => {
+    assert.deepEqual(
+      transcript("let x = 5;", "const y = x * 2; print(y);", "x = x + y;", "x"),
+      ["10", "15 : int"]
+    )
+  })
+  it("does not show a value for void expressions", () => {
+    assert.deepEqual(transcript("print(1)"), ["1"])
+  })
+  it("continues input over lines until the braces balance", () => {
+    const output = []
+    const session = new Session(line => output.push(line))
+    session.accept("function f(a: int): int {")
+    assert(session.continuing)
+    session.accept('  // a comment with { and a string with "}"')
+    session.accept('  let s = "}";')
+    assert(session.continuing)
+    session.accept("  return a * 3;")
+    session.accept("}")
+    assert(!session.continuing)
+    session.accept("f(2)")
+    assert.deepEqual(output, ["6 : int"])
+  })
+  it("shows types without evaluating", () => {
+    assert.deepEqual(
+      transcript(
+        "function f(a: int): int { print(a); return a; }",
+        ":type f",
+        ":type f(2)"
+      ),
+      ["(int)->int", "int"]
+    )
+  })
+  it("shows the representation of expressions", () => {
+    const [ir] = transcript("let x = 1;", ":ir x + 1")
+    assert.match(ir, /BinaryExpression op='\+' left=#2 right=1n/)
+    assert.match(ir, /Variable name='x'/)
+    assert.deepEqual(transcript(":ir 2"), ["2n"])
+  })
+  it("forgets declarations on reset", () => {
+    const [, reset, error] = transcript("let x = 1;", "x", ":reset", "x")
+    assert.equal(reset, "All declarations forgotten")
+    assert.match(error, /^Error: [^]*Identifier x not declared/)
+  })
+  it("keeps no declarations from inputs with errors", () => {
+    const [first, second] = transcript("let x = 1; let y = z;", "x")
+    assert.match(first, /Identifier z not declared/)
+    assert.match(second, /Identifier x not declared/)
+  })
+  it("keeps no declarations from inputs failing as they run", () => {
+    const [first, second, third] = transcript(
+      "let a = [1][5];",
+      "print(a);",
+      "let a = 2;"
+    )
+    assert.match(first, /Index out of bounds/)
+    assert.match(second, /Identifier a not declared/)
+    assert.equal(third, undefined)
+  })
+  it("reports syntax errors against the statement grammar", () => {
+    const [error] = transcript("1 +")
+    assert.match(error, /^Error: Line 1, col 3/)
+  })
+  it("reports unknown commands and has help", () => {
+    const [unknown, help] = transcript(":what", ":help", "")
+    assert.match(unknown, /Unknown command :what/)
+    assert.match(help, /:type <exp>/)
+  })
+  it("reads from an input stream and prompts on an output stream", async () => {
+    const [input, output] = [new PassThrough(), new PassThrough()]
+    const chunks = []
+    output.on("data", chunk => chunks.push(chunk.toString()))
+    const done = repl({ input, output })
+    input.end("repeat 2 {\nprint(1);\n}\n")
+    await done
+    assert.equal(chunks.join(""), "Carlos REPL, enter :help for help\n> ... ... 1\n1\n> ")
+  })
+})
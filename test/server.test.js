@@ -0,0 +1,365 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import * as fs from "node:fs"
+import * as os from "node:os"
+import * as path from "node:path"
+import { pathToFileURL } from "node:url"
+import { PassThrough } from "node:stream"
+import serve, { LanguageServer } from "../src/server.js"
+
+const uri = "file:///test.carlos"
+
+// A server whose messages are collected rather than sent anywhere
+function newServer() {
+  const sent = []
+  const server = new LanguageServer(message => sent.push(message))
+  return { server, sent }
+}
+
+function open(text, documentUri = uri) {
+  const { server, sent } = newServer()
+  server.receive({
+    method: "textDocument/didOpen",
+    params: {
+      textDocument: { uri: documentUri, text, version: 1, languageId: "carlos" },
+    },
+  })
+  return { server, sent }
+}
+
+// Sends a request, returning its result
+function request(server, sent, method, params) {
+  const id = sent.length + 1
+  server.receive({ jsonrpc: "2.0", id, method, params })
+  return sent.find(m => m.id === id).result
+}
+
+function at(line, character) {
+  return { textDocument: { uri }, position: { line, character } }
+}
+
+const program = `struct Point { x: float y: float }
+struct Segment { a: Point b: Point? }
+const origin = Point(0.0, 0.0);
+function length(s: Segment): float {
+  let dx = s.a.x;
+  return hypot(dx, s.b?.y ?? 0.0);
+}
+let later = 1;
+`
+
+describe("The language server", () => {
+  it("announces its capabilities", () => {
+    const { server, sent } = newServer()
+    const { capabilities } = request(server, sent, "initialize", {})
+    assert.equal(capabilities.textDocumentSync, 1)
+    assert(capabilities.hoverProvider && capabilities.definitionProvider)
+    assert.deepEqual(capabilities.completionProvider.triggerCharacters, ["."])
+    assert.equal(request(server, sent, "shutdown"), null)
+    server.receive({ method: "exit" })
+  })
+  it("publishes every semantic error with its range", () => {
+    const { sent } = open("let x = 1;\nprint(y);\nx = true;")
+    const [{ method, params }] = sent
+    assert.equal(method, "textDocument/publishDiagnostics")
+    assert.equal(params.uri, uri)
+    assert.deepEqual(
+      params.diagnostics.map(d => [d.range.start, d.severity, d.source]),
+      [
+        [{ line: 1, character: 6 }, 1, "carlos"],
+        [{ line: 2, character: 0 }, 1, "carlos"],
+      ]
+    )
+    assert.match(params.diagnostics[0].message, /Identifier y not declared/)
+  })
+  it("publishes warnings, with their codes, when there are no errors", () => {
+    const { sent } = open("let x = 1;\nprint(2);")
+    assert.deepEqual(
+      sent[0].params.diagnostics.map(d => [d.range.start, d.severity, d.code, d.message]),
+      [[{ line: 0, character: 4 }, 2, "unused-variable", "Variable x is never used"]]
+    )
+  })
+  it("publishes syntax errors and clears diagnostics on change and close", () => {
+    const { server, sent } = open("print(1")
+    assert.match(sent[0].params.diagnostics[0].message, /^Expected/)
+    assert.deepEqual(sent[0].params.diagnostics[0].range.start, { line: 0, character: 7 })
+    server.receive({
+      method: "textDocument/didChange",
+      params: {
+        textDocument: { uri, version: 2 },
+        contentChanges: [{ text: "print(1);" }],
+      },
+    })
+    assert.deepEqual(sent[1].params.diagnostics, [])
+    server.receive({ method: "textDocument/didClose", params: { textDocument: { uri } } })
+    assert.deepEqual(sent[2].params, { uri, diagnostics: [] })
+  })
+  it("describes identifiers on hover", () => {
+    const { server, sent } = open(program)
+    const hover = position => request(server, sent, "textDocument/hover", position)
+    assert.equal(hover(at(2, 7)).contents.value, "```carlos\nconst origin: Point\n```")
+    assert.deepEqual(hover(at(2, 7)).range, {
+      start: { line: 2, character: 6 },
+      end: { line: 2, character: 12 },
+    })
+    assert.match(hover(at(2, 16)).contents.value, /struct Point { x: float y: float }/)
+    assert.match(hover(at(3, 10)).contents.value, /function length: \(Segment\)->float/)
+    assert.match(hover(at(4, 6)).contents.value, /let dx: float/)
+    assert.match(hover(at(4, 13)).contents.value, /\(field\) a: Point/)
+    assert.match(hover(at(1, 26)).contents.value, /\(field\) b: Point\?/)
+    assert.match(hover(at(3, 31)).contents.value, /```carlos\nfloat\n```/)
+    assert.equal(hover(at(0, 0)), null)
+  })
+  it("describes enums and their variants on hover", () => {
+    const { server, sent } = open(
+      "enum Shape { Circle(r: float), Empty }\nlet s = Shape.Empty;\nlet c = Shape.Circle(1.0);"
+    )
+    const hover = position => request(server, sent, "textDocument/hover", position)
+    assert.match(
+      hover(at(0, 6)).contents.value,
+      /enum Shape { Circle\(r: float\), Empty }/
+    )
+    assert.match(hover(at(1, 16)).contents.value, /\(variant\) Shape.Empty\n/)
+    assert.match(hover(at(2, 16)).contents.value, /\(variant\) Shape.Circle\(r: float\)/)
+    const items = request(server, sent, "textDocument/completion", at(2, 26))
+    assert.equal(items.find(i => i.label === "Shape").kind, 13)
+  })
+  it("describes generic structs and functions on hover", () => {
+    const { server, sent } = open(
+      "struct Pair<A, B> { a: A b: B }\nfunction swap<A, B>(p: Pair<A, B>): Pair<B, A> {}"
+    )
+    const hover = position => request(server, sent, "textDocument/hover", position)
+    assert.match(hover(at(0, 8)).contents.value, /struct Pair<A, B> { a: A b: B }/)
+    assert.match(
+      hover(at(1, 10)).contents.value,
+      /swap<A, B>: \(Pair<A, B>\)->Pair<B, A>/
+    )
+    assert.match(hover(at(1, 14)).contents.value, /```carlos\nA\n```/)
+  })
+  it("describes type aliases on hover", () => {
+    const { server, sent } = open("type Names = [string];\nfunction f(n: Names?) {}")
+    const hover = position => request(server, sent, "textDocument/hover", position)
+    assert.match(hover(at(0, 6)).contents.value, /type Names = \[string\]/)
+    assert.match(hover(at(1, 15)).contents.value, /type Names = \[string\]/)
+    assert.match(hover(at(1, 11)).contents.value, /let n: Names\?/)
+  })
+  it("describes and completes methods", () => {
+    const { server, sent } = open(
+      "struct P { x: int function get(): int { return self.x; } }\nlet p = P(1);\nprint(p.get());"
+    )
+    const hover = position => request(server, sent, "textDocument/hover", position)
+    assert.match(hover(at(0, 28)).contents.value, /\(method\) get: \(\)->int/)
+    assert.match(hover(at(2, 9)).contents.value, /\(method\) get: \(\)->int/)
+    assert.match(hover(at(0, 49)).contents.value, /const self: P/)
+    const items = request(server, sent, "textDocument/completion", at(2, 8))
+    assert.deepEqual(
+      items.map(i => [i.label, i.kind]),
+      [
+        ["x", 5],
+        ["get", 2],
+      ]
+    )
+  })
+  it("describes and completes interfaces", () => {
+    const { server, sent } = open(
+      "interface Named { name: string function greet(n: Named): string; }\nfunction f(n: Named): string { return n.greet(n); }"
+    )
+    const hover = position => request(server, sent, "textDocument/hover", position)
+    assert.match(
+      hover(at(0, 12)).contents.value,
+      /interface Named { name: string greet: \(Named\)->string }/
+    )
+    assert.match(hover(at(0, 42)).contents.value, /\(method\) greet: \(Named\)->string/)
+    assert.match(hover(at(1, 11)).contents.value, /let n: Named/)
+    const items = request(server, sent, "textDocument/completion", at(1, 40))
+    assert.deepEqual(
+      items.map(i => [i.label, i.kind]),
+      [
+        ["name", 5],
+        ["greet", 2],
+      ]
+    )
+    const globals = request(server, sent, "textDocument/completion", at(1, 0))
+    assert.equal(globals.find(i => i.label === "Named").kind, 8)
+  })
+  it("analyzes the modules a file imports", () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "carlos-"))
+    try {
+      fs.writeFileSync(
+        path.join(directory, "lib.carlos"),
+        "export const x = 1; let y = 2;"
+      )
+      const fileUri = pathToFileURL(path.join(directory, "main.carlos")).href
+      const text = 'import { x, y } from "./lib.carlos";\nprint(x);'
+      const { server, sent } = open(text, fileUri)
+      assert.deepEqual(
+        sent[0].params.diagnostics.map(d => d.message),
+        ["Module ./lib.carlos does not export y"]
+      )
+      const hover = request(server, sent, "textDocument/hover", {
+        textDocument: { uri: fileUri },
+        position: { line: 1, character: 6 },
+      })
+      assert.equal(hover.contents.value, "```carlos\nconst x: int\n```")
+    } finally {
+      fs.rmSync(directory, { recursive: true })
+    }
+  })
+  it("can't import into documents that are not files", () => {
+    const { sent } = open('import { x } from "./lib.carlos";\nprint(x);', "untitled:1")
+    assert.match(
+      sent[0].params.diagnostics[0].message,
+      /only be imported by programs in files/
+    )
+  })
+  it("finds definitions", () => {
+    const { server, sent } = open(program)
+    const definition = position =>
+      request(server, sent, "textDocument/definition", position)
+    assert.deepEqual(definition(at(5, 15)), {
+      uri,
+      range: { start: { line: 4, character: 6 }, end: { line: 4, character: 8 } },
+    })
+    assert.deepEqual(definition(at(4, 14)).range.start, { line: 1, character: 17 })
+    assert.equal(definition(at(5, 9)), null)
+    assert.equal(definition(at(7, 0)), null)
+  })
+  it("describes labels and finds the loops they are on", () => {
+    const { server, sent } = open("outer: while true {\n  repeat 2 { break outer; }\n}")
+    const hover = request(server, sent, "textDocument/hover", at(1, 20))
+    assert.equal(hover.contents.value, "```carlos\n(label) outer\n```")
+    assert.deepEqual(request(server, sent, "textDocument/definition", at(1, 20)), {
+      uri,
+      range: { start: { line: 0, character: 0 }, end: { line: 0, character: 5 } },
+    })
+  })
+  it("completes names in scope, but not those declared later", () => {
+    const { server, sent } = open(program)
+    const items = request(server, sent, "textDocument/completion", at(4, 0))
+    const item = label => items.find(i => i.label === label)
+    assert.deepEqual(item("dx"), undefined)
+    assert.deepEqual(item("later"), undefined)
+    assert.deepEqual(item("s"), { label: "s", kind: 6, detail: "Segment" })
+    assert.deepEqual(item("origin"), { label: "origin", kind: 21, detail: "Point" })
+    assert.deepEqual(item("length"), {
+      label: "length",
+      kind: 3,
+      detail: "(Segment)->float",
+    })
+    assert.equal(item("Point").kind, 22)
+    assert.deepEqual(item("int"), { label: "int", kind: 7, detail: "int" })
+    assert.equal(item("print").kind, 3)
+    const globals = request(server, sent, "textDocument/completion", at(8, 0))
+    assert(globals.some(i => i.label === "later"))
+    assert(!globals.some(i => i.label === "dx"))
+  })
+  it("completes fields after a dot, even in an unfinished edit", () => {
+    const { server, sent } = open(program)
+    server.receive({
+      method: "textDocument/didChange",
+      params: {
+        textDocument: { uri },
+        contentChanges: [
+          { text: program.replace("let dx = s.a.x;", "let dx = s.b?.\n  origin.x.") },
+        ],
+      },
+    })
+    const labels = position =>
+      request(server, sent, "textDocument/completion", position).map(i => i.label)
+    assert.deepEqual(labels(at(4, 16)), ["x", "y"])
+    assert.deepEqual(labels(at(4, 14)), ["a", "b"])
+    assert.deepEqual(labels(at(5, 11)), [])
+  })
+  it("completes, hovers, and finds definitions after an edit that breaks the syntax", () => {
+    const { server, sent } = open("let x = 1;\nprint(x);")
+    const change = text =>
+      server.receive({
+        method: "textDocument/didChange",
+        params: { textDocument: { uri }, contentChanges: [{ text }] },
+      })
+    change("let x = 1;\nlet\nprint(x);")
+    const hover = request(server, sent, "textDocument/hover", at(2, 6))
+    assert.equal(hover.contents.value, "```carlos\nlet x: int\n```")
+    assert.deepEqual(hover.range, {
+      start: { line: 2, character: 6 },
+      end: { line: 2, character: 7 },
+    })
+    assert.deepEqual(request(server, sent, "textDocument/definition", at(2, 6)), {
+      uri,
+      range: { start: { line: 0, character: 4 }, end: { line: 0, character: 5 } },
+    })
+    change("let x = 1;\nlet yy = x")
+    const labels = request(server, sent, "textDocument/completion", at(1, 10)).map(
+      i => i.label
+    )
+    assert(labels.includes("x"))
+    assert.equal(request(server, sent, "textDocument/hover", at(1, 10)), null)
+    // The declaration of x has been edited, though its use has not
+    change("let ax = 1\nprint(x);")
+    assert.equal(request(server, sent, "textDocument/definition", at(1, 6)), null)
+  })
+  it("completes names past the end of the program", () => {
+    const { server, sent } = open("let x = 1;")
+    const items = request(server, sent, "textDocument/completion", at(0, 40))
+    assert(items.some(i => i.label === "x"))
+  })
+  it("answers a failing request with an error, and logs a failing notification", () => {
+    const { server, sent } = newServer()
+    server.receive({ id: 1, method: "textDocument/hover" })
+    server.receive({ method: "textDocument/didOpen" })
+    assert.equal(sent[0].id, 1)
+    assert.equal(sent[0].error.code, -32603)
+    assert.equal(sent[1].method, "window/logMessage")
+    assert.equal(sent[1].params.type, 1)
+  })
+  it("has nothing to offer for unknown documents", () => {
+    const { server, sent } = newServer()
+    assert.equal(request(server, sent, "textDocument/hover", at(0, 0)), null)
+    assert.deepEqual(request(server, sent, "textDocument/completion", at(0, 0)), [])
+  })
+  it("rejects unknown requests and ignores unknown notifications", () => {
+    const { server, sent } = newServer()
+    server.receive({ method: "$/cancelRequest", params: { id: 1 } })
+    server.receive({ id: 1, method: "workspace/symbol", params: {} })
+    assert.deepEqual(sent, [
+      {
+        id: 1,
+        error: { code: -32601, message: "Unhandled method workspace/symbol" },
+      },
+    ])
+  })
+  it("speaks JSON-RPC with Content-Length headers over streams", async () => {
+    const [input, output] = [new PassThrough(), new PassThrough()]
+    const chunks = []
+    output.on("data", chunk => chunks.push(chunk.toString()))
+    const done = serve({ input, output })
+    const frame = message => {
+      const json = JSON.stringify({ jsonrpc: "2.0", ...message })
+      return `Content-Length: ${Buffer.byteLength(json)}\r\n\r\n${json}`
+    }
+    const messages =
+      frame({ id: 1, method: "initialize", params: {} }) +
+      frame({ id: 2, method: "shutdown" })
+    // Split the input mid-header and mid-body, as streams are free to do
+    input.write(messages.slice(0, 10))
+    input.write(messages.slice(10, 40))
+    input.write(messages.slice(40))
+    input.write(frame({ method: "exit" }))
+    await done
+    const responses = chunks
+      .join("")
+      .split(/Content-Length: \d+\r\n\r\n/)
+      .slice(1)
+      .map(json => JSON.parse(json))
+    assert.equal(responses.length, 2)
+    assert.equal(responses[0].jsonrpc, "2.0")
+    assert.equal(responses[0].id, 1)
+    assert.deepEqual(responses[1], { jsonrpc: "2.0", id: 2, result: null })
+  })
+  it("stops when its input ends", async () => {
+    const input = new PassThrough()
+    const done = serve({ input, output: new PassThrough() })
+    input.end()
+    await done
+  })
+})